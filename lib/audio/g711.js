@@ -0,0 +1,67 @@
+// G.711 companding (ITU-T G.711): 8-bit mu-law and A-law <-> 16-bit linear PCM.
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+function mulawToLinear(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const sample = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return value & 0x80 ? -sample : sample;
+}
+
+function linearToMulaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function alawToLinear(byte) {
+  const value = byte ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  let sample = (value & 0x0f) << 4;
+  sample = exponent === 0 ? sample + 8 : (sample + 0x108) << (exponent - 1);
+  return value & 0x80 ? sample : -sample;
+}
+
+function linearToAlaw(sample) {
+  const sign = sample >= 0 ? 0x80 : 0;
+  const magnitude = Math.min(sample >= 0 ? sample : -sample - 1, 32767);
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = exponent === 0 ? (magnitude >> 4) & 0x0f : (magnitude >> (exponent + 3)) & 0x0f;
+  return (sign | (exponent << 4) | mantissa) ^ 0x55;
+}
+
+// Lookup tables: byte -> sample for decoding
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (_, byte) => mulawToLinear(byte));
+const ALAW_TABLE = Int16Array.from({ length: 256 }, (_, byte) => alawToLinear(byte));
+
+function decoder(table) {
+  return (bytes) => {
+    const pcm = Buffer.alloc(bytes.length * 2);
+    for (let i = 0; i < bytes.length; i++) pcm.writeInt16LE(table[bytes[i]], i * 2);
+    return pcm;
+  };
+}
+
+function encoder(compand) {
+  return (pcm) => {
+    const bytes = Buffer.alloc(pcm.length >> 1);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = compand(pcm.readInt16LE(i * 2));
+    return bytes;
+  };
+}
+
+module.exports = {
+  decodeMulaw: decoder(MULAW_TABLE),
+  encodeMulaw: encoder(linearToMulaw),
+  decodeAlaw: decoder(ALAW_TABLE),
+  encodeAlaw: encoder(linearToAlaw)
+};
@@ -0,0 +1,148 @@
+// Ogg container (RFC 3533): a streaming packet reader and a page writer, as
+// needed for Ogg Opus (RFC 7845).
+const CAPTURE = Buffer.from('OggS');
+const HEADER_BYTES = 27;
+const MAX_SEGMENTS = 255;
+// Packets are buffered whole; a voice packet is a few hundred bytes
+const MAX_PACKET_BYTES = 256 * 1024;
+
+const FLAG_CONTINUED = 0x01;
+const FLAG_FIRST = 0x02;
+const FLAG_LAST = 0x04;
+
+const CRC_TABLE = new Uint32Array(256).map((_, byte) => {
+  let crc = byte << 24;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// Feed arbitrary chunks of an Ogg stream; push() returns the packets completed
+// so far. Packets may span pages and chunks. A packet over MAX_PACKET_BYTES
+// is dropped and reading resumes with the packet after it.
+function createOggReader() {
+  let pending = Buffer.alloc(0);
+  let partial = [];
+  let partialBytes = 0;
+  let dropping = false;
+
+  function resetPacket() {
+    partial = [];
+    partialBytes = 0;
+    dropping = false;
+  }
+
+  function push(chunk) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    const packets = [];
+
+    for (;;) {
+      // Resynchronise on the next capture pattern if the stream is damaged
+      const start = pending.indexOf(CAPTURE);
+      if (start === -1) {
+        pending = pending.subarray(Math.max(pending.length - CAPTURE.length + 1, 0));
+        break;
+      }
+      if (start > 0) pending = pending.subarray(start);
+      if (pending.length < HEADER_BYTES) break;
+
+      const segments = pending[26];
+      const headerLength = HEADER_BYTES + segments;
+      if (pending.length < headerLength) break;
+      const lacing = pending.subarray(HEADER_BYTES, headerLength);
+      const bodyLength = lacing.reduce((total, size) => total + size, 0);
+      if (pending.length < headerLength + bodyLength) break;
+
+      if (!(pending[5] & FLAG_CONTINUED)) resetPacket();
+      let offset = headerLength;
+      for (const size of lacing) {
+        if (!dropping) {
+          partial.push(pending.subarray(offset, offset + size));
+          partialBytes += size;
+          if (partialBytes > MAX_PACKET_BYTES) {
+            partial = [];
+            dropping = true;
+          }
+        }
+        offset += size;
+        // A lacing value below 255 ends the packet
+        if (size < 255) {
+          if (!dropping) packets.push(Buffer.concat(partial));
+          resetPacket();
+        }
+      }
+      pending = pending.subarray(offset);
+    }
+
+    pending = Buffer.from(pending);
+    return packets;
+  }
+
+  return { push };
+}
+
+// Writes the pages of one logical stream. `granule` is the codec-defined
+// position after the last packet on the page.
+function createOggWriter({ serial = Math.floor(Math.random() * 0xffffffff) } = {}) {
+  let sequence = 0;
+
+  function page(packets, granule, flags) {
+    const lacing = [];
+    for (const packet of packets) {
+      for (let left = packet.length; ; left -= 255) {
+        lacing.push(Math.min(left, 255));
+        if (left < 255) break;
+      }
+    }
+    if (lacing.length > MAX_SEGMENTS) {
+      throw new Error('Too many packets for one Ogg page');
+    }
+
+    const header = Buffer.alloc(HEADER_BYTES + lacing.length);
+    CAPTURE.copy(header, 0);
+    header[4] = 0;
+    header[5] = flags;
+    header.writeBigInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(serial >>> 0, 14);
+    header.writeUInt32LE(sequence++, 18);
+    header[26] = lacing.length;
+    Buffer.from(lacing).copy(header, HEADER_BYTES);
+
+    const pageBuffer = Buffer.concat([header, ...packets]);
+    pageBuffer.writeUInt32LE(crc32(pageBuffer), 22);
+    return pageBuffer;
+  }
+
+  // Split packets over as many pages as the segment limit needs
+  function pages(packets, granuleAfter, { first = false, last = false } = {}) {
+    const output = [];
+    let batch = [];
+    let segments = 0;
+    packets.forEach((packet, i) => {
+      const needed = Math.floor(packet.length / 255) + 1;
+      if (segments + needed > MAX_SEGMENTS && batch.length > 0) {
+        output.push(page(batch, granuleAfter(i - 1), first && output.length === 0 ? FLAG_FIRST : 0));
+        batch = [];
+        segments = 0;
+      }
+      batch.push(packet);
+      segments += needed;
+    });
+    const flags = (first && output.length === 0 ? FLAG_FIRST : 0) | (last ? FLAG_LAST : 0);
+    output.push(page(batch, granuleAfter(packets.length - 1), flags));
+    return Buffer.concat(output);
+  }
+
+  return { pages };
+}
+
+module.exports = { createOggReader, createOggWriter, crc32 };
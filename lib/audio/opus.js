@@ -0,0 +1,79 @@
+// Opus packets <-> PCM16 mono at 24 kHz, via opusscript (libopus compiled to
+// WebAssembly), plus the identification and comment headers containers need
+// (RFC 7845). Decoding any Opus stream to mono works: libopus downmixes.
+const OpusScript = require('opusscript');
+
+const SAMPLE_RATE = 24000;
+const FRAME_MS = 20;
+const FRAME_BYTES = (SAMPLE_RATE * FRAME_MS / 1000) * 2;
+// Ogg granule positions and pre-skip always count 48 kHz samples
+const GRANULE_RATE = 48000;
+const PRE_SKIP = 312;
+
+function opusHead({ channels = 1, preSkip = PRE_SKIP, inputSampleRate = SAMPLE_RATE } = {}) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'ascii');
+  head[8] = 1; // version
+  head[9] = channels;
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(inputSampleRate, 12);
+  head.writeInt16LE(0, 16); // output gain
+  head[18] = 0; // channel mapping family
+  return head;
+}
+
+function opusTags(vendor = 'voice-server') {
+  const vendorBytes = Buffer.from(vendor, 'utf8');
+  const tags = Buffer.alloc(8 + 4 + vendorBytes.length + 4);
+  tags.write('OpusTags', 0, 'ascii');
+  tags.writeUInt32LE(vendorBytes.length, 8);
+  vendorBytes.copy(tags, 12);
+  tags.writeUInt32LE(0, 12 + vendorBytes.length); // no user comments
+  return tags;
+}
+
+// Header packets carried in-band by Ogg, skipped when decoding
+function isHeaderPacket(packet) {
+  const magic = packet.subarray(0, 8).toString('ascii');
+  return magic === 'OpusHead' || magic === 'OpusTags';
+}
+
+function createOpusDecoder() {
+  const codec = new OpusScript(SAMPLE_RATE, 1, OpusScript.Application.VOIP);
+
+  return {
+    decode: (packet) => Buffer.from(codec.decode(packet)),
+    close: () => codec.delete()
+  };
+}
+
+// Encodes whole 20 ms frames; the remainder waits for the next chunk
+function createOpusEncoder() {
+  const codec = new OpusScript(SAMPLE_RATE, 1, OpusScript.Application.VOIP);
+  let pending = Buffer.alloc(0);
+
+  function encode(pcm) {
+    pending = pending.length ? Buffer.concat([pending, pcm]) : pcm;
+    const packets = [];
+    let offset = 0;
+    for (; pending.length - offset >= FRAME_BYTES; offset += FRAME_BYTES) {
+      packets.push(Buffer.from(codec.encode(pending.subarray(offset, offset + FRAME_BYTES), FRAME_BYTES / 2)));
+    }
+    pending = Buffer.from(pending.subarray(offset));
+    return packets;
+  }
+
+  return { encode, close: () => codec.delete() };
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  FRAME_MS,
+  GRANULE_RATE,
+  PRE_SKIP,
+  opusHead,
+  opusTags,
+  isHeaderPacket,
+  createOpusDecoder,
+  createOpusEncoder
+};
@@ -0,0 +1,71 @@
+// Streaming PCM16 mono sample-rate conversion by linear interpolation. State
+// carries across chunks, so a stream can be fed in pieces of any size without
+// clicks at the boundaries. When downsampling, a moving average over the
+// rate ratio runs first to keep the worst aliasing out.
+function createResampler(fromRate, toRate) {
+  if (fromRate === toRate) {
+    return { push: (pcm) => pcm };
+  }
+
+  const step = fromRate / toRate;
+  const smoothing = step >= 2 ? Math.round(step) : 1;
+  // Position of the next output sample, in input samples relative to the
+  // start of the next chunk; -1 is the last sample of the previous chunk
+  let position = 0;
+  let last = 0;
+  let history = [];
+  let odd = null;
+
+  function smooth(samples) {
+    if (smoothing === 1) return samples;
+    const window = [...history];
+    let sum = window.reduce((total, sample) => total + sample, 0);
+    const smoothed = new Float64Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      window.push(samples[i]);
+      sum += samples[i];
+      if (window.length > smoothing) sum -= window.shift();
+      smoothed[i] = sum / window.length;
+    }
+    history = window.slice(-(smoothing - 1));
+    return smoothed;
+  }
+
+  function push(pcm) {
+    // Keep a dangling byte for the next chunk
+    if (odd) {
+      pcm = Buffer.concat([odd, pcm]);
+      odd = null;
+    }
+    if (pcm.length % 2) {
+      odd = pcm.subarray(pcm.length - 1);
+      pcm = pcm.subarray(0, pcm.length - 1);
+    }
+
+    const count = pcm.length / 2;
+    if (count === 0) return Buffer.alloc(0);
+    const input = new Float64Array(count);
+    for (let i = 0; i < count; i++) input[i] = pcm.readInt16LE(i * 2);
+    const samples = smooth(input);
+
+    const output = [];
+    while (position <= count - 1) {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const a = index < 0 ? last : samples[index];
+      const b = fraction > 0 ? samples[index + 1] : a;
+      output.push(Math.round(a + (b - a) * fraction));
+      position += step;
+    }
+    position -= count;
+    last = samples[count - 1];
+
+    const out = Buffer.alloc(output.length * 2);
+    output.forEach((sample, i) => out.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2));
+    return out;
+  }
+
+  return { push };
+}
+
+module.exports = { createResampler };
@@ -0,0 +1,176 @@
+// Client audio formats. Sessions and the realtime API always work in PCM16
+// mono at 24 kHz; a client can declare other formats on connect and audio is
+// converted on the way in and out:
+//
+//   pcm16       PCM16 mono at any rate from 8 to 48 kHz (`*_sample_rate`)
+//   g711_ulaw   G.711 mu-law, 8 kHz
+//   g711_alaw   G.711 A-law, 8 kHz
+//   opus_ogg    Opus in Ogg, as a continuous stream
+//   opus_webm   Opus in WebM, as a continuous stream (e.g. MediaRecorder)
+//
+// Container streams span the whole connection: the first outgoing `audio`
+// message starts with the container headers, and client chunks may split
+// pages or elements anywhere.
+const { ConfigError } = require('../session-config');
+const { createResampler } = require('./resample');
+const { decodeMulaw, encodeMulaw, decodeAlaw, encodeAlaw } = require('./g711');
+const { createOggReader, createOggWriter } = require('./ogg');
+const { createWebmReader, createWebmWriter } = require('./webm');
+const opus = require('./opus');
+
+const SAMPLE_RATE = 24000;
+const AUDIO_FORMATS = ['pcm16', 'g711_ulaw', 'g711_alaw', 'opus_ogg', 'opus_webm'];
+const PCM16_SAMPLE_RATES = [8000, 48000];
+const G711_SAMPLE_RATE = 8000;
+
+const DEFAULT_FORMAT = { format: 'pcm16', sampleRate: SAMPLE_RATE };
+
+function parseFormat(query, direction) {
+  const format = query[`${direction}_format`] ? String(query[`${direction}_format`]) : 'pcm16';
+  if (!AUDIO_FORMATS.includes(format)) {
+    throw new ConfigError(`"${direction}_format" must be one of: ${AUDIO_FORMATS.join(', ')}`);
+  }
+
+  const rate = query[`${direction}_sample_rate`];
+  if (rate !== undefined && format !== 'pcm16') {
+    throw new ConfigError(`"${direction}_sample_rate" only applies to pcm16`);
+  }
+  const sampleRate = rate === undefined ? SAMPLE_RATE : Number(rate);
+  const [min, max] = PCM16_SAMPLE_RATES;
+  if (!Number.isInteger(sampleRate) || sampleRate < min || sampleRate > max) {
+    throw new ConfigError(`"${direction}_sample_rate" must be a whole number of Hz between ${min} and ${max}`);
+  }
+
+  return format === 'pcm16' ? { format, sampleRate } : { format };
+}
+
+// From `?input_format=&input_sample_rate=&output_format=&output_sample_rate=`.
+// Throws ConfigError for anything unsupported.
+function audioFormatsFromQuery(query) {
+  return { input: parseFormat(query, 'input'), output: parseFormat(query, 'output') };
+}
+
+function isNative(spec) {
+  return spec.format === 'pcm16' && spec.sampleRate === SAMPLE_RATE;
+}
+
+function opusPacketDecoder(readPackets) {
+  const decoder = opus.createOpusDecoder();
+  return {
+    decode: (chunk) => Buffer.concat(readPackets(chunk).map(packet => decoder.decode(packet))),
+    close: decoder.close
+  };
+}
+
+// Client format -> PCM16 24 kHz. decode(Buffer) -> Buffer, possibly empty
+function createAudioDecoder(spec) {
+  switch (spec.format) {
+    case 'pcm16': {
+      const resampler = createResampler(spec.sampleRate, SAMPLE_RATE);
+      return { decode: resampler.push, close() {} };
+    }
+    case 'g711_ulaw':
+    case 'g711_alaw': {
+      const expand = spec.format === 'g711_ulaw' ? decodeMulaw : decodeAlaw;
+      const resampler = createResampler(G711_SAMPLE_RATE, SAMPLE_RATE);
+      return { decode: (chunk) => resampler.push(expand(chunk)), close() {} };
+    }
+    case 'opus_ogg': {
+      const reader = createOggReader();
+      return opusPacketDecoder(chunk => reader.push(chunk).filter(packet => !opus.isHeaderPacket(packet)));
+    }
+    case 'opus_webm': {
+      const reader = createWebmReader();
+      return opusPacketDecoder(chunk => reader.push(chunk));
+    }
+    default:
+      throw new Error(`Unsupported audio format "${spec.format}"`);
+  }
+}
+
+// PCM16 24 kHz -> client format. encode(Buffer) -> Buffer, possibly empty
+function createAudioEncoder(spec) {
+  switch (spec.format) {
+    case 'pcm16': {
+      const resampler = createResampler(SAMPLE_RATE, spec.sampleRate);
+      return { encode: resampler.push, close() {} };
+    }
+    case 'g711_ulaw':
+    case 'g711_alaw': {
+      const compand = spec.format === 'g711_ulaw' ? encodeMulaw : encodeAlaw;
+      const resampler = createResampler(SAMPLE_RATE, G711_SAMPLE_RATE);
+      return { encode: (pcm) => compand(resampler.push(pcm)), close() {} };
+    }
+    case 'opus_ogg':
+      return createOggOpusEncoder();
+    case 'opus_webm':
+      return createWebmOpusEncoder();
+    default:
+      throw new Error(`Unsupported audio format "${spec.format}"`);
+  }
+}
+
+function createOggOpusEncoder() {
+  const encoder = opus.createOpusEncoder();
+  const writer = createOggWriter();
+  const granulePerPacket = opus.GRANULE_RATE * opus.FRAME_MS / 1000;
+  let packetsWritten = 0;
+  let started = false;
+
+  function encode(pcm) {
+    const packets = encoder.encode(pcm);
+    if (packets.length === 0) return Buffer.alloc(0);
+
+    const output = [];
+    if (!started) {
+      started = true;
+      output.push(writer.pages([opus.opusHead()], () => 0, { first: true }));
+      output.push(writer.pages([opus.opusTags()], () => 0));
+    }
+    const before = packetsWritten;
+    output.push(writer.pages(packets, i => (before + i + 1) * granulePerPacket));
+    packetsWritten += packets.length;
+    return Buffer.concat(output);
+  }
+
+  return { encode, close: encoder.close };
+}
+
+function createWebmOpusEncoder() {
+  const encoder = opus.createOpusEncoder();
+  const writer = createWebmWriter({
+    codecId: 'A_OPUS',
+    codecPrivate: opus.opusHead(),
+    sampleRate: opus.GRANULE_RATE,
+    codecDelayNs: Math.round(opus.PRE_SKIP / opus.GRANULE_RATE * 1e9)
+  });
+  let packetsWritten = 0;
+  let started = false;
+
+  function encode(pcm) {
+    const packets = encoder.encode(pcm);
+    if (packets.length === 0) return Buffer.alloc(0);
+
+    const output = [];
+    if (!started) {
+      started = true;
+      output.push(writer.header());
+    }
+    const frames = packets.map((data, i) => ({ data, offsetMs: i * opus.FRAME_MS }));
+    output.push(writer.cluster(packetsWritten * opus.FRAME_MS, frames));
+    packetsWritten += packets.length;
+    return Buffer.concat(output);
+  }
+
+  return { encode, close: encoder.close };
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  AUDIO_FORMATS,
+  DEFAULT_FORMAT,
+  audioFormatsFromQuery,
+  isNative,
+  createAudioDecoder,
+  createAudioEncoder
+};
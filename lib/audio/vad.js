@@ -0,0 +1,99 @@
+// Energy-based voice activity detection over PCM16 mono. Splits a continuous
+// stream into utterances the way server_vad does: speech starts when a frame is
+// loud enough, and ends after `silenceDurationMs` of quiet.
+const FRAME_MS = 20;
+
+function frameRms(frame) {
+  let sum = 0;
+  const samples = frame.length / 2;
+  for (let i = 0; i < frame.length; i += 2) {
+    const sample = frame.readInt16LE(i) / 32768;
+    sum += sample * sample;
+  }
+  return samples ? Math.sqrt(sum / samples) : 0;
+}
+
+function createSegmenter({
+  sampleRate = 24000,
+  threshold = 0.02,
+  prefixPaddingMs = 300,
+  silenceDurationMs = 1000,
+  minSpeechMs = 250,
+  maxSegmentMs = 30000,
+  onSpeechStart = () => {},
+  onSegment = () => {}
+} = {}) {
+  const frameBytes = (sampleRate * FRAME_MS / 1000) * 2;
+  const prefixFrames = Math.ceil(prefixPaddingMs / FRAME_MS);
+
+  let pending = Buffer.alloc(0);
+  let prefix = [];
+  let segment = null;
+  let speechFrames = 0;
+  let silentFrames = 0;
+
+  function finish() {
+    const audio = Buffer.concat(segment);
+    const speechMs = speechFrames * FRAME_MS;
+    segment = null;
+    speechFrames = 0;
+    silentFrames = 0;
+    prefix = [];
+
+    // Too short to be speech - a click or a cough
+    if (speechMs >= minSpeechMs) {
+      onSegment(audio, { durationMs: (audio.length / frameBytes) * FRAME_MS });
+    }
+  }
+
+  function processFrame(frame) {
+    const loud = frameRms(frame) >= threshold;
+
+    if (!segment) {
+      if (loud) {
+        segment = [...prefix, frame];
+        speechFrames = 1;
+        onSpeechStart();
+      } else {
+        prefix.push(frame);
+        if (prefix.length > prefixFrames) prefix.shift();
+      }
+      return;
+    }
+
+    segment.push(frame);
+    if (loud) {
+      speechFrames++;
+      silentFrames = 0;
+    } else {
+      silentFrames++;
+    }
+
+    if (silentFrames * FRAME_MS >= silenceDurationMs || segment.length * FRAME_MS >= maxSegmentMs) {
+      finish();
+    }
+  }
+
+  function push(pcm) {
+    pending = pending.length ? Buffer.concat([pending, pcm]) : pcm;
+    let offset = 0;
+    while (pending.length - offset >= frameBytes) {
+      processFrame(pending.subarray(offset, offset + frameBytes));
+      offset += frameBytes;
+    }
+    pending = Buffer.from(pending.subarray(offset));
+  }
+
+  // Drop anything in progress (e.g. on mute)
+  function reset() {
+    pending = Buffer.alloc(0);
+    prefix = [];
+    segment = null;
+    speechFrames = 0;
+    silentFrames = 0;
+  }
+
+  return { push, reset };
+}
+
+module.exports = { FRAME_MS, frameRms, createSegmenter };
@@ -0,0 +1,26 @@
+// Minimal WAV (RIFF, 16-bit PCM) container writer.
+function wavHeader(dataLength, { sampleRate = 24000, channels = 1 } = {}) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * 2;
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+function encodeWav(pcm, options) {
+  return Buffer.concat([wavHeader(pcm.length, options), pcm]);
+}
+
+module.exports = { wavHeader, encodeWav };
@@ -0,0 +1,244 @@
+// WebM (Matroska/EBML) for a single audio track: a streaming frame reader
+// that copes with the unknown-size Segment and Cluster elements MediaRecorder
+// produces, and a writer for a live stream of one track.
+const IDS = {
+  EBML: 0x1a45dfa3,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  SimpleBlock: 0xa3
+};
+
+// Elements whose children we read; everything else that isn't a block is skipped
+const CONTAINERS = new Set([IDS.Segment, IDS.Cluster, IDS.BlockGroup]);
+const BLOCKS = new Set([IDS.SimpleBlock, IDS.Block]);
+// Blocks are buffered whole; a voice frame is a few hundred bytes
+const MAX_BLOCK_BYTES = 256 * 1024;
+const CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+
+// Variable-length integer at `offset`: { length, value }, or null if the
+// buffer ends first. IDs keep their length marker; sizes don't, and an
+// all-ones size means "unknown".
+function readVint(buffer, offset, { keepMarker = false } = {}) {
+  if (offset >= buffer.length) return null;
+  const first = buffer[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8) throw new Error('Invalid EBML variable-length integer');
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) allOnes = false;
+  }
+  return { length, value: !keepMarker && allOnes ? -1 : value };
+}
+
+// Frames of a (Simple)Block payload, honouring Xiph, fixed and EBML lacing
+function blockFrames(payload) {
+  const track = readVint(payload, 0);
+  let offset = track.length + 3;
+  const lacing = (payload[track.length + 2] >> 1) & 0x03;
+  if (lacing === 0) return [payload.subarray(offset)];
+
+  const count = payload[offset++] + 1;
+  const sizes = [];
+  if (lacing === 1) {
+    for (let i = 0; i < count - 1; i++) {
+      let size = 0;
+      let byte;
+      do {
+        byte = payload[offset++];
+        size += byte;
+      } while (byte === 255);
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    const first = readVint(payload, offset);
+    offset += first.length;
+    sizes.push(first.value);
+    for (let i = 1; i < count - 1; i++) {
+      const delta = readVint(payload, offset);
+      offset += delta.length;
+      // Signed: subtract half the range of this length
+      sizes.push(sizes[i - 1] + delta.value - (2 ** (7 * delta.length - 1) - 1));
+    }
+  }
+
+  const total = payload.length - offset;
+  if (lacing === 2) {
+    sizes.push(...Array(count - 1).fill(total / count));
+  }
+  sizes.push(total - sizes.reduce((sum, size) => sum + size, 0));
+
+  return sizes.map(size => {
+    const frame = payload.subarray(offset, offset + size);
+    offset += size;
+    return frame;
+  });
+}
+
+// Feed arbitrary chunks of a WebM stream; push() returns the audio frames
+// completed so far, in order. Assumes a single track. A damaged stream throws
+// once; reading then resumes at the next Cluster.
+function createWebmReader() {
+  let pending = Buffer.alloc(0);
+  // Bytes of a skipped element still to come
+  let skip = 0;
+  let resyncing = false;
+
+  function push(chunk) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    try {
+      return read();
+    } catch (error) {
+      pending = Buffer.alloc(0);
+      skip = 0;
+      resyncing = true;
+      throw error;
+    }
+  }
+
+  function read() {
+    const frames = [];
+
+    if (resyncing) {
+      const start = pending.indexOf(CLUSTER_ID);
+      if (start === -1) {
+        pending = Buffer.from(pending.subarray(Math.max(pending.length - CLUSTER_ID.length + 1, 0)));
+        return frames;
+      }
+      pending = pending.subarray(start);
+      resyncing = false;
+    }
+
+    for (;;) {
+      if (skip > 0) {
+        const skipped = Math.min(skip, pending.length);
+        pending = pending.subarray(skipped);
+        skip -= skipped;
+        if (skip > 0) break;
+      }
+
+      const id = readVint(pending, 0, { keepMarker: true });
+      if (!id) break;
+      const size = readVint(pending, id.length);
+      if (!size) break;
+      const headerLength = id.length + size.length;
+
+      if (CONTAINERS.has(id.value)) {
+        pending = pending.subarray(headerLength);
+      } else if (BLOCKS.has(id.value)) {
+        if (size.value === -1 || size.value > MAX_BLOCK_BYTES) {
+          throw new Error(`WebM block too large (${size.value === -1 ? 'unknown size' : `${size.value} bytes`})`);
+        }
+        if (pending.length < headerLength + size.value) break;
+        frames.push(...blockFrames(pending.subarray(headerLength, headerLength + size.value)));
+        pending = pending.subarray(headerLength + size.value);
+      } else {
+        if (size.value === -1) throw new Error('Unknown-size WebM element that is not a container');
+        pending = pending.subarray(headerLength);
+        skip = size.value;
+      }
+    }
+
+    pending = Buffer.from(pending);
+    return frames.map(frame => Buffer.from(frame));
+  }
+
+  return { push };
+}
+
+function encodeId(id) {
+  const bytes = [];
+  for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value & 0xff);
+  return Buffer.from(bytes);
+}
+
+function encodeSize(size) {
+  if (size === -1) return Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  const bytes = Buffer.alloc(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value & 0xff;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+function element(id, payload) {
+  return Buffer.concat([encodeId(id), encodeSize(payload.length), payload]);
+}
+
+function uint(id, value) {
+  const bytes = [];
+  for (let rest = value; rest > 0 || bytes.length === 0; rest = Math.floor(rest / 256)) bytes.unshift(rest & 0xff);
+  return element(id, Buffer.from(bytes));
+}
+
+function float(id, value) {
+  const payload = Buffer.alloc(8);
+  payload.writeDoubleBE(value);
+  return element(id, payload);
+}
+
+function string(id, value) {
+  return element(id, Buffer.from(value, 'ascii'));
+}
+
+// A live WebM stream with one audio track. header() starts the stream with an
+// unknown-size Segment; every cluster() call adds one Cluster of frames.
+function createWebmWriter({ codecId, codecPrivate, sampleRate, channels = 1, codecDelayNs = 0 }) {
+  function header() {
+    const ebml = element(IDS.EBML, Buffer.concat([
+      uint(0x4286, 1), // EBMLVersion
+      uint(0x42f7, 1), // EBMLReadVersion
+      uint(0x42f2, 4), // EBMLMaxIDLength
+      uint(0x42f3, 8), // EBMLMaxSizeLength
+      string(0x4282, 'webm'), // DocType
+      uint(0x4287, 4), // DocTypeVersion
+      uint(0x4285, 2) // DocTypeReadVersion
+    ]));
+    const info = element(IDS.Info, Buffer.concat([
+      uint(0x2ad7b1, 1000000), // TimecodeScale: timecodes in ms
+      string(0x4d80, 'voice-server'), // MuxingApp
+      string(0x5741, 'voice-server') // WritingApp
+    ]));
+    const track = element(IDS.TrackEntry, Buffer.concat([
+      uint(0xd7, 1), // TrackNumber
+      uint(0x73c5, 1), // TrackUID
+      uint(0x83, 2), // TrackType: audio
+      string(0x86, codecId),
+      ...(codecPrivate ? [element(0x63a2, codecPrivate)] : []),
+      ...(codecDelayNs ? [uint(0x56aa, codecDelayNs)] : []),
+      element(0xe1, Buffer.concat([float(0xb5, sampleRate), uint(0x9f, channels)])) // Audio
+    ]));
+    return Buffer.concat([ebml, encodeId(IDS.Segment), encodeSize(-1), info, element(IDS.Tracks, track)]);
+  }
+
+  // frames: [{ data, offsetMs }] with offsets relative to `timecodeMs`
+  function cluster(timecodeMs, frames) {
+    const blocks = frames.map(({ data, offsetMs }) => {
+      const blockHeader = Buffer.alloc(4);
+      blockHeader[0] = 0x81; // track 1
+      blockHeader.writeInt16BE(offsetMs, 1);
+      blockHeader[3] = 0x80; // keyframe
+      return element(IDS.SimpleBlock, Buffer.concat([blockHeader, data]));
+    });
+    return element(IDS.Cluster, Buffer.concat([uint(IDS.Timecode, timecodeMs), ...blocks]));
+  }
+
+  return { header, cluster };
+}
+
+module.exports = { createWebmReader, createWebmWriter, readVint };
@@ -0,0 +1,185 @@
+// Client authentication for the WebSocket upgrade.
+//
+// Two token formats are accepted, both signed with AUTH_SECRET:
+//   - JWT (HS256):  base64url(header).base64url(claims).base64url(signature)
+//   - HMAC token:   base64url(claims).base64url(hmac-sha256(claims part))
+// Claims must carry `sub` (the user id) and may carry `exp`/`nbf` in seconds.
+//
+// The token is read from the `token` query parameter, from a
+// `Sec-WebSocket-Protocol` entry of the form `auth.<token>` or, for plain HTTP
+// requests, from an `Authorization: Bearer <token>` header.
+//
+// Users listed in REVIEWERS (comma-separated user ids) may read every user's
+// session history, transcripts, usage and recordings; everyone else only
+// their own. All of these need AUTH_SECRET, since without it nobody has an id.
+const { createHmac, timingSafeEqual } = require('crypto');
+const { parse } = require('url');
+
+const AUTH_SECRET = process.env.AUTH_SECRET;
+const AUTH_QUERY_PARAM = process.env.AUTH_QUERY_PARAM || 'token';
+const AUTH_PROTOCOL_PREFIX = 'auth.';
+const REVIEWERS = String(process.env.REVIEWERS || '').split(',').map(id => id.trim()).filter(Boolean);
+// Allowed clock skew when checking exp/nbf, in seconds
+const CLOCK_SKEW_SECONDS = 30;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Token headers and claims are JSON objects; anything else is malformed
+function decodeJson(part, what) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError(`Malformed ${what}`);
+  }
+  if (!isPlainObject(value)) {
+    throw new AuthError(`Malformed ${what}`);
+  }
+  return value;
+}
+
+function checkClaims(claims) {
+  if (!isPlainObject(claims) || !['string', 'number'].includes(typeof claims.sub) || claims.sub === '') {
+    throw new AuthError('Token has no subject');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new AuthError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new AuthError('Token not yet valid');
+  }
+  return claims;
+}
+
+function verifyToken(token, secret = AUTH_SECRET) {
+  if (!secret) {
+    throw new AuthError('AUTH_SECRET not configured');
+  }
+  if (!token || typeof token !== 'string') {
+    throw new AuthError('Missing token');
+  }
+
+  const parts = token.split('.');
+
+  if (parts.length === 3) {
+    const [headerPart, claimsPart, signature] = parts;
+    const header = decodeJson(headerPart, 'JWT header');
+    if (header.alg !== 'HS256') {
+      throw new AuthError(`Unsupported JWT algorithm "${header.alg}"`);
+    }
+    if (!safeEqual(signature, sign(`${headerPart}.${claimsPart}`, secret))) {
+      throw new AuthError('Invalid signature');
+    }
+    return checkClaims(decodeJson(claimsPart, 'JWT claims'));
+  }
+
+  if (parts.length === 2) {
+    const [claimsPart, signature] = parts;
+    if (!safeEqual(signature, sign(claimsPart, secret))) {
+      throw new AuthError('Invalid signature');
+    }
+    return checkClaims(decodeJson(claimsPart, 'token claims'));
+  }
+
+  throw new AuthError('Malformed token');
+}
+
+// Issue an HMAC token - handy for scripts and tests.
+function signToken(claims, secret = AUTH_SECRET) {
+  const claimsPart = base64url(JSON.stringify(claims));
+  return `${claimsPart}.${sign(claimsPart, secret)}`;
+}
+
+function requestedProtocols(req) {
+  const header = req.headers['sec-websocket-protocol'];
+  return header ? header.split(',').map(protocol => protocol.trim()).filter(Boolean) : [];
+}
+
+function extractToken(req) {
+  const query = parse(req.url, true).query;
+  if (query[AUTH_QUERY_PARAM]) {
+    return String(query[AUTH_QUERY_PARAM]);
+  }
+
+  const protocol = requestedProtocols(req).find(entry => entry.startsWith(AUTH_PROTOCOL_PREFIX));
+  if (protocol) {
+    return protocol.slice(AUTH_PROTOCOL_PREFIX.length);
+  }
+
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return bearer ? bearer[1] : null;
+}
+
+function isAuthEnabled() {
+  return Boolean(AUTH_SECRET);
+}
+
+// Returns the verified identity for an upgrade request, or an anonymous
+// identity when auth is disabled. Throws AuthError when the token is rejected.
+function authenticateRequest(req) {
+  if (!isAuthEnabled()) {
+    return { id: null, anonymous: true };
+  }
+
+  const claims = verifyToken(extractToken(req));
+  return {
+    id: String(claims.sub),
+    name: claims.name || null,
+    claims
+  };
+}
+
+function isReviewer(identity, reviewers = REVIEWERS) {
+  return Boolean(identity && identity.id) && reviewers.includes(identity.id);
+}
+
+// Whether an identity may read data that belongs to `owner` (a user id)
+function canAccess(identity, owner, reviewers = REVIEWERS) {
+  if (!identity || !identity.id) return false;
+  return identity.id === owner || isReviewer(identity, reviewers);
+}
+
+// `handleProtocols` for WebSocket.Server. Browsers fail the handshake unless the
+// server echoes one of the offered protocols, so prefer a non-token entry and
+// only fall back to echoing the auth entry when it is all the client offered.
+function selectProtocol(protocols) {
+  const offered = [...protocols];
+  return offered.find(protocol => !protocol.startsWith(AUTH_PROTOCOL_PREFIX)) || offered[0] || false;
+}
+
+module.exports = {
+  AuthError,
+  isAuthEnabled,
+  verifyToken,
+  signToken,
+  extractToken,
+  authenticateRequest,
+  isReviewer,
+  canAccess,
+  selectProtocol
+};
@@ -0,0 +1,249 @@
+// Non-realtime fallback: used when the realtime API can't be reached.
+//
+// Client audio is segmented locally with an energy VAD, each utterance is
+// transcribed, answered with a chat completion using the same persona and
+// tools, and spoken back with TTS. The client sees the same protocol as in
+// realtime mode: vad_start/vad_stop, transcript and pcm16 audio messages.
+//
+// In `auto` language mode Whisper detects the spoken language itself and each
+// user turn goes through followLanguage(), the same detection as in realtime
+// mode, before it is answered.
+//
+// Chat completions count towards usage and budgets like realtime responses;
+// transcription and TTS are billed per minute and per character, not per
+// token, and are not accounted.
+const { randomBytes } = require('crypto');
+const { createSegmenter } = require('./audio/vad');
+const { encodeWav } = require('./audio/wav');
+const { transcribe, chatCompletion, synthesizeSpeech } = require('./openai');
+const { getProfile, DEFAULT_PROFILE } = require('./profiles');
+const { getToolDefinitions } = require('./tools');
+const { languageInstructions } = require('./session-config');
+const { rateLimitError } = require('./rate-limit');
+const { createLogger } = require('./logger');
+
+const FALLBACK_MODEL = process.env.FALLBACK_CHAT_MODEL || 'gpt-4o-mini';
+const FALLBACK_VAD_THRESHOLD = Number(process.env.FALLBACK_VAD_THRESHOLD) || 0.02;
+const MAX_HISTORY_MESSAGES = 20;
+const MAX_TOOL_ROUNDS = 3;
+// 100 ms of PCM16 at 24 kHz per audio message
+const AUDIO_CHUNK_BYTES = 4800;
+const TTS_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'onyx', 'nova', 'sage', 'shimmer'];
+
+// Realtime tool declarations use a flat shape; chat completions nest them
+function chatTools(names) {
+  return getToolDefinitions(names).map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  }));
+}
+
+function createFallbackSession({
+  client,
+  clientId,
+  transcripts,
+  runToolCall,
+  getSessionConfig,
+  getLanguage,
+  isAutoLanguage = () => false,
+  followLanguage = () => {},
+  recordUsage = () => {},
+  consumeTextRate = () => ({ allowed: true })
+}) {
+  const history = [];
+  let isMuted = false;
+  let closed = false;
+  let turns = Promise.resolve();
+  let activeTurn = null;
+  // Turns enqueued but not started yet
+  let waitingTurns = 0;
+  const log = createLogger('fallback', { clientId });
+
+  function send(message) {
+    client.send(message);
+  }
+
+  function profile() {
+    return getProfile(getSessionConfig().profile) || getProfile(DEFAULT_PROFILE);
+  }
+
+  function ttsVoice() {
+    const voice = getSessionConfig().voice;
+    return TTS_VOICES.includes(voice) ? voice : 'alloy';
+  }
+
+  const segmenter = createSegmenter({
+    threshold: FALLBACK_VAD_THRESHOLD,
+    prefixPaddingMs: getSessionConfig().vad.prefix_padding_ms,
+    silenceDurationMs: getSessionConfig().vad.silence_duration_ms,
+    onSpeechStart: () => {
+      send({ type: 'vad_start' });
+      // Barge-in: stop whatever answer is still being prepared or played
+      if (activeTurn) {
+        activeTurn.abort();
+        send({ type: 'interrupted', reason: 'speech_started', item_id: null, audio_end_ms: null });
+      }
+    },
+    onSegment: (pcm) => {
+      send({ type: 'vad_stop' });
+      enqueueTurn(signal => transcribeTurn(pcm, signal));
+    }
+  });
+
+  // Turns run one at a time, in the order they arrived
+  function enqueueTurn(run) {
+    waitingTurns++;
+    turns = turns.then(async () => {
+      waitingTurns--;
+      if (closed) return;
+      const controller = new AbortController();
+      activeTurn = controller;
+      const startedAt = Date.now();
+      try {
+        await run(controller.signal);
+        log.debug('Fallback turn completed', { durationMs: Date.now() - startedAt });
+      } catch (error) {
+        if (controller.signal.aborted) {
+          log.info('Fallback turn interrupted');
+        } else {
+          log.error('Fallback turn failed', { error });
+          send({ type: 'error', message: `Fallback failed: ${error.message}` });
+        }
+      } finally {
+        if (activeTurn === controller) activeTurn = null;
+      }
+    });
+  }
+
+  async function transcribeTurn(pcm, signal) {
+    const text = await transcribe(encodeWav(pcm), { language: isAutoLanguage() ? undefined : getLanguage(), signal });
+    if (!text) return;
+
+    log.info('User transcript', { transcript: text });
+    followLanguage(text);
+    transcripts.append(clientId, { type: 'message', role: 'user', source: 'audio', mode: 'fallback', text, language: getLanguage() });
+    send({ type: 'transcript', role: 'user', text, language: getLanguage() });
+    await respond(text, signal);
+  }
+
+  async function respond(userText, signal) {
+    history.push({ role: 'user', content: userText });
+
+    const current = profile();
+    const tools = chatTools(current.tools);
+    // Tool exchanges stay local to the turn so an interrupted turn never
+    // leaves a dangling tool call in the shared history
+    const system = `${current.instructions}\n\n${languageInstructions(getLanguage(), { autoDetect: isAutoLanguage() })}`;
+    const messages = [{ role: 'system', content: system }, ...history.slice(-MAX_HISTORY_MESSAGES)];
+    let reply = '';
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const completion = await chatCompletion({
+        model: FALLBACK_MODEL,
+        messages,
+        tools: tools.length > 0 && round < MAX_TOOL_ROUNDS ? tools : undefined,
+        temperature: getSessionConfig().temperature
+      }, { signal });
+      if (completion.usage) {
+        recordUsage({ model: completion.model || FALLBACK_MODEL, responseId: completion.id, usage: completion.usage });
+      }
+      signal.throwIfAborted();
+
+      const message = completion.choices?.[0]?.message;
+      if (!message) throw new Error('Empty chat completion');
+      messages.push(message);
+
+      if (!message.tool_calls || message.tool_calls.length === 0) {
+        reply = message.content || '';
+        break;
+      }
+
+      for (const call of message.tool_calls) {
+        const { output } = await runToolCall(call.function.name, call.function.arguments, call.id);
+        messages.push({ role: 'tool', tool_call_id: call.id, content: output });
+      }
+      signal.throwIfAborted();
+    }
+
+    if (reply) {
+      history.push({ role: 'assistant', content: reply });
+      await speak(reply, signal);
+    }
+  }
+
+  async function speak(text, signal) {
+    log.info('Assistant transcript', { transcript: text });
+    transcripts.append(clientId, { type: 'message', role: 'assistant', mode: 'fallback', text, language: getLanguage() });
+    send({ type: 'transcript', role: 'assistant', text, language: getLanguage() });
+
+    const pcm = await synthesizeSpeech(text, { voice: ttsVoice(), signal });
+    for (let offset = 0; offset < pcm.length; offset += AUDIO_CHUNK_BYTES) {
+      if (signal.aborted) return;
+      send({ type: 'audio', data: pcm.subarray(offset, offset + AUDIO_CHUNK_BYTES).toString('base64'), format: 'pcm16' });
+    }
+  }
+
+  function handleMessage(message) {
+    if (closed) return;
+
+    if (message.type === 'audio' && message.data) {
+      if (!isMuted) segmenter.push(Buffer.from(message.data, 'base64'));
+      return;
+    }
+
+    if (message.type === 'text_message' && message.text) {
+      const textRate = consumeTextRate();
+      if (!textRate.allowed) {
+        log.warn('Text message rate limited', { limit: textRate.limit });
+        send(rateLimitError(textRate));
+        return;
+      }
+
+      const id = message.id || randomBytes(4).toString('hex');
+      if (activeTurn || waitingTurns > 0) {
+        // With no turn running the first waiting one is about to start
+        const position = activeTurn ? waitingTurns + 1 : waitingTurns;
+        log.info('Text message queued', { id, position });
+        send({ type: 'queued', id, position, policy: 'queue' });
+      }
+      enqueueTurn(async signal => {
+        followLanguage(message.text);
+        transcripts.append(clientId, { type: 'message', role: 'user', source: 'text', mode: 'fallback', text: message.text, language: getLanguage() });
+        send({ type: 'delivered', id });
+        await respond(message.text, signal);
+      });
+      return;
+    }
+
+    if (message.type === 'mute') {
+      isMuted = true;
+      segmenter.reset();
+      return;
+    }
+
+    if (message.type === 'unmute') {
+      isMuted = false;
+    }
+  }
+
+  function start(reason) {
+    log.info('Fallback mode (Chat + TTS) started', { reason });
+    send({ type: 'status', mode: 'fallback', message: 'Using fallback mode (near real-time)' });
+    enqueueTurn(signal => {
+      // Untranslated when the profile has no greeting for the language
+      const greeting = profile().greetings[getLanguage()] || profile().greeting;
+      history.push({ role: 'assistant', content: greeting });
+      return speak(greeting, signal);
+    });
+  }
+
+  function close() {
+    closed = true;
+    if (activeTurn) activeTurn.abort();
+    segmenter.reset();
+  }
+
+  return { start, handleMessage, close, isBusy: () => Boolean(activeTurn) };
+}
+
+module.exports = { createFallbackSession };
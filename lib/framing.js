@@ -0,0 +1,76 @@
+// Client framing modes, picked on connect with `?framing=`:
+//
+//   json    (default) every message is a JSON text frame; audio is base64 in
+//           `{ type: 'audio', data }`
+//   binary  audio travels as binary frames, everything else stays JSON text
+//
+// A binary audio frame is a 12-byte header followed by the raw audio bytes in
+// the connection's audio format (see lib/audio/transcode.js):
+//
+//   offset  size  field
+//   0       1     version (1)
+//   1       1     kind (1 = audio)
+//   2       2     reserved (0)
+//   4       4     sequence number, per direction, starting at 0
+//   8       4     timestamp in ms since the sender's stream started
+//
+// All fields are unsigned big-endian. Server-to-client frames don't carry the
+// assistant item id; a JSON `{ type: 'audio_item', item_id, seq }` is sent
+// before the first frame of each item, for barge-in `playback` reports.
+const { ConfigError } = require('./session-config');
+
+const FRAMING_MODES = ['json', 'binary'];
+const FRAME_VERSION = 1;
+const KIND_AUDIO = 1;
+const HEADER_BYTES = 12;
+
+class FrameError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FrameError';
+  }
+}
+
+function framingFromQuery(query) {
+  const framing = query.framing ? String(query.framing) : 'json';
+  if (!FRAMING_MODES.includes(framing)) {
+    throw new ConfigError(`"framing" must be one of: ${FRAMING_MODES.join(', ')}`);
+  }
+  return framing;
+}
+
+function encodeAudioFrame({ seq, timestamp, payload }) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header[0] = FRAME_VERSION;
+  header[1] = KIND_AUDIO;
+  header.writeUInt32BE(seq >>> 0, 4);
+  header.writeUInt32BE(timestamp >>> 0, 8);
+  return Buffer.concat([header, payload]);
+}
+
+// -> { seq, timestamp, payload }. Throws FrameError for anything malformed.
+function decodeAudioFrame(frame) {
+  if (frame.length < HEADER_BYTES) {
+    throw new FrameError(`Binary frame shorter than its ${HEADER_BYTES}-byte header`);
+  }
+  if (frame[0] !== FRAME_VERSION) {
+    throw new FrameError(`Unsupported binary frame version ${frame[0]}`);
+  }
+  if (frame[1] !== KIND_AUDIO) {
+    throw new FrameError(`Unsupported binary frame kind ${frame[1]}`);
+  }
+  return {
+    seq: frame.readUInt32BE(4),
+    timestamp: frame.readUInt32BE(8),
+    payload: frame.subarray(HEADER_BYTES)
+  };
+}
+
+module.exports = {
+  FRAMING_MODES,
+  HEADER_BYTES,
+  FrameError,
+  framingFromQuery,
+  encodeAudioFrame,
+  decodeAudioFrame
+};
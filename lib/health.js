@@ -0,0 +1,134 @@
+// Liveness and readiness.
+//
+// Liveness only says the process is serving requests. Readiness checks what a
+// new session depends on:
+//   - realtime: the API key can mint an ephemeral realtime session
+//   - search:   each search backend answers HTTP at all (any status below 500)
+//   - load:     active sessions against SESSION_CAPACITY (0 = unlimited)
+// The upstream checks are cached for HEALTH_CHECK_TTL_MS so load balancer
+// probes don't mint a token or hit every search backend each time; failures
+// are cached for a shorter time so recovery shows up quickly.
+const { getRealtimeToken } = require('./openai');
+const { getSearchProviders } = require('./search');
+
+const HEALTH_CHECK_TTL_MS = Number(process.env.HEALTH_CHECK_TTL_MS) || 60000;
+const HEALTH_CHECK_FAILURE_TTL_MS = Number(process.env.HEALTH_CHECK_FAILURE_TTL_MS) || 10000;
+const HEALTH_CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000;
+const SESSION_CAPACITY = Number(process.env.SESSION_CAPACITY) || 0;
+
+// Run `check` at most once per TTL; concurrent callers share one run
+function cached(check, { ttlMs, failureTtlMs }) {
+  let result = null;
+  let expiresAt = 0;
+  let running = null;
+
+  return function get() {
+    if (result && Date.now() < expiresAt) {
+      return Promise.resolve({ ...result, cached: true });
+    }
+    if (!running) {
+      running = check()
+        .then(value => {
+          result = { ...value, checkedAt: new Date().toISOString() };
+          expiresAt = Date.now() + (result.ok ? ttlMs : failureTtlMs);
+          return { ...result, cached: false };
+        })
+        .finally(() => { running = null; });
+    }
+    return running;
+  };
+}
+
+async function checkRealtime() {
+  const startedAt = Date.now();
+  try {
+    await getRealtimeToken();
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+async function probeProvider(provider, timeoutMs) {
+  const base = { name: provider.name, type: provider.type };
+  // Providers without a network endpoint (the stub) are always available
+  if (!provider.url) {
+    return { ...base, reachable: true, latencyMs: 0 };
+  }
+
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(provider.url, { method: 'HEAD', signal: AbortSignal.timeout(timeoutMs) });
+    return { ...base, reachable: response.status < 500, status: response.status, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ...base, reachable: false, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+async function checkSearch(timeoutMs) {
+  const providers = await Promise.all(getSearchProviders().map(provider => probeProvider(provider, timeoutMs)));
+  // Search degrades to a fallback answer, so one reachable backend is enough
+  return { ok: providers.some(provider => provider.reachable), providers };
+}
+
+function createHealthChecks({
+  getActiveSessions,
+  capacity = SESSION_CAPACITY,
+  ttlMs = HEALTH_CHECK_TTL_MS,
+  failureTtlMs = HEALTH_CHECK_FAILURE_TTL_MS,
+  timeoutMs = HEALTH_CHECK_TIMEOUT_MS
+}) {
+  const startedAt = Date.now();
+  const realtime = cached(checkRealtime, { ttlMs, failureTtlMs });
+  const search = cached(() => checkSearch(timeoutMs), { ttlMs, failureTtlMs });
+  let draining = false;
+
+  function live() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  function load() {
+    const activeSessions = getActiveSessions();
+    return {
+      ok: capacity === 0 || activeSessions < capacity,
+      activeSessions,
+      capacity: capacity || null,
+      utilization: capacity ? Math.round((activeSessions / capacity) * 100) / 100 : null
+    };
+  }
+
+  // Resolves to { ready, body }; `ready` is false while draining or degraded.
+  // A draining server answers straight away: the load balancer should stop
+  // sending traffic now, not after the probes time out.
+  async function ready() {
+    if (draining) {
+      return {
+        ready: false,
+        body: { status: 'draining', failing: [], checks: { load: load() }, timestamp: new Date().toISOString() }
+      };
+    }
+
+    const [realtimeCheck, searchCheck] = await Promise.all([realtime(), search()]);
+    const checks = { realtime: realtimeCheck, search: searchCheck, load: load() };
+    const failing = Object.keys(checks).filter(name => !checks[name].ok);
+    const status = failing.length > 0 ? 'degraded' : 'ready';
+
+    return {
+      ready: status === 'ready',
+      body: { status, failing, checks, timestamp: new Date().toISOString() }
+    };
+  }
+
+  return {
+    live,
+    ready,
+    isDraining: () => draining,
+    setDraining: (value = true) => { draining = Boolean(value); }
+  };
+}
+
+module.exports = { createHealthChecks };
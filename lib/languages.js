@@ -0,0 +1,114 @@
+// Conversation languages.
+//
+// A session either pins a language (`?language=es`, `set_language`) or runs in
+// `auto` mode, where it follows the language the user speaks: every user
+// transcript goes through detectLanguage() and a confident match switches the
+// session's instructions, voice and transcription (see session-config.js).
+//
+// Detection is deliberately simple and offline: the writing system decides
+// for non-Latin scripts, common function words and letters for Latin ones.
+// Short or ambiguous text ("ok", "Hello") detects as nothing, so a session
+// never flips language on a single word.
+const AUTO = 'auto';
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  sv: 'Swedish',
+  tr: 'Turkish',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  el: 'Greek',
+  ar: 'Arabic',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  th: 'Thai',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  ko: 'Korean'
+};
+
+// Checked in order: kana before Han, since Japanese mixes both
+const SCRIPTS = [
+  ['ko', /[가-힯]/g],
+  ['ja', /[぀-ヿ]/g],
+  ['zh', /[一-鿿]/g],
+  ['uk', /[іїєґІЇЄҐ]/g],
+  ['ru', /[Ѐ-ӿ]/g],
+  ['el', /[Ͱ-Ͽ]/g],
+  ['ar', /[؀-ۿ]/g],
+  ['he', /[֐-׿]/g],
+  ['hi', /[ऀ-ॿ]/g],
+  ['th', /[฀-๿]/g]
+];
+
+const FUNCTION_WORDS = {
+  en: 'the and is are was what what\'s how you your this that with for have can please of it i my me tell today weather like',
+  es: 'el la los las es que qué de por para con una está cómo dónde hoy gracias hola pero muy',
+  fr: 'le la les est et que qui je vous une des pour avec dans pas bonjour merci quel quelle il fait à aujourd\'hui temps c\'est',
+  de: 'der die das ist und ich nicht wie was ein eine mit für bitte heute wetter danke',
+  it: 'il lo gli è che di per con una sono come cosa oggi grazie ciao non',
+  pt: 'o os as é que não de para com uma está como hoje obrigado olá você',
+  nl: 'de het een is en ik niet wat hoe van voor met je vandaag dank',
+  pl: 'i w nie jest to się na jak co dzisiaj proszę dziękuję czy',
+  sv: 'och är det att jag inte en vad hur för med idag tack hej',
+  tr: 've bir bu ne nasıl için ile değil mi bugün teşekkürler merhaba'
+};
+
+// Letters that only a few Latin-script languages use
+const LETTERS = {
+  es: /[ñ¿¡]/g,
+  de: /[ß]/g,
+  pt: /[ãõ]/g,
+  pl: /[łąęśćńźż]/g,
+  sv: /[å]/g,
+  tr: /[ğşı]/g
+};
+
+const wordSets = Object.fromEntries(Object.entries(FUNCTION_WORDS).map(([code, words]) => [code, new Set(words.split(' '))]));
+
+// Hits needed, and how far ahead of the runner-up, before Latin text counts
+const MIN_SCORE = 2;
+
+function isLanguage(code) {
+  return typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+}
+
+function languageName(code) {
+  return isLanguage(code) ? LANGUAGES[code] : code;
+}
+
+// Language code for a piece of user text, or null when unsure
+function detectLanguage(text) {
+  if (!text) return null;
+
+  for (const [code, pattern] of SCRIPTS) {
+    if ((text.match(pattern) || []).length >= 2) return code;
+  }
+
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = {};
+  for (const [code, set] of Object.entries(wordSets)) {
+    scores[code] = words.filter(word => set.has(word)).length;
+  }
+  for (const [code, pattern] of Object.entries(LETTERS)) {
+    scores[code] += (text.toLowerCase().match(pattern) || []).length;
+  }
+
+  const [[best, score], [, runnerUp]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return score >= MIN_SCORE && score >= runnerUp + MIN_SCORE ? best : null;
+}
+
+module.exports = {
+  AUTO,
+  LANGUAGES,
+  isLanguage,
+  languageName,
+  detectLanguage
+};
@@ -0,0 +1,106 @@
+// Structured logging: one JSON object per line on stdout, e.g.
+//
+//   {"time":"...","level":"info","component":"session","msg":"Response completed",
+//    "clientId":"1f2e3d4c","event":"response.done","durationMs":812}
+//
+// LOG_LEVEL sets the default level (debug, info, warn, error or silent) and
+// LOG_LEVELS overrides it per component, e.g. "session=debug,search=warn".
+//
+// Per-chunk audio lines go through `logger.audio()` and are controlled by
+// LOG_AUDIO: "off" (default), "sample" (one chunk in LOG_AUDIO_SAMPLE_EVERY) or
+// "all". Audio payloads themselves are never logged, only their sizes.
+//
+// Fields that carry what users said, typed or searched for are redacted unless
+// LOG_TRANSCRIPTS=full.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const AUDIO_MODES = ['off', 'sample', 'all'];
+const REDACTED_FIELDS = new Set(['text', 'transcript', 'query', 'arguments', 'output', 'instructions']);
+
+function levelOr(value, fallback) {
+  const level = String(value || '').trim().toLowerCase();
+  return LEVELS[level] !== undefined ? level : fallback;
+}
+
+// "session=debug,search=warn" -> { session: 'debug', search: 'warn' }
+function parseComponentLevels(spec) {
+  const levels = {};
+  for (const entry of String(spec || '').split(',')) {
+    const [component, level] = entry.split('=').map(part => part && part.trim());
+    if (component && levelOr(level, null)) {
+      levels[component] = levelOr(level, null);
+    }
+  }
+  return levels;
+}
+
+const settings = {
+  level: levelOr(process.env.LOG_LEVEL, 'info'),
+  levels: parseComponentLevels(process.env.LOG_LEVELS),
+  audio: AUDIO_MODES.includes(process.env.LOG_AUDIO) ? process.env.LOG_AUDIO : 'off',
+  audioSampleEvery: Number(process.env.LOG_AUDIO_SAMPLE_EVERY) || 50,
+  transcripts: process.env.LOG_TRANSCRIPTS === 'full' ? 'full' : 'redact',
+  write: (line) => process.stdout.write(line)
+};
+
+// Override settings at runtime (tests, embedding). `level` and `levels`
+// accept the same values as the environment variables.
+function configureLogging(overrides = {}) {
+  const { level, levels, ...rest } = overrides;
+  if (level !== undefined) settings.level = levelOr(level, settings.level);
+  if (levels !== undefined) {
+    settings.levels = typeof levels === 'string' ? parseComponentLevels(levels) : { ...levels };
+  }
+  Object.assign(settings, rest);
+}
+
+function redact(value) {
+  return typeof value === 'string' ? `[redacted ${value.length} chars]` : '[redacted]';
+}
+
+function serializeField(key, value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (settings.transcripts !== 'full' && REDACTED_FIELDS.has(key) && value !== null) {
+    return redact(value);
+  }
+  return value;
+}
+
+function createLogger(component, bindings = {}) {
+  let audioChunks = 0;
+
+  function isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[settings.levels[component] || settings.level];
+  }
+
+  function write(level, msg, fields) {
+    if (!isLevelEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, component, msg };
+    for (const [key, value] of Object.entries({ ...bindings, ...fields })) {
+      if (value !== undefined) entry[key] = serializeField(key, value);
+    }
+    settings.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+
+    // A debug line per audio chunk, subject to LOG_AUDIO
+    audio(msg, fields) {
+      if (settings.audio === 'off') return;
+      audioChunks++;
+      if (settings.audio === 'sample' && (audioChunks - 1) % settings.audioSampleEvery !== 0) return;
+      write('debug', msg, { ...fields, chunk: audioChunks });
+    },
+
+    isLevelEnabled,
+    child: (extra) => createLogger(component, { ...bindings, ...extra })
+  };
+}
+
+module.exports = { LEVELS, createLogger, configureLogging };
@@ -0,0 +1,176 @@
+// Prometheus metrics, rendered in the text exposition format by GET /metrics.
+//
+// A small in-process registry with the three metric types we need. Every
+// metric takes a fixed list of label names; `labels` arguments are plain
+// objects, e.g. `responses.inc({ status: 'completed' })`.
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function define(type, { name, help, labelNames = [] }, render, init) {
+    const series = new Map();
+
+    // Series are keyed by their label values, in labelNames order
+    function seriesFor(labels = {}) {
+      const values = labelNames.map(label => labels[label] ?? '');
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        series.set(key, { labels: labelNames.map((label, i) => [label, values[i]]), ...init() });
+      }
+      return series.get(key);
+    }
+
+    metrics.push({
+      render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render(name, series)].join('\n')
+    });
+    // Unlabelled metrics are reported as zero before their first update
+    if (labelNames.length === 0) seriesFor();
+    return seriesFor;
+  }
+
+  function renderValues(name, series) {
+    return [...series.values()].map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`);
+  }
+
+  const zero = () => ({ value: 0 });
+
+  function counter(options) {
+    const seriesFor = define('counter', options, renderValues, zero);
+    return {
+      inc: (labels, value = 1) => { seriesFor(labels).value += value; }
+    };
+  }
+
+  function gauge(options) {
+    const seriesFor = define('gauge', options, renderValues, zero);
+    return {
+      inc: (labels, value = 1) => { seriesFor(labels).value += value; },
+      dec: (labels, value = 1) => { seriesFor(labels).value -= value; },
+      set: (labels, value) => { seriesFor(labels).value = value; }
+    };
+  }
+
+  // Values are observed in seconds
+  function histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const seriesFor = define('histogram', options, (name, series) => {
+      const lines = [];
+      for (const entry of series.values()) {
+        bounds.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels([...entry.labels, ['le', bound]])} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels([...entry.labels, ['le', '+Inf']])} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+      return lines;
+    }, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+
+    function observe(labels, seconds) {
+      const entry = seriesFor(labels);
+      bounds.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i]++;
+      });
+      entry.sum += seconds;
+      entry.count++;
+    }
+
+    return {
+      observe,
+      // Returns a function that records the elapsed time when called
+      startTimer: (labels) => {
+        const startedAt = process.hrtime.bigint();
+        return (endLabels) => {
+          const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+          observe({ ...labels, ...endLabels }, seconds);
+          return seconds;
+        };
+      }
+    };
+  }
+
+  function render() {
+    return `${metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+const registry = createRegistry();
+
+const activeSessions = registry.gauge({
+  name: 'voice_active_sessions',
+  help: 'Client sessions currently connected'
+});
+
+const sessionDuration = registry.histogram({
+  name: 'voice_session_duration_seconds',
+  help: 'How long client sessions lasted',
+  buckets: [10, 30, 60, 120, 300, 600, 1800, 3600]
+});
+
+const tokenMintDuration = registry.histogram({
+  name: 'voice_token_mint_duration_seconds',
+  help: 'Latency of minting ephemeral realtime tokens',
+  labelNames: ['result']
+});
+
+const tokenMintFailures = registry.counter({
+  name: 'voice_token_mint_failures_total',
+  help: 'Ephemeral realtime token requests that failed'
+});
+
+const speechToFirstAudio = registry.histogram({
+  name: 'voice_speech_to_first_audio_seconds',
+  help: 'Time from the end of user speech to the first assistant audio delta',
+  buckets: [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5]
+});
+
+const responses = registry.counter({
+  name: 'voice_responses_total',
+  help: 'Realtime responses by final status',
+  labelNames: ['status']
+});
+
+const upstreamErrors = registry.counter({
+  name: 'voice_upstream_errors_total',
+  help: 'Realtime API errors by type (the error event type, or "connection" for socket errors)',
+  labelNames: ['type']
+});
+
+const searchDuration = registry.histogram({
+  name: 'voice_web_search_duration_seconds',
+  help: 'Web search latency per provider endpoint',
+  labelNames: ['provider', 'result']
+});
+
+const searchRequests = registry.counter({
+  name: 'voice_web_search_requests_total',
+  help: 'Web search requests per provider endpoint and result',
+  labelNames: ['provider', 'result']
+});
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+  registry,
+  activeSessions,
+  sessionDuration,
+  tokenMintDuration,
+  tokenMintFailures,
+  speechToFirstAudio,
+  responses,
+  upstreamErrors,
+  searchDuration,
+  searchRequests
+};
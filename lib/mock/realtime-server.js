@@ -0,0 +1,376 @@
+// Mock OpenAI upstream for offline development and tests.
+//
+// Implements the slice of the API the proxy relies on:
+//   POST /v1/realtime/sessions         ephemeral token
+//   WS   /v1/realtime                  realtime events
+//   POST /v1/chat/completions          fallback pipeline
+//   POST /v1/audio/transcriptions      fallback pipeline
+//   POST /v1/audio/speech              fallback pipeline
+//   GET  /__mock/received              the last MAX_RECEIVED events the proxy
+//                                      sent plus the number of open realtime
+//                                      sockets, for assertions
+//
+// What the "model" says and does is scripted by a scenario file (see
+// lib/mock/scenarios). Run standalone with `npm run mock`, or in-process by
+// starting the server with MOCK_REALTIME=1.
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const WebSocket = require('ws');
+const { randomBytes } = require('crypto');
+const { createLogger } = require('../logger');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const PCM16_BYTES_PER_MS = 48;
+// Audio deltas are streamed in 100 ms chunks
+const AUDIO_CHUNK_MS = 100;
+// Received events kept for /__mock/received; older ones are dropped so a long
+// dev session doesn't hold on to every audio chunk
+const MAX_RECEIVED = 5000;
+
+const log = createLogger('mock');
+
+function loadScenario(nameOrPath = 'default') {
+  const file = nameOrPath.endsWith('.json') ? nameOrPath : path.join(SCENARIOS_DIR, `${nameOrPath}.json`);
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  return {
+    name: scenario.name || path.basename(file, '.json'),
+    token: { status: 200, ...scenario.token },
+    greeting: scenario.greeting || { text: 'Hello from the mock assistant.', audio_ms: 300 },
+    turns: scenario.turns || [{ match: '.*', text: 'Mock answer to: {input}', audio_ms: 300 }],
+    after_tool: scenario.after_tool || { text: 'Here is what I found: {output}', audio_ms: 300 },
+    audio_input: {
+      speech_started_after_ms: 100,
+      speech_stopped_after_ms: 500,
+      transcripts: ['Hello'],
+      ...scenario.audio_input
+    },
+    delta_interval_ms: scenario.delta_interval_ms ?? 10,
+    disconnect: scenario.disconnect || null
+  };
+}
+
+const id = (prefix) => `${prefix}_${randomBytes(6).toString('hex')}`;
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// A quiet 440 Hz tone so recordings and players have something audible
+function toneChunk(ms) {
+  const samples = ms * PCM16_BYTES_PER_MS / 2;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(2000 * Math.sin((2 * Math.PI * 440 * i) / 24000)), i * 2);
+  }
+  return pcm.toString('base64');
+}
+
+// The parsed body, or undefined when it isn't JSON
+function parseJson(body) {
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function pickTurn(scenario, input) {
+  return scenario.turns.find(turn => new RegExp(turn.match || '.*', 'i').test(input || '')) || scenario.turns[0];
+}
+
+function createMockRealtimeServer({
+  scenario: scenarioName = process.env.MOCK_SCENARIO || 'default',
+  maxReceived = MAX_RECEIVED
+} = {}) {
+  const scenario = loadScenario(scenarioName);
+  const received = [];
+  let dropped = 0;
+  let completedResponses = 0;
+  let disconnects = 0;
+  let tokensMinted = 0;
+
+  function record(event) {
+    received.push(event);
+    if (received.length > maxReceived) {
+      received.shift();
+      dropped++;
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const json = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.method === 'GET' && req.url === '/__mock/received') {
+        return json(200, { received, dropped, connections: wss.clients.size });
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/realtime/sessions') {
+        const request = body ? parseJson(body) : null;
+        if (request === undefined) {
+          return json(400, { error: { message: 'Invalid JSON body' } });
+        }
+        record({ type: 'http.realtime.sessions', body: request });
+        // `fail_after` lets the first N tokens through, e.g. to break reconnects
+        const failing = scenario.token.status !== 200 ||
+          (scenario.token.fail_after !== undefined && tokensMinted >= scenario.token.fail_after);
+        if (failing) {
+          return json(scenario.token.status !== 200 ? scenario.token.status : 500, { error: { message: 'Mock token failure' } });
+        }
+        tokensMinted++;
+        return json(200, {
+          id: id('sess'),
+          object: 'realtime.session',
+          model: 'gpt-4o-realtime-preview',
+          client_secret: { value: id('ek_mock'), expires_at: Math.floor(Date.now() / 1000) + 60 }
+        });
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+        const request = parseJson(body);
+        if (!Array.isArray(request?.messages)) {
+          return json(400, { error: { message: 'Expected a JSON body with "messages"' } });
+        }
+        record({ type: 'http.chat.completions', body: request });
+        const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+        const turn = pickTurn(scenario, lastUser?.content);
+        return json(200, {
+          id: id('chatcmpl'),
+          choices: [{ index: 0, message: { role: 'assistant', content: fill(turn.text || 'Mock answer', { input: lastUser?.content || '' }) } }],
+          usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+        });
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/audio/transcriptions') {
+        // Only the form's text fields matter; the audio part is not decoded
+        const language = /name="language"\r\n\r\n([^\r]*)/.exec(body)?.[1] || null;
+        record({ type: 'http.audio.transcriptions', language });
+        return json(200, { text: scenario.audio_input.transcripts[0] });
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/audio/speech') {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        return res.end(Buffer.from(toneChunk(300), 'base64'));
+      }
+
+      json(404, { error: { message: `Mock has no route for ${req.method} ${req.url}` } });
+    });
+  });
+
+  const wss = new WebSocket.Server({ server, path: '/v1/realtime' });
+
+  wss.on('connection', (socket) => {
+    const session = { id: id('sess') };
+    const items = [];
+    let audioMs = 0;
+    let speaking = false;
+    let transcriptIndex = 0;
+    let active = null;
+    // Like the real API, the voice is fixed once assistant audio exists
+    let spoke = false;
+
+    const send = (event) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ event_id: id('event'), ...event }));
+      }
+    };
+
+    function finishResponse(response, status) {
+      clearTimeout(response.timer);
+      if (active === response) active = null;
+      send({
+        type: 'response.done',
+        response: {
+          id: response.id,
+          status,
+          output: response.output,
+          usage: {
+            total_tokens: 120,
+            input_tokens: 80,
+            output_tokens: 40,
+            input_token_details: { text_tokens: 60, audio_tokens: 20, cached_tokens: 0 },
+            output_token_details: { text_tokens: 10, audio_tokens: 30 }
+          }
+        }
+      });
+
+      if (status !== 'completed') return;
+      completedResponses++;
+
+      // Scripted upstream drop, to exercise reconnection
+      const drop = scenario.disconnect;
+      if (drop && completedResponses >= drop.after_responses && disconnects < (drop.times ?? 1)) {
+        disconnects++;
+        setTimeout(() => socket.close(1011, 'Mock disconnect'), 20);
+      }
+    }
+
+    // Stream a scripted step as a realtime response
+    function runResponse(step, values) {
+      const response = { id: id('resp'), output: [], timer: null };
+      active = response;
+      send({ type: 'response.created', response: { id: response.id, status: 'in_progress' } });
+
+      if (step.function_call) {
+        const item = { id: id('item'), type: 'function_call', call_id: id('call'), name: step.function_call.name };
+        const args = JSON.stringify(step.function_call.arguments || {});
+        response.output.push(item);
+        send({ type: 'response.output_item.added', response_id: response.id, item });
+        send({ type: 'response.function_call_arguments.done', response_id: response.id, item_id: item.id, call_id: item.call_id, name: item.name, arguments: args });
+        finishResponse(response, 'completed');
+        return;
+      }
+
+      const item = { id: id('item'), type: 'message', role: 'assistant' };
+      const transcript = fill(step.text || '', values);
+      const chunks = Math.max(1, Math.ceil((step.audio_ms ?? 300) / AUDIO_CHUNK_MS));
+      response.output.push(item);
+      send({ type: 'response.output_item.added', response_id: response.id, item });
+
+      let sent = 0;
+      const tick = () => {
+        if (active !== response) return;
+        if (sent < chunks) {
+          sent++;
+          spoke = true;
+          send({ type: 'response.audio.delta', response_id: response.id, item_id: item.id, content_index: 0, delta: toneChunk(AUDIO_CHUNK_MS) });
+          response.timer = setTimeout(tick, scenario.delta_interval_ms);
+          return;
+        }
+        send({ type: 'response.audio.done', response_id: response.id, item_id: item.id });
+        send({ type: 'response.audio_transcript.done', response_id: response.id, item_id: item.id, transcript });
+        send({ type: 'response.output_item.done', response_id: response.id, item });
+        finishResponse(response, 'completed');
+      };
+      tick();
+    }
+
+    function respond(request) {
+      const last = items[items.length - 1];
+
+      if (request?.instructions && /greet/i.test(request.instructions)) {
+        return runResponse(scenario.greeting, {});
+      }
+      if (last && last.type === 'function_call_output') {
+        return runResponse(scenario.after_tool, { output: last.output });
+      }
+      const input = last && last.type === 'message' ? last.content?.[0]?.text || last.content?.[0]?.transcript : '';
+      runResponse(pickTurn(scenario, input), { input });
+    }
+
+    // Fake server VAD: speech "starts" and "stops" after fixed amounts of audio
+    function onAudio(base64) {
+      audioMs += Buffer.from(base64, 'base64').length / PCM16_BYTES_PER_MS;
+      const vad = scenario.audio_input;
+
+      if (!speaking && audioMs >= vad.speech_started_after_ms) {
+        speaking = true;
+        send({ type: 'input_audio_buffer.speech_started', audio_start_ms: Math.round(audioMs), item_id: id('item') });
+      }
+      if (speaking && audioMs >= vad.speech_stopped_after_ms) {
+        speaking = false;
+        audioMs = 0;
+        const itemId = id('item');
+        const transcript = vad.transcripts[transcriptIndex++ % vad.transcripts.length];
+        send({ type: 'input_audio_buffer.speech_stopped', item_id: itemId });
+        send({ type: 'input_audio_buffer.committed', item_id: itemId });
+        items.push({ id: itemId, type: 'message', role: 'user', content: [{ type: 'input_audio', transcript }] });
+        send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript });
+        if (!active) respond(null);
+      }
+    }
+
+    socket.on('message', (data) => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (error) {
+        return send({ type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON' } });
+      }
+      record(event);
+      // Errors name the client event that caused them, like the real API
+      const fail = (error) => send({ type: 'error', error: { type: 'invalid_request_error', ...error, event_id: event.event_id } });
+
+      switch (event.type) {
+        case 'session.update':
+          if (spoke && event.session?.voice && event.session.voice !== session.voice) {
+            return fail({ code: 'cannot_update_voice', message: "Cannot update a conversation's voice if assistant audio is present." });
+          }
+          Object.assign(session, event.session);
+          return send({ type: 'session.updated', session });
+        case 'input_audio_buffer.append':
+          return onAudio(event.audio || '');
+        case 'input_audio_buffer.clear':
+          audioMs = 0;
+          speaking = false;
+          return send({ type: 'input_audio_buffer.cleared' });
+        case 'conversation.item.create': {
+          const item = { id: id('item'), ...event.item };
+          items.push(item);
+          return send({ type: 'conversation.item.created', item });
+        }
+        case 'conversation.item.truncate':
+          return send({ type: 'conversation.item.truncated', item_id: event.item_id, content_index: event.content_index, audio_end_ms: event.audio_end_ms });
+        case 'response.create':
+          if (active) {
+            return fail({ code: 'conversation_already_has_active_response', message: 'Conversation already has an active response' });
+          }
+          return respond(event.response);
+        case 'response.cancel':
+          if (!active) {
+            return fail({ code: 'response_cancel_not_active', message: 'No active response' });
+          }
+          return finishResponse(active, 'cancelled');
+        default:
+          return fail({ message: `Mock does not handle ${event.type}` });
+      }
+    });
+
+    socket.on('close', () => {
+      if (active) clearTimeout(active.timer);
+      active = null;
+    });
+
+    send({ type: 'session.created', session });
+  });
+
+  function listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve) => {
+      server.listen(port, host, () => {
+        const address = server.address();
+        resolve({
+          apiBase: `http://${host}:${address.port}/v1`,
+          realtimeUrl: `ws://${host}:${address.port}/v1/realtime`,
+          port: address.port
+        });
+      });
+    });
+  }
+
+  function close() {
+    wss.clients.forEach(client => client.terminate());
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return { scenario, received, listen, close };
+}
+
+module.exports = { loadScenario, createMockRealtimeServer };
+
+if (require.main === module) {
+  const mock = createMockRealtimeServer();
+  mock.listen(Number(process.env.MOCK_REALTIME_PORT) || 4010, '0.0.0.0').then(({ port }) => {
+    log.info('Mock realtime upstream listening', {
+      scenario: mock.scenario.name,
+      port,
+      env: `OPENAI_API_BASE=http://localhost:${port}/v1 OPENAI_REALTIME_URL=ws://localhost:${port}/v1/realtime`
+    });
+  });
+}
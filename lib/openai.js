@@ -0,0 +1,129 @@
+// OpenAI API access: ephemeral realtime tokens plus the plain REST calls
+// (transcription, chat, speech) used by the fallback pipeline.
+//
+// Endpoints default to api.openai.com and can be pointed elsewhere with
+// OPENAI_API_BASE / OPENAI_REALTIME_URL, or at runtime with useOpenAIEndpoints()
+// (the mock upstream does this).
+const { createLogger } = require('./logger');
+const { tokenMintDuration, tokenMintFailures } = require('./metrics');
+
+const REALTIME_MODEL = process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview';
+const DEFAULT_TIMEOUT_MS = 30000;
+const TOKEN_TIMEOUT_MS = 10000;
+
+const log = createLogger('openai');
+
+const endpoints = {
+  apiKey: process.env.OPENAI_API_KEY,
+  apiBase: (process.env.OPENAI_API_BASE || 'https://api.openai.com/v1').replace(/\/$/, ''),
+  realtimeUrl: process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime'
+};
+
+function useOpenAIEndpoints({ apiKey, apiBase, realtimeUrl }) {
+  if (apiKey) endpoints.apiKey = apiKey;
+  if (apiBase) endpoints.apiBase = apiBase.replace(/\/$/, '');
+  if (realtimeUrl) endpoints.realtimeUrl = realtimeUrl;
+}
+
+function getRealtimeUrl() {
+  return endpoints.realtimeUrl;
+}
+
+async function openaiFetch(path, { method = 'POST', json, body, headers = {}, signal, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const requestHeaders = { 'Authorization': `Bearer ${endpoints.apiKey}`, ...headers };
+  if (json !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const response = await fetch(`${endpoints.apiBase}${path}`, {
+    method,
+    headers: requestHeaders,
+    body: json !== undefined ? JSON.stringify(json) : body,
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`OpenAI ${path} HTTP ${response.status}: ${detail.substring(0, 200)}`);
+  }
+  return response;
+}
+
+// Mint an ephemeral realtime session. `session` is applied to it up front,
+// which is how direct (WebRTC) clients get their persona. Resolves with the
+// API's response, `client_secret` included.
+async function createRealtimeSession(session = {}) {
+  const endTimer = tokenMintDuration.startTimer();
+
+  try {
+    const response = await openaiFetch('/realtime/sessions', {
+      json: { model: REALTIME_MODEL, voice: 'alloy', ...session },
+      headers: { 'OpenAI-Beta': 'realtime=v1' },
+      timeoutMs: TOKEN_TIMEOUT_MS
+    });
+
+    const json = await response.json();
+    if (!json.client_secret?.value) {
+      throw new Error('No client_secret in response');
+    }
+
+    const seconds = endTimer({ result: 'success' });
+    log.info('Ephemeral token minted', { durationMs: Math.round(seconds * 1000) });
+    return json;
+  } catch (error) {
+    endTimer({ result: 'failure' });
+    tokenMintFailures.inc();
+    throw error;
+  }
+}
+
+// Get ephemeral token
+async function getRealtimeToken() {
+  const session = await createRealtimeSession();
+  return session.client_secret.value;
+}
+
+// Where WebRTC clients post their SDP offer, with the ephemeral token as bearer
+function getRealtimeWebRtcUrl(model = REALTIME_MODEL) {
+  return `${endpoints.apiBase}/realtime?model=${encodeURIComponent(model)}`;
+}
+
+// Speech to text for a WAV buffer
+async function transcribe(wav, { language, signal } = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([wav], { type: 'audio/wav' }), 'speech.wav');
+  form.append('model', 'whisper-1');
+  if (language) form.append('language', language);
+
+  const response = await openaiFetch('/audio/transcriptions', { body: form, signal });
+  const json = await response.json();
+  return (json.text || '').trim();
+}
+
+async function chatCompletion(request, { signal } = {}) {
+  const response = await openaiFetch('/chat/completions', { json: request, signal });
+  return response.json();
+}
+
+// Text to raw PCM16 mono at 24 kHz - the same format the realtime API streams
+async function synthesizeSpeech(text, { voice, signal } = {}) {
+  const response = await openaiFetch('/audio/speech', {
+    json: { model: 'tts-1', input: text, voice, response_format: 'pcm' },
+    signal
+  });
+  return Buffer.from(await response.arrayBuffer());
+}
+
+module.exports = {
+  REALTIME_MODEL,
+  useOpenAIEndpoints,
+  getRealtimeUrl,
+  getRealtimeWebRtcUrl,
+  openaiFetch,
+  createRealtimeSession,
+  getRealtimeToken,
+  transcribe,
+  chatCompletion,
+  synthesizeSpeech
+};
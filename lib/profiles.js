@@ -0,0 +1,185 @@
+// Persona profiles. A profile bundles everything that defines how the assistant
+// behaves for one product: instructions, voice, tools, VAD settings and greeting.
+// `greetings` and `voices` optionally override the greeting and voice per
+// conversation language, e.g. `greetings: { es: '¡Hola!' }`.
+//
+// Profiles live as JSON or YAML files in PROFILES_DIR (default config/profiles),
+// one profile per file, named after the file. They are loaded at startup and
+// reloaded when the files change.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { listTools } = require('./tools');
+const { LANGUAGES, isLanguage } = require('./languages');
+const { createLogger } = require('./logger');
+
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, '..', 'config', 'profiles');
+const DEFAULT_PROFILE = process.env.DEFAULT_PROFILE || 'life';
+const RELOAD_DEBOUNCE_MS = 200;
+
+const ALLOWED_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+// Accepted ranges for the numeric settings, in profiles and client overrides
+const RANGES = {
+  temperature: [0.6, 1.2],
+  threshold: [0, 1],
+  prefix_padding_ms: [0, 2000],
+  silence_duration_ms: [200, 3000]
+};
+const PROFILE_FILE_PATTERN = /\.(json|ya?ml)$/;
+
+const log = createLogger('profiles');
+
+let profiles = {};
+
+class ProfileError extends Error {
+  constructor(file, message) {
+    super(`${path.basename(file)}: ${message}`);
+    this.name = 'ProfileError';
+    this.file = file;
+  }
+}
+
+function validateProfile(file, data) {
+  const fail = (message) => { throw new ProfileError(file, message); };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    fail('profile must be an object');
+  }
+
+  const name = data.name || path.basename(file).replace(PROFILE_FILE_PATTERN, '');
+  if (!/^[a-z0-9_-]+$/i.test(name)) fail(`invalid profile name "${name}"`);
+  if (typeof data.instructions !== 'string' || !data.instructions.trim()) fail('"instructions" is required');
+  if (typeof data.greeting !== 'string' || !data.greeting.trim()) fail('"greeting" is required');
+  if (!ALLOWED_VOICES.includes(data.voice)) fail(`"voice" must be one of: ${ALLOWED_VOICES.join(', ')}`);
+  const language = data.language ?? 'en';
+  if (!isLanguage(language)) fail(`"language" must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+
+  const greetings = data.greetings || {};
+  for (const [code, greeting] of Object.entries(greetings)) {
+    if (!isLanguage(code)) fail(`unknown language "${code}" in "greetings"`);
+    if (typeof greeting !== 'string' || !greeting.trim()) fail(`"greetings.${code}" must be a non-empty string`);
+  }
+  const voices = data.voices || {};
+  for (const [code, voice] of Object.entries(voices)) {
+    if (!isLanguage(code)) fail(`unknown language "${code}" in "voices"`);
+    if (!ALLOWED_VOICES.includes(voice)) fail(`"voices.${code}" must be one of: ${ALLOWED_VOICES.join(', ')}`);
+  }
+
+  const inRange = (name, value, label = name) => {
+    const [min, max] = RANGES[name];
+    if (typeof value !== 'number' || !(value >= min && value <= max)) {
+      fail(`"${label}" must be a number between ${min} and ${max}`);
+    }
+  };
+
+  const temperature = data.temperature ?? 0.8;
+  inRange('temperature', temperature);
+
+  const tools = data.tools || [];
+  if (!Array.isArray(tools)) fail('"tools" must be a list of tool names');
+  const knownTools = listTools();
+  for (const tool of tools) {
+    if (!knownTools.includes(tool)) fail(`unknown tool "${tool}"`);
+  }
+
+  const vad = data.vad || {};
+  for (const [key, value] of Object.entries(vad)) {
+    if (!['threshold', 'prefix_padding_ms', 'silence_duration_ms'].includes(key)) fail(`unknown vad setting "${key}"`);
+    inRange(key, value, `vad.${key}`);
+  }
+
+  return {
+    name,
+    description: data.description || '',
+    instructions: data.instructions.trim(),
+    greeting: data.greeting.trim(),
+    voice: data.voice,
+    language,
+    // The main greeting doubles as the one for the profile's own language
+    greetings: { ...Object.fromEntries(Object.entries(greetings).map(([code, text]) => [code, text.trim()])), [language]: data.greeting.trim() },
+    voices: { ...voices },
+    temperature,
+    tools,
+    vad: {
+      threshold: vad.threshold ?? 0.5,
+      prefix_padding_ms: vad.prefix_padding_ms ?? 300,
+      silence_duration_ms: vad.silence_duration_ms ?? 1000
+    }
+  };
+}
+
+function parseProfileFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  try {
+    return file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new ProfileError(file, `parse error - ${error.message}`);
+  }
+}
+
+// Read and validate every profile in the directory. Throws ProfileError on the
+// first bad file so startup fails loudly instead of serving a broken persona.
+function readProfiles(dir = PROFILES_DIR) {
+  const files = fs.readdirSync(dir).filter(file => PROFILE_FILE_PATTERN.test(file)).sort();
+  const loaded = {};
+
+  for (const file of files) {
+    const fullPath = path.join(dir, file);
+    const profile = validateProfile(fullPath, parseProfileFile(fullPath));
+    if (Object.hasOwn(loaded, profile.name)) {
+      throw new ProfileError(fullPath, `duplicate profile name "${profile.name}"`);
+    }
+    loaded[profile.name] = profile;
+  }
+
+  if (!Object.hasOwn(loaded, DEFAULT_PROFILE)) {
+    throw new Error(`Default profile "${DEFAULT_PROFILE}" not found in ${dir}`);
+  }
+  return loaded;
+}
+
+function loadProfiles(dir = PROFILES_DIR) {
+  profiles = readProfiles(dir);
+  return listProfiles();
+}
+
+// Reload on change. A broken edit is logged and the previous profiles are kept.
+function watchProfiles(dir = PROFILES_DIR) {
+  let timer = null;
+
+  const watcher = fs.watch(dir, () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        profiles = readProfiles(dir);
+        log.info('Profiles reloaded', { profiles: Object.keys(profiles) });
+      } catch (error) {
+        log.error('Profile reload failed, keeping previous profiles', { error: error.message });
+      }
+    }, RELOAD_DEBOUNCE_MS);
+  });
+
+  watcher.unref();
+  return watcher;
+}
+
+// Own properties only, so names like "constructor" are not profiles
+function getProfile(name) {
+  return Object.hasOwn(profiles, name) ? profiles[name] : null;
+}
+
+function listProfiles() {
+  return Object.values(profiles);
+}
+
+module.exports = {
+  ALLOWED_VOICES,
+  RANGES,
+  DEFAULT_PROFILE,
+  PROFILES_DIR,
+  ProfileError,
+  loadProfiles,
+  watchProfiles,
+  getProfile,
+  listProfiles
+};
@@ -0,0 +1,158 @@
+// Rate limiting - token buckets for "N per minute" limits and counters for
+// concurrent session quotas.
+//
+// The limiter talks to a store so a shared backend (e.g. Redis) can replace the
+// in-memory one later. A store implements:
+//   take(key, { capacity, refillPerSecond }) -> { allowed, remaining, retryAfterMs }
+//   acquire(key, max)                         -> { allowed, active }
+//   release(key)
+//
+// Limits come from the environment; a limit of 0 disables that check.
+const SWEEP_INTERVAL_MS = 60000;
+// Concurrent quotas free up when another session ends, which we can't predict.
+const CONCURRENT_RETRY_AFTER_MS = 30000;
+
+function envLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const DEFAULT_LIMITS = {
+  concurrentSessions: envLimit('MAX_CONCURRENT_SESSIONS', 3),
+  sessionsPerMinute: envLimit('SESSIONS_PER_MINUTE', 10),
+  toolCallsPerMinute: envLimit('TOOL_CALLS_PER_MINUTE', 20),
+  textMessagesPerMinute: envLimit('TEXT_MESSAGES_PER_MINUTE', 30),
+  testSearchPerMinute: envLimit('TEST_SEARCH_PER_MINUTE', 10)
+};
+
+function createMemoryStore() {
+  const buckets = new Map();
+  const slots = new Map();
+
+  function refill(bucket, rule, now) {
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(rule.capacity, bucket.tokens + elapsedSeconds * rule.refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  function take(key, rule) {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: rule.capacity, updatedAt: now, rule };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, rule, now);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    }
+
+    const retryAfterMs = Math.ceil(((1 - bucket.tokens) / rule.refillPerSecond) * 1000);
+    return { allowed: false, remaining: 0, retryAfterMs };
+  }
+
+  function acquire(key, max) {
+    const active = slots.get(key) || 0;
+    if (active >= max) {
+      return { allowed: false, active };
+    }
+    slots.set(key, active + 1);
+    return { allowed: true, active: active + 1 };
+  }
+
+  function release(key) {
+    const active = (slots.get(key) || 0) - 1;
+    if (active > 0) {
+      slots.set(key, active);
+    } else {
+      slots.delete(key);
+    }
+  }
+
+  // Forget buckets that have refilled completely - they behave like new ones.
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      refill(bucket, bucket.rule, now);
+      if (bucket.tokens >= bucket.rule.capacity) buckets.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return { take, acquire, release };
+}
+
+function perMinute(limit) {
+  return { capacity: limit, refillPerSecond: limit / 60 };
+}
+
+function createRateLimiter({ store = createMemoryStore(), limits = DEFAULT_LIMITS } = {}) {
+  const rules = {
+    sessions_per_minute: perMinute(limits.sessionsPerMinute),
+    tool_calls_per_minute: perMinute(limits.toolCallsPerMinute),
+    text_messages_per_minute: perMinute(limits.textMessagesPerMinute),
+    test_search_per_minute: perMinute(limits.testSearchPerMinute)
+  };
+
+  // Check a per-minute limit for a key. `limit` is one of the rule names above.
+  function consume(limit, key) {
+    const rule = rules[limit];
+    if (!rule) {
+      throw new Error(`Unknown rate limit "${limit}"`);
+    }
+    if (rule.capacity === 0) {
+      return { allowed: true, remaining: Infinity, retryAfterMs: 0, limit };
+    }
+    const result = store.take(`${limit}:${key}`, rule);
+    return { ...result, limit };
+  }
+
+  // Admit a new realtime session for a client key. On success the result
+  // carries a `release` function that must be called when the session ends.
+  function openSession(key) {
+    const slot = store.acquire(`concurrent_sessions:${key}`, limits.concurrentSessions || Infinity);
+    if (!slot.allowed) {
+      return { allowed: false, limit: 'concurrent_sessions', retryAfterMs: CONCURRENT_RETRY_AFTER_MS };
+    }
+
+    const rate = consume('sessions_per_minute', key);
+    if (!rate.allowed) {
+      store.release(`concurrent_sessions:${key}`);
+      return rate;
+    }
+
+    let released = false;
+    return {
+      allowed: true,
+      limit: 'concurrent_sessions',
+      release: () => {
+        if (released) return;
+        released = true;
+        store.release(`concurrent_sessions:${key}`);
+      }
+    };
+  }
+
+  return { limits, consume, openSession };
+}
+
+// The payload sent to clients that hit a limit.
+function rateLimitError(result) {
+  const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+  return {
+    type: 'error',
+    code: 'rate_limited',
+    limit: result.limit,
+    message: `Rate limit exceeded (${result.limit}). Retry after ${retryAfter}s.`,
+    retryAfter
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  createMemoryStore,
+  createRateLimiter,
+  rateLimitError
+};
@@ -0,0 +1,1017 @@
+// One client conversation, bridged to the OpenAI Realtime API.
+//
+// The session owns all per-connection state and moves through an explicit
+// lifecycle:
+//
+//   idle -> connecting -> ready <-> reconnecting
+//              |                        |
+//              +------> fallback <------+        (any state) -> closed
+//
+// Client messages and upstream events are routed through the dispatch tables
+// below. Both sockets are injected as transports (see lib/transports.js), so a
+// session can be driven entirely in memory.
+const { EventEmitter } = require('events');
+const { randomBytes } = require('crypto');
+const { runSessionToolCall } = require('./tools');
+const { buildReplayItems } = require('./transcripts');
+const { rateLimitError } = require('./rate-limit');
+const { isMessage } = require('./transports');
+const {
+  INPUT_POLICIES,
+  ConfigError,
+  resolveSessionConfig,
+  parseLanguage,
+  profileLanguage,
+  buildSessionUpdate,
+  greetingInstructions
+} = require('./session-config');
+const { AUTO, detectLanguage } = require('./languages');
+const { createFallbackSession } = require('./fallback');
+const { REALTIME_MODEL } = require('./openai');
+const { budgetExceededError } = require('./usage');
+const { roundUsd } = require('./usage/pricing');
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+
+// PCM16 mono at 24 kHz
+const PCM16_BYTES_PER_MS = 48;
+
+const DEFAULT_OPTIONS = {
+  // Upstream reconnection
+  reconnectMaxAttempts: Number(process.env.RECONNECT_MAX_ATTEMPTS) || 5,
+  reconnectBaseDelayMs: Number(process.env.RECONNECT_BASE_DELAY_MS) || 500,
+  reconnectMaxDelayMs: Number(process.env.RECONNECT_MAX_DELAY_MS) || 8000,
+  replayItems: Number(process.env.RECONNECT_REPLAY_ITEMS) || 20,
+  // What happens to client audio while upstream is down: 'buffer' or 'drop'
+  audioPolicy: process.env.RECONNECT_AUDIO_POLICY === 'drop' ? 'drop' : 'buffer',
+  audioBufferMs: Number(process.env.RECONNECT_AUDIO_BUFFER_MS) || 5000,
+  // Text turns held while the assistant is busy
+  maxPendingTexts: Number(process.env.MAX_PENDING_TEXTS) || 10,
+  // Chat + TTS pipeline when the realtime API is unavailable
+  fallbackEnabled: process.env.FALLBACK_ENABLED !== 'false',
+  greetingDelayMs: 500,
+  toolResponseDelayMs: 100,
+  // How often a draining session checks whether its current turn is over
+  drainPollMs: 250
+};
+
+const TRANSITIONS = {
+  idle: ['connecting', 'closed'],
+  connecting: ['ready', 'reconnecting', 'fallback', 'closed'],
+  ready: ['reconnecting', 'fallback', 'closed'],
+  reconnecting: ['ready', 'fallback', 'closed'],
+  fallback: ['closed'],
+  closed: []
+};
+
+// Upstream event type -> handler method
+const UPSTREAM_EVENTS = {
+  'session.updated': 'onSessionUpdated',
+  'input_audio_buffer.speech_started': 'onSpeechStarted',
+  'input_audio_buffer.speech_stopped': 'onSpeechStopped',
+  'response.created': 'onResponseCreated',
+  'response.audio.delta': 'onAudioDelta',
+  'response.done': 'onResponseDone',
+  'conversation.item.input_audio_transcription.completed': 'onUserTranscript',
+  'response.audio_transcript.done': 'onAssistantTranscript',
+  'response.function_call_arguments.done': 'onFunctionCall',
+  'error': 'onUpstreamError'
+};
+
+// Client message type -> handler method, once the upstream session is ready
+const CLIENT_MESSAGES = {
+  audio: 'onClientAudio',
+  text_message: 'onTextMessage',
+  playback: 'onPlayback',
+  mute: 'onMute',
+  unmute: 'onUnmute',
+  set_language: 'onSetLanguage'
+};
+
+// Upstream events too frequent to log one by one
+const AUDIO_UPSTREAM_EVENTS = ['response.audio.delta', 'response.audio_transcript.delta'];
+
+class RealtimeSession extends EventEmitter {
+  constructor({
+    id = randomBytes(4).toString('hex'),
+    user = { id: null, anonymous: true },
+    remoteAddress = null,
+    client,
+    openUpstream,
+    config,
+    language = AUTO,
+    transcripts,
+    rateLimiter,
+    usage = null,
+    recordings = null,
+    recordingConsent = false,
+    createFallback = createFallbackSession,
+    options = {}
+  }) {
+    super();
+    this.id = id;
+    this.user = user;
+    this.remoteAddress = remoteAddress;
+    this.client = client;
+    this.openUpstream = openUpstream;
+    this.config = config;
+    this.transcripts = transcripts;
+    this.rateLimiter = rateLimiter;
+    this.usage = usage;
+    this.recordings = recordings;
+    this.recordingConsent = recordingConsent;
+    this.createFallback = createFallback;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.log = createLogger('session', { clientId: id });
+
+    this.state = 'idle';
+    this.startedAt = null;
+    this.upstream = null;
+    this.fallback = null;
+    // `auto` follows the language the user speaks, otherwise it is pinned
+    this.autoLanguage = language === AUTO;
+    this.language = this.autoLanguage ? profileLanguage(config) : language;
+    this.isMuted = false;
+    this.hasGreeted = false;
+    // Client messages that arrived before the upstream session was ready
+    this.messageQueue = [];
+
+    // Response tracking
+    this.isResponding = false;
+    this.responseRequested = false;
+    // event_id of the last response.create, to match upstream errors against it
+    this.responseRequestId = null;
+    this.pendingToolCalls = 0;
+    this.pendingTexts = [];
+    this.currentResponseId = null;
+    this.responseStartedAt = null;
+    this.cancelledResponseId = null;
+    // The voice the upstream session speaks with. It is fixed once the
+    // assistant has produced audio there.
+    this.upstreamVoice = null;
+    this.upstreamHasAudio = false;
+    // End of the last user utterance, until its answer starts playing
+    this.speechStoppedAt = null;
+    // Estimated cost of this session's responses, in USD
+    this.costUsd = 0;
+    // Set while the conversation is being recorded (see lib/recordings)
+    this.recorder = null;
+    // Assistant audio the client may still be playing, for barge-in truncation
+    this.assistantAudio = null;
+    this.playback = null;
+
+    // Reconnection
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.outageAudio = [];
+    this.outageAudioBytes = 0;
+    this.outageAudioDropped = false;
+
+    // Graceful shutdown
+    this.draining = false;
+    this.drained = null;
+    this.drainTimer = null;
+    this.drainPoll = null;
+  }
+
+  // --- Lifecycle -----------------------------------------------------------
+
+  transition(to) {
+    const from = this.state;
+    if (from === to) return;
+    if (!TRANSITIONS[from].includes(to)) {
+      throw new Error(`Invalid session transition ${from} -> ${to}`);
+    }
+    this.state = to;
+    this.log.debug('State changed', { from, to });
+    this.emit('state', to, from);
+  }
+
+  async start() {
+    this.startedAt = Date.now();
+    metrics.activeSessions.inc();
+    this.transcripts.append(this.id, {
+      type: 'session_start',
+      user: this.user.id,
+      remoteAddress: this.remoteAddress
+    });
+
+    this.client.on('message', (message) => {
+      try {
+        this.handleClientMessage(message);
+      } catch (error) {
+        this.log.error('Failed to handle client message', { event: message?.type, error });
+      }
+    });
+    this.client.on('close', () => this.close());
+    this.client.on('error', (error) => {
+      this.log.warn('Client socket error', { error });
+    });
+    if (this.recordingConsent) {
+      this.setRecordingConsent(true);
+    }
+
+    this.transition('connecting');
+    try {
+      await this.connectUpstream();
+    } catch (error) {
+      this.setupFailed(error);
+    }
+  }
+
+  // The first upstream connection failed: carry on in fallback mode, or close
+  // the client, which also frees its session slot
+  setupFailed(error) {
+    this.log.error('Realtime setup failed', { error });
+    this.client.send({ type: 'error', message: `Setup failed: ${error.message}` });
+    if (!this.startFallback(`realtime setup failed (${error.message})`)) {
+      this.client.close(1011, 'Realtime setup failed');
+      this.close();
+    }
+  }
+
+  close() {
+    if (this.state === 'closed') return;
+    this.transition('closed');
+    if (this.startedAt) {
+      const durationMs = Date.now() - this.startedAt;
+      metrics.activeSessions.dec();
+      metrics.sessionDuration.observe({}, durationMs / 1000);
+      this.log.info('Session closed', { durationMs, costUsd: this.costUsd });
+    }
+    this.transcripts.append(this.id, { type: 'session_end' });
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.drainTimer);
+    clearInterval(this.drainPoll);
+    if (this.recorder) {
+      this.recorder.finish();
+      this.recorder = null;
+    }
+    if (this.fallback) this.fallback.close();
+    if (this.upstream) this.upstream.close();
+    this.emit('close');
+  }
+
+  // Server shutdown: tell the client, let the current response finish and
+  // close once the session is idle or `deadlineMs` has passed, whichever comes
+  // first. New turns are refused meanwhile. Resolves when the session is closed.
+  drain(deadlineMs) {
+    if (this.state === 'closed') return Promise.resolve();
+    if (this.drained) return this.drained;
+
+    this.draining = true;
+    this.drained = new Promise(resolve => this.once('close', resolve));
+    this.log.info('Draining session', { deadlineMs, idle: this.isIdle() });
+    this.client.send({ type: 'server_shutting_down', deadlineMs });
+
+    this.drainTimer = setTimeout(() => this.finishDrain('deadline'), deadlineMs);
+    this.drainPoll = setInterval(() => this.checkDrained(), this.options.drainPollMs);
+    this.checkDrained();
+    return this.drained;
+  }
+
+  // No response, tool call or fallback turn in progress
+  isIdle() {
+    if (this.state === 'ready') return !this.isBusy();
+    if (this.state === 'fallback') return !this.fallback.isBusy();
+    return true;
+  }
+
+  checkDrained() {
+    if (this.draining && this.isIdle()) this.finishDrain('idle');
+  }
+
+  finishDrain(reason) {
+    if (this.state === 'closed') return;
+    this.log.info('Session drained', { reason });
+    this.client.close(1001, 'Server shutting down');
+    this.close();
+  }
+
+  // Open the realtime socket. Used for the first connection and for every
+  // reconnect attempt; `openUpstream` mints a fresh token each time.
+  async connectUpstream() {
+    const replayItems = this.state === 'reconnecting' ? await this.loadReplayItems() : [];
+    const upstream = await this.openUpstream();
+    if (this.state === 'closed' || this.state === 'fallback') {
+      this.log.info('Client left before upstream connect');
+      upstream.close();
+      return;
+    }
+    this.log.debug('Connecting upstream');
+    this.upstream = upstream;
+
+    upstream.on('open', () => this.onUpstreamOpen(replayItems));
+    upstream.on('message', (event) => this.handleUpstreamEvent(event));
+    upstream.on('error', (error) => {
+      metrics.upstreamErrors.inc({ type: 'connection' });
+      this.log.warn('Upstream socket error', { error });
+    });
+    upstream.on('close', () => this.onUpstreamClose(upstream));
+  }
+
+  onUpstreamOpen(replayItems) {
+    this.log.info('Upstream connected');
+    this.upstreamVoice = null;
+    this.upstreamHasAudio = false;
+    this.sendSessionUpdate();
+
+    if (this.state === 'reconnecting') {
+      // Restore context before anything new reaches the fresh session
+      this.log.info('Replaying conversation', { items: replayItems.length });
+      replayItems.forEach(item => this.upstream.send({ type: 'conversation.item.create', item }));
+      return;
+    }
+
+    this.client.send({
+      type: 'connected',
+      message: 'Connected to OpenAI',
+      sessionId: this.id,
+      language: this.language,
+      language_mode: this.languageMode(),
+      profile: this.config.profile,
+      voice: this.config.voice
+    });
+  }
+
+  onUpstreamClose(upstream) {
+    if (upstream !== this.upstream) return;
+    this.log.info('Upstream closed');
+    this.isResponding = false;
+    this.responseRequested = false;
+    // event_id of the last response.create, to match upstream errors against it
+    this.responseRequestId = null;
+    this.pendingToolCalls = 0;
+    this.assistantAudio = null;
+    // The client was never told it is connected, so there is nothing to
+    // reconnect: the first connection simply failed
+    if (this.state === 'connecting') {
+      this.setupFailed(new Error('Upstream closed before the session was ready'));
+    } else if (this.state !== 'closed' && this.state !== 'fallback') {
+      this.scheduleReconnect();
+    }
+  }
+
+  // Transient upstream drops: retry with exponential backoff and a fresh token
+  scheduleReconnect() {
+    const { reconnectMaxAttempts, reconnectBaseDelayMs, reconnectMaxDelayMs, audioPolicy } = this.options;
+
+    if (this.reconnectAttempt >= reconnectMaxAttempts) {
+      this.log.error('Giving up on upstream reconnects', { attempts: this.reconnectAttempt });
+      this.client.send({ type: 'error', message: 'Lost connection to OpenAI' });
+      if (!this.startFallback('realtime connection lost')) {
+        this.client.close();
+      }
+      return;
+    }
+
+    this.reconnectAttempt++;
+    this.transition('reconnecting');
+    const delayMs = Math.min(reconnectBaseDelayMs * 2 ** (this.reconnectAttempt - 1), reconnectMaxDelayMs);
+    this.log.info('Reconnecting upstream', { attempt: this.reconnectAttempt, maxAttempts: reconnectMaxAttempts, delayMs });
+
+    this.client.send({
+      type: 'reconnecting',
+      attempt: this.reconnectAttempt,
+      maxAttempts: reconnectMaxAttempts,
+      delayMs,
+      audio: audioPolicy
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.connectUpstream().catch(error => {
+        this.log.warn('Reconnect attempt failed', { attempt: this.reconnectAttempt, error });
+        if (this.state === 'reconnecting') this.scheduleReconnect();
+      });
+    }, delayMs);
+  }
+
+  // Recent conversation from the stored transcript, for the new upstream session
+  async loadReplayItems() {
+    try {
+      const transcript = await this.transcripts.getTranscript(this.id);
+      return buildReplayItems(transcript ? transcript.entries : [], this.options.replayItems);
+    } catch (error) {
+      this.log.error('Loading conversation replay failed', { error });
+      return [];
+    }
+  }
+
+  // Client audio that arrives while upstream is down
+  holdOutageAudio(message) {
+    if (this.options.audioPolicy === 'drop' || !message.data) return;
+
+    const bytes = Math.floor(message.data.length * 3 / 4);
+    if (this.outageAudioBytes + bytes > this.options.audioBufferMs * PCM16_BYTES_PER_MS) {
+      if (!this.outageAudioDropped) {
+        this.outageAudioDropped = true;
+        this.log.warn('Outage audio buffer full, dropping audio', { bufferedBytes: this.outageAudioBytes });
+        this.client.send({
+          type: 'audio_dropped',
+          reason: 'reconnect_buffer_full',
+          bufferedMs: Math.round(this.outageAudioBytes / PCM16_BYTES_PER_MS)
+        });
+      }
+      return;
+    }
+
+    this.outageAudio.push(message);
+    this.outageAudioBytes += bytes;
+  }
+
+  finishReconnect() {
+    const { audioPolicy } = this.options;
+    const bufferedMs = Math.round(this.outageAudioBytes / PCM16_BYTES_PER_MS);
+    this.log.info('Reconnected', { attempts: this.reconnectAttempt, bufferedAudioMs: bufferedMs });
+
+    this.reconnectAttempt = 0;
+    this.client.send({
+      type: 'reconnected',
+      audio: audioPolicy,
+      bufferedAudioMs: bufferedMs,
+      audioDropped: audioPolicy === 'drop' || this.outageAudioDropped
+    });
+
+    const held = this.outageAudio;
+    this.outageAudio = [];
+    this.outageAudioBytes = 0;
+    this.outageAudioDropped = false;
+    held.forEach(message => this.dispatchClientMessage(message));
+  }
+
+  // Switch this client to the Chat + TTS pipeline. Whatever the client sent
+  // while we were trying the realtime API is handed over.
+  startFallback(reason) {
+    if (!this.options.fallbackEnabled || this.fallback || this.state === 'closed' || !this.client.isOpen()) {
+      return false;
+    }
+
+    this.transition('fallback');
+    clearTimeout(this.reconnectTimer);
+    this.fallback = this.createFallback({
+      client: this.client,
+      clientId: this.id,
+      transcripts: this.transcripts,
+      runToolCall: (name, rawArgs, callId) => this.runToolCall(name, rawArgs, callId),
+      getSessionConfig: () => this.config,
+      getLanguage: () => this.language,
+      isAutoLanguage: () => this.autoLanguage,
+      followLanguage: (text) => this.followLanguage(text),
+      recordUsage: (usage) => this.recordUsage(usage),
+      consumeTextRate: () => this.rateLimiter.consume('text_messages_per_minute', this.id)
+    });
+    this.fallback.start(reason);
+
+    const held = [...this.messageQueue, ...this.outageAudio];
+    this.messageQueue = [];
+    this.outageAudio = [];
+    this.outageAudioBytes = 0;
+    held.forEach(message => this.fallback.handleMessage(message));
+    return true;
+  }
+
+  // --- Upstream events -----------------------------------------------------
+
+  handleUpstreamEvent(event) {
+    if (AUDIO_UPSTREAM_EVENTS.includes(event.type)) {
+      this.log.audio('Upstream audio', { event: event.type, bytes: event.delta ? Math.floor(event.delta.length * 3 / 4) : 0 });
+    } else {
+      this.log.debug('Upstream event', { event: event.type });
+    }
+
+    const method = UPSTREAM_EVENTS[event.type];
+    if (!method) return;
+    try {
+      this[method](event);
+    } catch (error) {
+      this.log.error('Failed to handle upstream event', { event: event.type, error });
+    }
+  }
+
+  onSessionUpdated() {
+    if (this.state !== 'connecting' && this.state !== 'reconnecting') return;
+    this.log.info('Upstream session ready');
+
+    const reconnected = this.state === 'reconnecting';
+    this.transition('ready');
+    if (reconnected) {
+      this.finishReconnect();
+    }
+
+    // Greet only once, later session.updated events come from language or
+    // config changes. Requested before the queue is processed so early text
+    // turns are answered after it.
+    if (!this.hasGreeted) {
+      this.hasGreeted = true;
+      this.requestResponse({
+        modalities: ['text', 'audio'],
+        instructions: greetingInstructions(this.config, this.language)
+      }, this.options.greetingDelayMs);
+    }
+
+    const queued = this.messageQueue;
+    this.messageQueue = [];
+    queued.forEach(message => this.dispatchClientMessage(message));
+    this.drainTextQueue();
+  }
+
+  onSpeechStarted() {
+    this.log.debug('Speech started', { event: 'input_audio_buffer.speech_started' });
+    this.client.send({ type: 'vad_start' });
+    this.recorder?.userSpeechStarted();
+
+    // Barge-in: the user talks over the assistant
+    if (this.isResponding || this.isAssistantAudible()) {
+      this.interruptAssistant('speech_started');
+    }
+  }
+
+  onSpeechStopped() {
+    this.speechStoppedAt = Date.now();
+    this.log.debug('Speech stopped', { event: 'input_audio_buffer.speech_stopped' });
+    this.client.send({ type: 'vad_stop' });
+    this.recorder?.userSpeechStopped();
+  }
+
+  onResponseCreated(event) {
+    this.isResponding = true;
+    this.responseRequested = false;
+    this.currentResponseId = event.response?.id || null;
+    this.responseStartedAt = Date.now();
+    this.log.debug('Response started', { event: event.type, responseId: this.currentResponseId });
+  }
+
+  onAudioDelta(event) {
+    if (!event.delta) return;
+    this.upstreamHasAudio = true;
+    if (event.response_id === this.cancelledResponseId) return;
+    if (this.speechStoppedAt) {
+      metrics.speechToFirstAudio.observe({}, (Date.now() - this.speechStoppedAt) / 1000);
+      this.speechStoppedAt = null;
+    }
+    this.trackAssistantAudio(event);
+    this.recorder?.addAssistantAudio(event.delta, event.item_id);
+    this.client.send({
+      type: 'audio',
+      data: event.delta,
+      format: 'pcm16',
+      item_id: event.item_id
+    });
+  }
+
+  onResponseDone(event) {
+    this.isResponding = false;
+    metrics.responses.inc({ status: event.response?.status || 'unknown' });
+    this.log.info('Response completed', {
+      event: event.type,
+      responseId: event.response?.id || this.currentResponseId,
+      status: event.response?.status,
+      durationMs: this.responseStartedAt ? Date.now() - this.responseStartedAt : undefined
+    });
+    this.responseStartedAt = null;
+    if (event.response?.usage) {
+      this.recordUsage({ model: REALTIME_MODEL, responseId: event.response.id, usage: event.response.usage });
+      if (this.state === 'closed') return;
+    }
+    this.drainTextQueue();
+    this.checkDrained();
+  }
+
+  // Account the tokens a realtime response or fallback chat completion used,
+  // and end the session once the user's monthly budget is used up
+  recordUsage({ model, responseId, usage }) {
+    if (!this.usage) return;
+
+    const { costUsd } = this.usage.record({ sessionId: this.id, user: this.user.id, model, responseId, usage });
+    this.costUsd = roundUsd(this.costUsd + (costUsd || 0));
+
+    const budget = this.usage.budgetStatus(this.user.id);
+    if (budget?.exhausted) {
+      this.log.warn('Usage budget exhausted, ending session', { user: this.user.id, limitUsd: budget.limitUsd, spentUsd: budget.spentUsd });
+      this.client.send(budgetExceededError(budget));
+      this.client.close(1008, 'Usage budget exceeded');
+      this.close();
+    }
+  }
+
+  onUserTranscript(event) {
+    this.log.info('User transcript', { event: event.type, transcript: event.transcript });
+    this.followLanguage(event.transcript);
+    this.transcripts.append(this.id, {
+      type: 'message',
+      role: 'user',
+      source: 'audio',
+      text: event.transcript,
+      language: this.language
+    });
+    this.client.send({ type: 'transcript', role: 'user', text: event.transcript, language: this.language });
+    this.recorder?.addTranscript('user', event.transcript);
+  }
+
+  onAssistantTranscript(event) {
+    this.log.info('Assistant transcript', { event: event.type, transcript: event.transcript });
+    this.transcripts.append(this.id, {
+      type: 'message',
+      role: 'assistant',
+      text: event.transcript,
+      language: this.language
+    });
+    this.client.send({ type: 'transcript', role: 'assistant', text: event.transcript, language: this.language });
+    this.recorder?.addTranscript('assistant', event.transcript);
+  }
+
+  onFunctionCall(event) {
+    this.log.info('Function call', { event: event.type, tool: event.name, callId: event.call_id, arguments: event.arguments });
+    const upstream = this.upstream;
+    this.pendingToolCalls++;
+
+    this.runToolCall(event.name, event.arguments, event.call_id).then(({ output }) => {
+      // The output belongs to the upstream session that asked for it
+      if (upstream !== this.upstream || !upstream.isOpen()) return;
+      this.pendingToolCalls = Math.max(0, this.pendingToolCalls - 1);
+
+      upstream.send({
+        type: 'conversation.item.create',
+        item: { type: 'function_call_output', call_id: event.call_id, output }
+      });
+      this.requestResponse(null, this.options.toolResponseDelayMs);
+    });
+  }
+
+  onUpstreamError(event) {
+    metrics.upstreamErrors.inc({ type: event.error?.type || 'unknown' });
+    this.log.error('Upstream error event', { event: event.type, errorType: event.error?.type, code: event.error?.code, message: event.error?.message });
+    // Only a refused response.create means no response is coming; other errors
+    // (a bad append or truncate) leave the response in progress running
+    if (this.responseRequested && event.error?.event_id && event.error.event_id === this.responseRequestId) {
+      this.responseRequested = false;
+      this.drainTextQueue();
+      this.checkDrained();
+    }
+  }
+
+  // --- Client messages -----------------------------------------------------
+
+  handleClientMessage(message) {
+    if (!isMessage(message)) {
+      this.log.warn('Dropping malformed client message');
+      return;
+    }
+    if (message.type === 'audio') {
+      this.log.audio('Client audio', { bytes: message.data ? Math.floor(message.data.length * 3 / 4) : 0, state: this.state });
+    } else {
+      this.log.debug('Client message', { event: message.type, state: this.state });
+    }
+
+    // A draining session only finishes what it is already doing
+    if (this.draining && (message.type === 'audio' || message.type === 'text_message')) {
+      if (message.type === 'text_message') {
+        this.client.send({ type: 'error', code: 'server_shutting_down', id: message.id, message: 'Server is shutting down' });
+      }
+      return;
+    }
+
+    // Session config applies immediately, even before the upstream is ready
+    if (message.type === 'configure' || message.type === 'update_session') {
+      this.applySessionConfig(message);
+      return;
+    }
+    if (message.type === 'recording_consent') {
+      this.setRecordingConsent(message.granted === true);
+      return;
+    }
+
+    switch (this.state) {
+      case 'ready':
+        this.dispatchClientMessage(message);
+        break;
+      case 'fallback':
+        if (message.type === 'set_language') {
+          this.onSetLanguage(message);
+        }
+        this.fallback.handleMessage(message);
+        break;
+      case 'reconnecting':
+        if (message.type === 'audio') {
+          this.holdOutageAudio(message);
+          break;
+        }
+        this.queueClientMessage(message);
+        break;
+      case 'closed':
+        break;
+      default:
+        this.queueClientMessage(message);
+    }
+  }
+
+  queueClientMessage(message) {
+    this.messageQueue.push(message);
+    this.log.debug('Client message held until upstream is ready', { event: message.type });
+  }
+
+  dispatchClientMessage(message) {
+    if (!this.upstream || !this.upstream.isOpen()) {
+      this.log.warn('Upstream not connected, dropping client message', { event: message.type });
+      return;
+    }
+
+    const method = CLIENT_MESSAGES[message.type];
+    if (method) {
+      this[method](message);
+    }
+  }
+
+  onClientAudio(message) {
+    if (!message.data || this.isMuted) return;
+    this.upstream.send({ type: 'input_audio_buffer.append', audio: message.data });
+    this.recorder?.addUserAudio(message.data);
+  }
+
+  onTextMessage(message) {
+    if (!message.text) return;
+    this.log.info('Text message', { id: message.id, text: message.text });
+
+    const textRate = this.rateLimiter.consume('text_messages_per_minute', this.id);
+    if (!textRate.allowed) {
+      this.log.warn('Text message rate limited', { limit: textRate.limit });
+      this.client.send(rateLimitError(textRate));
+      return;
+    }
+
+    const entry = { id: message.id || randomBytes(4).toString('hex'), text: message.text };
+
+    if (!this.isBusy()) {
+      this.deliverText(entry);
+      return;
+    }
+
+    const policy = INPUT_POLICIES.includes(message.policy) ? message.policy : this.config.inputPolicy;
+    if (policy === 'cancel_and_replace') {
+      // Cut the current answer short; this turn goes out as soon as the
+      // cancelled response is done
+      this.interruptAssistant('replaced');
+      this.pendingTexts.unshift(entry);
+    } else if (this.pendingTexts.length >= this.options.maxPendingTexts) {
+      this.log.warn('Text queue full, rejecting message', { id: entry.id });
+      this.client.send({
+        type: 'error',
+        code: 'queue_full',
+        id: entry.id,
+        message: `Too many pending messages (max ${this.options.maxPendingTexts})`
+      });
+      return;
+    } else {
+      this.pendingTexts.push(entry);
+    }
+
+    this.log.info('Text message queued', { id: entry.id, position: this.pendingTexts.indexOf(entry) + 1, policy });
+    this.client.send({
+      type: 'queued',
+      id: entry.id,
+      position: this.pendingTexts.indexOf(entry) + 1,
+      policy
+    });
+  }
+
+  // Playback progress, used to truncate the assistant on barge-in
+  onPlayback(message) {
+    if (!message.item_id) return;
+    this.playback = { itemId: message.item_id, offsetMs: Number(message.offset_ms) || 0 };
+  }
+
+  onMute() {
+    this.isMuted = true;
+    this.log.info('Muted');
+  }
+
+  onUnmute() {
+    this.isMuted = false;
+    this.log.info('Unmuted');
+  }
+
+  // Pin a language, or `auto` to follow the user's language again
+  onSetLanguage(message) {
+    if (!message.language) return;
+    let language;
+    try {
+      language = parseLanguage(message.language);
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      this.client.send({ type: 'error', code: 'invalid_config', message: error.message });
+      return;
+    }
+    this.autoLanguage = language === AUTO;
+    this.changeLanguage(this.autoLanguage ? this.language : language, 'client');
+  }
+
+  // --- Responses and turns -------------------------------------------------
+
+  // Ask the model for a response. Flagged straight away so queued text isn't
+  // delivered in the gap before `response.created` arrives.
+  requestResponse(response, delayMs = 0) {
+    this.responseRequested = true;
+    setTimeout(() => {
+      if (!this.upstream || !this.upstream.isOpen()) {
+        this.responseRequested = false;
+        return;
+      }
+      this.responseRequestId = `event_${randomBytes(8).toString('hex')}`;
+      this.upstream.send(response
+        ? { type: 'response.create', event_id: this.responseRequestId, response }
+        : { type: 'response.create', event_id: this.responseRequestId });
+    }, delayMs);
+  }
+
+  isBusy() {
+    return this.isResponding || this.responseRequested || this.pendingToolCalls > 0;
+  }
+
+  deliverText(entry) {
+    // Before the turn goes upstream, so the answer is already in the new language
+    this.followLanguage(entry.text);
+    this.transcripts.append(this.id, {
+      type: 'message',
+      role: 'user',
+      source: 'text',
+      text: entry.text,
+      language: this.language
+    });
+
+    this.upstream.send({ type: 'input_audio_buffer.clear' });
+    this.upstream.send({
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role: 'user',
+        content: [{ type: 'input_text', text: entry.text }]
+      }
+    });
+    this.requestResponse();
+    this.client.send({ type: 'delivered', id: entry.id });
+  }
+
+  // Send the next held text turn once the assistant is free
+  drainTextQueue() {
+    if (this.state !== 'ready' || this.draining || this.isBusy() || this.pendingTexts.length === 0) return;
+
+    const entry = this.pendingTexts.shift();
+    this.log.info('Delivering queued text', { id: entry.id, remaining: this.pendingTexts.length });
+    this.deliverText(entry);
+  }
+
+  trackAssistantAudio(event) {
+    if (!this.assistantAudio || this.assistantAudio.itemId !== event.item_id) {
+      this.assistantAudio = { itemId: event.item_id, sentMs: 0, startedAt: Date.now() };
+    }
+    this.assistantAudio.sentMs += Math.floor(event.delta.length * 3 / 4) / PCM16_BYTES_PER_MS;
+  }
+
+  // How much of the current assistant item the user has heard. Prefer the
+  // client's own report; otherwise assume real-time playback since the first chunk.
+  playedAssistantMs() {
+    const { assistantAudio, playback } = this;
+    if (playback && playback.itemId === assistantAudio.itemId) {
+      return Math.min(playback.offsetMs, assistantAudio.sentMs);
+    }
+    return Math.min(Date.now() - assistantAudio.startedAt, assistantAudio.sentMs);
+  }
+
+  isAssistantAudible() {
+    return Boolean(this.assistantAudio) && this.playedAssistantMs() < this.assistantAudio.sentMs;
+  }
+
+  // Stop the assistant mid-sentence: cancel generation, cut the item down to what
+  // was actually played so the model's context matches what the user heard, and
+  // tell the client to flush its playback queue.
+  interruptAssistant(reason) {
+    if (this.isResponding) {
+      this.upstream.send({ type: 'response.cancel' });
+      this.cancelledResponseId = this.currentResponseId;
+    }
+
+    let audioEndMs = null;
+    if (this.assistantAudio) {
+      audioEndMs = Math.round(this.playedAssistantMs());
+      this.upstream.send({
+        type: 'conversation.item.truncate',
+        item_id: this.assistantAudio.itemId,
+        content_index: 0,
+        audio_end_ms: audioEndMs
+      });
+    }
+
+    const itemId = this.assistantAudio ? this.assistantAudio.itemId : null;
+    this.log.info('Assistant interrupted', { reason, itemId, audioEndMs });
+    this.transcripts.append(this.id, { type: 'interruption', reason, item_id: itemId, audio_end_ms: audioEndMs });
+    this.client.send({ type: 'interrupted', reason, item_id: itemId, audio_end_ms: audioEndMs });
+
+    this.assistantAudio = null;
+    this.playback = null;
+    this.recorder?.truncateAssistant();
+  }
+
+  // Run a model function call with per-session rate limiting, recording the
+  // call and its output in the transcript. Shared by realtime and fallback mode.
+  runToolCall(name, rawArgs, callId) {
+    return runSessionToolCall({ name, rawArgs, callId }, {
+      sessionId: this.id,
+      user: this.user,
+      transcripts: this.transcripts,
+      rateLimiter: this.rateLimiter,
+      log: this.log,
+      onRateLimited: (limited) => this.client.send(rateLimitError(limited))
+    });
+  }
+
+  // --- Recording -----------------------------------------------------------
+
+  // Recording needs the server to allow it and the user to consent. Consent
+  // can be withdrawn at any time, which discards what was recorded so far.
+  // Only realtime turns are recorded, not the fallback pipeline.
+  setRecordingConsent(granted) {
+    this.transcripts.append(this.id, { type: 'recording_consent', granted });
+
+    if (!granted) {
+      if (this.recorder) {
+        this.recorder.discard();
+        this.recorder = null;
+        this.client.send({ type: 'recording', status: 'discarded' });
+      }
+      return;
+    }
+    if (this.recorder) return;
+
+    if (!this.recordings || !this.recordings.enabled) {
+      this.client.send({ type: 'recording', status: 'unavailable' });
+      return;
+    }
+    this.recorder = this.recordings.start(this.id, { user: this.user.id });
+    this.client.send({ type: 'recording', status: 'started' });
+  }
+
+  // --- Language ------------------------------------------------------------
+
+  languageMode() {
+    return this.autoLanguage ? 'auto' : 'pinned';
+  }
+
+  // Auto mode: switch when a user turn is confidently in another language
+  followLanguage(text) {
+    if (!this.autoLanguage) return;
+    const detected = detectLanguage(text);
+    if (detected && detected !== this.language) {
+      this.changeLanguage(detected, 'detected');
+    }
+  }
+
+  // Instructions, voice and transcription follow the language, as does the
+  // fallback pipeline through getLanguage(). The client is told either way.
+  changeLanguage(language, source) {
+    const previous = this.language;
+    const mode = this.languageMode();
+    this.language = language;
+    this.log.info('Language changed', { language, previous, mode, source });
+    this.transcripts.append(this.id, { type: 'language_change', language, previous, mode, source });
+    if (this.state !== 'fallback' && this.upstream && this.upstream.isOpen()) {
+      this.sendSessionUpdate();
+    }
+    this.client.send({ type: 'language_changed', language, previous, mode, source });
+  }
+
+  // --- Session config ------------------------------------------------------
+
+  // Upstream rejects the whole update if it changes the voice after the
+  // assistant has spoken, so the voice is left out then
+  sendSessionUpdate() {
+    const session = buildSessionUpdate(this.config, { language: this.language, autoDetect: this.autoLanguage });
+    if (this.upstreamHasAudio && session.voice !== this.upstreamVoice) {
+      this.log.info('Keeping the current voice', { voice: this.upstreamVoice, requested: session.voice });
+      delete session.voice;
+    } else {
+      this.upstreamVoice = session.voice;
+    }
+    this.upstream.send({ type: 'session.update', session });
+  }
+
+  // Persona and tuning changes requested by the client. Before the upstream is
+  // open this only changes what the initial session.update will send.
+  applySessionConfig(message) {
+    try {
+      this.config = resolveSessionConfig(this.config, message);
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      this.log.warn('Rejected session config', { reason: error.message });
+      this.client.send({ type: 'error', code: 'invalid_config', message: error.message });
+      return;
+    }
+
+    this.log.info('Session config applied', { profile: this.config.profile, voice: this.config.voice });
+    if (this.upstream && this.upstream.isOpen()) {
+      this.sendSessionUpdate();
+    }
+    this.client.send({ type: 'session_configured', ...this.config });
+  }
+}
+
+module.exports = { RealtimeSession, DEFAULT_OPTIONS };
@@ -0,0 +1,126 @@
+// Conversation recordings: a stereo WAV plus a sidecar JSON per session,
+// e.g. data/recordings/1f2e3d4c.wav and 1f2e3d4c.json (see recorder.js).
+//
+// Nothing is recorded unless RECORDING_ENABLED=true and the user consents in
+// that session. Recordings older than RECORDING_RETENTION_DAYS (default 30)
+// are deleted by a periodic sweep. Downloads are limited to the user the
+// session belonged to and the reviewers (see canAccess in lib/auth.js).
+const fs = require('fs');
+const path = require('path');
+const { createRecorder } = require('./recorder');
+const { createLogger } = require('../logger');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const log = createLogger('recordings');
+
+function createRecordingStore({
+  enabled = ['1', 'true'].includes(process.env.RECORDING_ENABLED),
+  dir = process.env.RECORDINGS_DIR || path.join(process.cwd(), 'data', 'recordings'),
+  retentionDays = Number(process.env.RECORDING_RETENTION_DAYS) || 30
+} = {}) {
+  // Recordings still being written, so flush() can wait for them
+  const finishing = new Set();
+  let sweeper = null;
+
+  // Returns a recorder whose finish()/discard() are tracked by flush()
+  function start(sessionId, { user = null, clock } = {}) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session id "${sessionId}"`);
+    }
+    const recorder = createRecorder({ dir, sessionId, user, clock });
+    log.info('Recording started', { clientId: sessionId });
+
+    const track = (promise, what) => {
+      const settled = promise
+        .then(result => {
+          log.info(`Recording ${what}`, { clientId: sessionId, durationMs: result?.durationMs });
+          return result;
+        })
+        .catch(error => {
+          log.error('Recording failed', { clientId: sessionId, error });
+          return null;
+        });
+      finishing.add(settled);
+      settled.then(() => finishing.delete(settled));
+      return settled;
+    };
+
+    return {
+      ...recorder,
+      finish: () => track(recorder.finish(), 'saved'),
+      discard: () => track(recorder.discard(), 'discarded')
+    };
+  }
+
+  // { metadata, file, size } for a saved recording, or null
+  async function getRecording(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) return null;
+    const file = path.join(dir, `${sessionId}.wav`);
+    try {
+      const [metadata, stat] = await Promise.all([
+        fs.promises.readFile(path.join(dir, `${sessionId}.json`), 'utf8').then(JSON.parse),
+        fs.promises.stat(file)
+      ]);
+      return { metadata, file, size: stat.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Delete every file older than the retention period, including raw tracks
+  // left behind by a crash. Resolves with the number of files removed.
+  async function sweep(now = Date.now()) {
+    let files;
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const cutoff = now - retentionDays * DAY_MS;
+    let removed = 0;
+    for (const file of files) {
+      const fullPath = path.join(dir, file);
+      const stat = await fs.promises.stat(fullPath);
+      if (stat.isFile() && stat.mtimeMs < cutoff) {
+        await fs.promises.rm(fullPath, { force: true });
+        removed++;
+      }
+    }
+    if (removed > 0) log.info('Expired recordings removed', { files: removed, retentionDays });
+    return removed;
+  }
+
+  function startRetention() {
+    const run = () => sweep().catch(error => log.error('Recording retention sweep failed', { error }));
+    run();
+    sweeper = setInterval(run, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+  }
+
+  function stopRetention() {
+    clearInterval(sweeper);
+  }
+
+  async function flush() {
+    await Promise.all([...finishing]);
+  }
+
+  return {
+    enabled,
+    retentionDays,
+    start,
+    getRecording,
+    sweep,
+    startRetention,
+    stopRetention,
+    flush
+  };
+}
+
+module.exports = { createRecordingStore };
@@ -0,0 +1,215 @@
+// Records one conversation as a stereo WAV: user on the left channel,
+// assistant on the right, both on the session's wall-clock timeline.
+//
+// Each side is written to its own raw PCM16 file at the byte offset matching
+// when the audio arrived. Client audio streams in real time, so it simply
+// follows on from the previous chunk; assistant audio arrives in bursts ahead
+// of playback, so a new answer starts "now" and its chunks follow on from
+// there. Whenever a side falls more than ALIGN_TOLERANCE_MS behind the clock
+// (muted, nobody talking) it jumps forward and the gap reads back as silence.
+// On barge-in the assistant side is cut at the moment of interruption, since
+// nothing after it was heard. finish() interleaves both files into the WAV
+// and writes the sidecar JSON with turn timestamps.
+const fs = require('fs');
+const path = require('path');
+const { wavHeader } = require('../audio/wav');
+
+const SAMPLE_RATE = 24000;
+const BYTES_PER_MS = SAMPLE_RATE * 2 / 1000;
+// Timing jitter absorbed before a side is considered to have a gap
+const ALIGN_TOLERANCE_MS = 200;
+// Frames interleaved per read when building the WAV
+const INTERLEAVE_FRAMES = SAMPLE_RATE;
+
+function createRecorder({ dir, sessionId, user = null, clock = Date.now }) {
+  const startedAt = clock();
+  const turns = [];
+  const files = {
+    wav: path.join(dir, `${sessionId}.wav`),
+    metadata: path.join(dir, `${sessionId}.json`)
+  };
+
+  function createTrack(role) {
+    const file = path.join(dir, `${sessionId}.${role}.pcm`);
+    const opened = fs.promises.mkdir(dir, { recursive: true }).then(() => fs.promises.open(file, 'w+'));
+    return { role, file, opened, pending: opened, cursor: 0, turn: null };
+  }
+
+  const tracks = { user: createTrack('user'), assistant: createTrack('assistant') };
+  let finished = null;
+
+  // Byte offset of "now" on the timeline, on a sample boundary
+  function nowOffset() {
+    return Math.floor((clock() - startedAt) * BYTES_PER_MS / 2) * 2;
+  }
+
+  function msAt(offset) {
+    return Math.round(offset / BYTES_PER_MS);
+  }
+
+  // Writes to one track run in order
+  function chain(track, operation) {
+    track.pending = track.pending.then(operation);
+    return track.pending;
+  }
+
+  function write(track, base64) {
+    const pcm = Buffer.from(base64, 'base64');
+    const now = nowOffset();
+    if (track.cursor < now - ALIGN_TOLERANCE_MS * BYTES_PER_MS) {
+      track.cursor = now;
+    }
+    const position = track.cursor;
+    track.cursor += pcm.length;
+    chain(track, () => track.opened.then(handle => handle.write(pcm, 0, pcm.length, position)));
+    return position;
+  }
+
+  function startTurn(role, startMs, fields = {}) {
+    const turn = { role, startMs, endMs: null, ...fields };
+    turns.push(turn);
+    tracks[role].turn = turn;
+    return turn;
+  }
+
+  function addUserAudio(base64) {
+    if (finished) return;
+    write(tracks.user, base64);
+  }
+
+  function addAssistantAudio(base64, itemId = null) {
+    if (finished) return;
+    const track = tracks.assistant;
+    const position = write(track, base64);
+    if (!track.turn || track.turn.itemId !== itemId) {
+      startTurn('assistant', msAt(position), { itemId });
+    }
+    track.turn.endMs = msAt(track.cursor);
+  }
+
+  // Speech boundaries from server VAD
+  function userSpeechStarted() {
+    if (finished) return;
+    startTurn('user', msAt(nowOffset()));
+  }
+
+  function userSpeechStopped() {
+    const turn = tracks.user.turn;
+    if (finished || !turn || turn.endMs !== null) return;
+    turn.endMs = msAt(nowOffset());
+  }
+
+  // Barge-in: drop assistant audio that was never played
+  function truncateAssistant() {
+    const track = tracks.assistant;
+    const now = nowOffset();
+    if (finished || track.cursor <= now) return;
+
+    track.cursor = now;
+    chain(track, () => track.opened.then(handle => handle.truncate(now)));
+    if (track.turn) {
+      track.turn.endMs = msAt(now);
+      track.turn.interrupted = true;
+    }
+  }
+
+  // Attach a transcript to the latest turn of that role still without one
+  function addTranscript(role, text) {
+    const turn = turns.findLast(entry => entry.role === role && entry.text === undefined);
+    if (turn) turn.text = text;
+  }
+
+  async function closeTracks() {
+    for (const track of Object.values(tracks)) {
+      await track.pending;
+      await (await track.opened).close();
+    }
+  }
+
+  async function removeTracks() {
+    await Promise.all(Object.values(tracks).map(track => fs.promises.rm(track.file, { force: true })));
+  }
+
+  async function interleave(frames) {
+    const [left, right] = await Promise.all([
+      fs.promises.open(tracks.user.file, 'r'),
+      fs.promises.open(tracks.assistant.file, 'r')
+    ]);
+    const output = await fs.promises.open(files.wav, 'w');
+    try {
+      await output.write(wavHeader(frames * 4, { sampleRate: SAMPLE_RATE, channels: 2 }));
+      const leftChunk = Buffer.alloc(INTERLEAVE_FRAMES * 2);
+      const rightChunk = Buffer.alloc(INTERLEAVE_FRAMES * 2);
+
+      for (let frame = 0; frame < frames; frame += INTERLEAVE_FRAMES) {
+        const count = Math.min(INTERLEAVE_FRAMES, frames - frame);
+        // Reads past the end of a side leave zeros, i.e. silence
+        leftChunk.fill(0);
+        rightChunk.fill(0);
+        await left.read(leftChunk, 0, count * 2, frame * 2);
+        await right.read(rightChunk, 0, count * 2, frame * 2);
+
+        const stereo = Buffer.alloc(count * 4);
+        for (let i = 0; i < count; i++) {
+          stereo.writeInt16LE(leftChunk.readInt16LE(i * 2), i * 4);
+          stereo.writeInt16LE(rightChunk.readInt16LE(i * 2), i * 4 + 2);
+        }
+        await output.write(stereo);
+      }
+    } finally {
+      await Promise.all([left.close(), right.close(), output.close()]);
+    }
+  }
+
+  // Write the WAV and sidecar and remove the raw tracks. Resolves with the
+  // sidecar contents.
+  function finish() {
+    if (finished) return finished;
+
+    const endedAt = clock();
+    const frames = Math.max(tracks.user.cursor, tracks.assistant.cursor) / 2;
+    for (const turn of turns) {
+      if (turn.endMs === null) turn.endMs = msAt(frames * 2);
+    }
+
+    finished = (async () => {
+      await closeTracks();
+      await interleave(frames);
+      await removeTracks();
+
+      const metadata = {
+        sessionId,
+        user,
+        startedAt: new Date(startedAt).toISOString(),
+        endedAt: new Date(endedAt).toISOString(),
+        durationMs: msAt(frames * 2),
+        sampleRate: SAMPLE_RATE,
+        channels: ['user', 'assistant'],
+        turns
+      };
+      await fs.promises.writeFile(files.metadata, JSON.stringify(metadata, null, 2));
+      return metadata;
+    })();
+    return finished;
+  }
+
+  // Stop without keeping anything (consent withdrawn)
+  function discard() {
+    if (finished) return finished;
+    finished = closeTracks().then(removeTracks).then(() => null);
+    return finished;
+  }
+
+  return {
+    addUserAudio,
+    addAssistantAudio,
+    userSpeechStarted,
+    userSpeechStopped,
+    truncateAssistant,
+    addTranscript,
+    finish,
+    discard
+  };
+}
+
+module.exports = { SAMPLE_RATE, createRecorder };
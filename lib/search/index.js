@@ -0,0 +1,200 @@
+// Web search with configurable provider backends.
+//
+// Providers come from a JSON file (SEARCH_CONFIG) or from environment variables
+// (SEARCH_PROVIDERS plus per-provider settings). They are tried in priority
+// order - lowest number first - until one returns a usable answer.
+const fs = require('fs');
+const { normalizeResult } = require('./normalize');
+const { createOpenAIChatProvider } = require('./providers/openai-chat');
+const { createJsonApiProvider } = require('./providers/json-api');
+const { createStubProvider } = require('./providers/stub');
+const { createLogger } = require('../logger');
+const { searchDuration, searchRequests } = require('../metrics');
+
+const log = createLogger('search');
+
+const providerFactories = {
+  'openai-chat': createOpenAIChatProvider,
+  'json-api': createJsonApiProvider,
+  'stub': createStubProvider
+};
+
+// The endpoints the server used before providers were configurable. Kept as
+// the default so existing deployments behave the same without new config.
+const LEGACY_BASE_URL = 'https://life-ai-360-bz26.onrender.com';
+const LEGACY_PROVIDERS = [
+  '/api/integrations/Core.InvokeLLM',
+  '/api/chat/completions',
+  '/api/v1/chat'
+].map((path, index) => ({
+  type: 'json-api',
+  name: `life-ai${path.replace(/\//g, '-').toLowerCase()}`,
+  priority: index + 1,
+  url: `${LEGACY_BASE_URL}${path}`,
+  method: 'POST',
+  bodyTemplate: {
+    prompt: 'Find current, accurate information about: {query}. Provide a concise answer with specific details.',
+    add_context_from_internet: true,
+    max_tokens: 300
+  },
+  resultPath: ['response', 'answer', 'content', 'message', 'choices.0.message.content']
+}));
+
+function envNumber(name) {
+  return process.env[name] ? Number(process.env[name]) : undefined;
+}
+
+function providerConfigFromEnv(type) {
+  switch (type) {
+    case 'openai-chat':
+      return {
+        type,
+        url: process.env.SEARCH_CHAT_URL,
+        apiKey: process.env.SEARCH_CHAT_API_KEY || process.env.OPENAI_API_KEY,
+        model: process.env.SEARCH_CHAT_MODEL,
+        timeoutMs: envNumber('SEARCH_CHAT_TIMEOUT_MS')
+      };
+    case 'json-api':
+      return {
+        type,
+        url: process.env.SEARCH_JSON_URL,
+        method: process.env.SEARCH_JSON_METHOD,
+        queryParam: process.env.SEARCH_JSON_QUERY_PARAM,
+        resultPath: process.env.SEARCH_JSON_RESULT_PATH && process.env.SEARCH_JSON_RESULT_PATH.split('|'),
+        apiKey: process.env.SEARCH_JSON_API_KEY,
+        apiKeyHeader: process.env.SEARCH_JSON_API_KEY_HEADER,
+        timeoutMs: envNumber('SEARCH_JSON_TIMEOUT_MS')
+      };
+    case 'stub':
+      return {
+        type,
+        response: process.env.SEARCH_STUB_RESPONSE
+      };
+    default:
+      throw new Error(`Unknown search provider type "${type}"`);
+  }
+}
+
+// Drop undefined keys so factory defaults apply.
+function compact(config) {
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+}
+
+function loadSearchConfig() {
+  if (process.env.SEARCH_CONFIG) {
+    const file = JSON.parse(fs.readFileSync(process.env.SEARCH_CONFIG, 'utf8'));
+    if (!Array.isArray(file.providers) || file.providers.length === 0) {
+      throw new Error(`${process.env.SEARCH_CONFIG}: "providers" must be a non-empty array`);
+    }
+    return file.providers;
+  }
+
+  if (process.env.SEARCH_PROVIDERS) {
+    return process.env.SEARCH_PROVIDERS
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean)
+      .map((type, index) => ({ ...providerConfigFromEnv(type), priority: index + 1 }));
+  }
+
+  return LEGACY_PROVIDERS;
+}
+
+function createProviders(configs) {
+  return configs
+    .map((config, index) => {
+      const factory = providerFactories[config.type];
+      if (!factory) {
+        throw new Error(`Unknown search provider type "${config.type}"`);
+      }
+      // Unnamed providers are told apart by their position in the list
+      const provider = factory({ name: `${config.type}-${index + 1}`, ...compact(config) });
+      return { ...provider, priority: config.priority ?? index + 1 };
+    })
+    .sort((a, b) => a.priority - b.priority);
+}
+
+let providers = null;
+
+function getSearchProviders() {
+  if (!providers) {
+    providers = createProviders(loadSearchConfig());
+  }
+  return providers;
+}
+
+function buildFallback(query) {
+  let fallback = `I searched for "${query}" but couldn't retrieve real-time information. `;
+
+  if (query.toLowerCase().includes('weather')) {
+    fallback += `For current weather, you can check weather.com, accuweather.com, or your local weather service.`;
+  } else if (query.toLowerCase().includes('news')) {
+    fallback += `For the latest news, check reputable news websites like BBC, CNN, or Reuters.`;
+  } else if (query.toLowerCase().includes('score') || query.toLowerCase().includes('sport')) {
+    fallback += `For sports scores, check ESPN, BBC Sport, or your favorite sports app.`;
+  } else {
+    fallback += `You might want to search online directly for the most current information.`;
+  }
+
+  return fallback;
+}
+
+async function performWebSearch(query) {
+  try {
+    const startedAt = Date.now();
+    log.debug('Web search', { query });
+
+    let lastError = null;
+
+    for (const provider of getSearchProviders()) {
+      const endTimer = searchDuration.startTimer({ provider: provider.name });
+      try {
+        const text = normalizeResult(await provider.search(query));
+        if (!text) {
+          throw new Error('Empty result');
+        }
+
+        const seconds = endTimer({ result: 'success' });
+        searchRequests.inc({ provider: provider.name, result: 'success' });
+        log.info('Search completed', { provider: provider.name, durationMs: Math.round(seconds * 1000) });
+        return {
+          success: true,
+          query: query,
+          provider: provider.name,
+          result: text,
+          timestamp: new Date().toISOString()
+        };
+      } catch (providerError) {
+        const seconds = endTimer({ result: 'failure' });
+        searchRequests.inc({ provider: provider.name, result: 'failure' });
+        log.warn('Search provider failed', { provider: provider.name, durationMs: Math.round(seconds * 1000), error: providerError.message });
+        lastError = providerError;
+      }
+    }
+
+    log.warn('All search providers failed, using fallback', { durationMs: Date.now() - startedAt });
+
+    return {
+      success: false,
+      query: query,
+      error: lastError?.message || 'All providers failed',
+      fallback: buildFallback(query)
+    };
+
+  } catch (error) {
+    log.error('Search function error', { error });
+    return {
+      success: false,
+      query: query,
+      error: error.message,
+      fallback: `Unable to search for "${query}" at the moment. Please try a web search directly.`
+    };
+  }
+}
+
+module.exports = {
+  loadSearchConfig,
+  createProviders,
+  getSearchProviders,
+  performWebSearch
+};
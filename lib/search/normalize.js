@@ -0,0 +1,61 @@
+// Response normalization shared by the search providers. Each provider knows
+// where its answer lives, so we read an explicit path instead of guessing.
+const MAX_RESULT_LENGTH = 1500;
+
+// Read a dot path such as "choices.0.message.content" out of a parsed body.
+function getPath(value, path) {
+  if (!path) return value;
+
+  return path.split('.').reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    return current[key];
+  }, value);
+}
+
+// Try each candidate path in order and return the first non-empty value.
+function pickPath(value, paths) {
+  const candidates = Array.isArray(paths) ? paths : [paths];
+
+  for (const path of candidates) {
+    const picked = getPath(value, path);
+    if (picked !== undefined && picked !== null && picked !== '') {
+      return picked;
+    }
+  }
+  return undefined;
+}
+
+// Turn whatever the path pointed at into plain text for the model.
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  if (Array.isArray(value)) {
+    return value
+      .map(item => {
+        if (typeof item === 'string') return item;
+        if (item && typeof item === 'object') {
+          const text = item.snippet || item.description || item.content || item.text || '';
+          return item.title ? `${item.title}: ${text}` : text;
+        }
+        return String(item);
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  return JSON.stringify(value);
+}
+
+function normalizeResult(text) {
+  return text.trim().substring(0, MAX_RESULT_LENGTH);
+}
+
+module.exports = {
+  MAX_RESULT_LENGTH,
+  getPath,
+  pickPath,
+  toText,
+  normalizeResult
+};
@@ -0,0 +1,75 @@
+// Generic JSON search API. The request shape is driven by config: either a GET
+// with the query in a URL parameter, or a POST with a body template where every
+// "{query}" placeholder is substituted. The answer is read from `resultPath`.
+const { pickPath, toText } = require('../normalize');
+
+function fillTemplate(template, query) {
+  if (typeof template === 'string') return template.split('{query}').join(query);
+  if (Array.isArray(template)) return template.map(item => fillTemplate(item, query));
+  if (template && typeof template === 'object') {
+    const filled = {};
+    for (const [key, value] of Object.entries(template)) {
+      filled[key] = fillTemplate(value, query);
+    }
+    return filled;
+  }
+  return template;
+}
+
+function createJsonApiProvider(options) {
+  const {
+    name = 'json-api',
+    url,
+    method = 'GET',
+    queryParam = 'q',
+    bodyTemplate,
+    resultPath,
+    headers = {},
+    apiKey,
+    apiKeyHeader = 'Authorization',
+    timeoutMs = 5000
+  } = options;
+
+  if (!url) {
+    throw new Error(`Search provider "${name}" needs a url`);
+  }
+  if (!resultPath) {
+    throw new Error(`Search provider "${name}" needs a resultPath`);
+  }
+
+  async function search(query) {
+    const requestHeaders = { 'Accept': 'application/json', ...headers };
+    if (apiKey) {
+      requestHeaders[apiKeyHeader] = apiKeyHeader === 'Authorization' ? `Bearer ${apiKey}` : apiKey;
+    }
+
+    let requestUrl = url;
+    let body;
+    if (method.toUpperCase() === 'GET') {
+      const target = new URL(url);
+      target.searchParams.set(queryParam, query);
+      requestUrl = target.toString();
+    } else {
+      requestHeaders['Content-Type'] = 'application/json';
+      body = JSON.stringify(bodyTemplate ? fillTemplate(bodyTemplate, query) : { [queryParam]: query });
+    }
+
+    const response = await fetch(requestUrl, {
+      method: method.toUpperCase(),
+      headers: requestHeaders,
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    return toText(pickPath(result, resultPath));
+  }
+
+  return { name, type: 'json-api', url, search };
+}
+
+module.exports = { createJsonApiProvider };
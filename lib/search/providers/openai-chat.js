@@ -0,0 +1,50 @@
+// OpenAI-style chat completion endpoint. Works with the OpenAI search models or
+// any compatible gateway that answers `/chat/completions`.
+const { getPath, toText } = require('../normalize');
+
+function createOpenAIChatProvider(options) {
+  const {
+    name = 'openai-chat',
+    url = 'https://api.openai.com/v1/chat/completions',
+    apiKey,
+    model = 'gpt-4o-mini-search-preview',
+    maxTokens = 300,
+    timeoutMs = 5000,
+    systemPrompt = 'You are a search assistant. Answer with current, accurate information and specific details. Be concise.'
+  } = options;
+
+  async function search(query) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: query }
+        ]
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const body = await response.json();
+    return toText(getPath(body, 'choices.0.message.content'));
+  }
+
+  return { name, type: 'openai-chat', url, search };
+}
+
+module.exports = { createOpenAIChatProvider };
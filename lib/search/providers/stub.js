@@ -0,0 +1,15 @@
+// Local stub provider for development and offline runs. Never touches the network.
+function createStubProvider(options = {}) {
+  const {
+    name = 'stub',
+    response = 'Stub search result for "{query}". No live search provider is configured.'
+  } = options;
+
+  async function search(query) {
+    return response.split('{query}').join(query);
+  }
+
+  return { name, type: 'stub', url: null, search };
+}
+
+module.exports = { createStubProvider };
@@ -0,0 +1,174 @@
+// Per-connection session configuration. Clients pick a persona profile and may
+// tune a few values within an allow-list; everything else comes from the profile.
+const { ALLOWED_VOICES, RANGES, DEFAULT_PROFILE, getProfile } = require('./profiles');
+const { getToolDefinitions } = require('./tools');
+const { AUTO, LANGUAGES, isLanguage, languageName } = require('./languages');
+
+// How text typed while the assistant is talking is handled
+const INPUT_POLICIES = ['queue', 'cancel_and_replace'];
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+function checkRange(name, value) {
+  const number = Number(value);
+  const [min, max] = RANGES[name];
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new ConfigError(`"${name}" must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function configFromProfile(profile) {
+  return {
+    profile: profile.name,
+    voice: profile.voice,
+    temperature: profile.temperature,
+    vad: { ...profile.vad },
+    inputPolicy: 'queue'
+  };
+}
+
+// Apply client-requested changes on top of the current config. Picking a new
+// profile resets every value to that profile's defaults first. Throws
+// ConfigError when anything is outside the allow-list.
+function resolveSessionConfig(current, requested = {}) {
+  let config = current ? { ...current, vad: { ...current.vad } } : null;
+
+  const profileName = requested.profile || (config ? null : DEFAULT_PROFILE);
+  if (profileName) {
+    const profile = getProfile(profileName);
+    if (!profile) {
+      throw new ConfigError(`Unknown profile "${profileName}"`);
+    }
+    config = configFromProfile(profile);
+  }
+
+  if (requested.voice !== undefined) {
+    if (!ALLOWED_VOICES.includes(requested.voice)) {
+      throw new ConfigError(`"voice" must be one of: ${ALLOWED_VOICES.join(', ')}`);
+    }
+    config.voice = requested.voice;
+  }
+
+  if (requested.temperature !== undefined) {
+    config.temperature = checkRange('temperature', requested.temperature);
+  }
+
+  if (requested.input_policy !== undefined) {
+    if (!INPUT_POLICIES.includes(requested.input_policy)) {
+      throw new ConfigError(`"input_policy" must be one of: ${INPUT_POLICIES.join(', ')}`);
+    }
+    config.inputPolicy = requested.input_policy;
+  }
+
+  const vad = requested.vad || {};
+  for (const key of ['threshold', 'prefix_padding_ms', 'silence_duration_ms']) {
+    if (vad[key] !== undefined) {
+      config.vad[key] = checkRange(key, vad[key]);
+    }
+  }
+
+  return config;
+}
+
+// Same as resolveSessionConfig, from `?profile=&voice=&temperature=&vad_threshold=&input_policy=`
+// style connection query parameters.
+function configFromQuery(query) {
+  const requested = {};
+  if (query.profile) requested.profile = String(query.profile);
+  if (query.voice) requested.voice = String(query.voice);
+  if (query.temperature) requested.temperature = query.temperature;
+  if (query.input_policy) requested.input_policy = String(query.input_policy);
+
+  const vad = {};
+  if (query.vad_threshold) vad.threshold = query.vad_threshold;
+  if (query.vad_prefix_padding_ms) vad.prefix_padding_ms = query.vad_prefix_padding_ms;
+  if (query.vad_silence_duration_ms) vad.silence_duration_ms = query.vad_silence_duration_ms;
+  if (Object.keys(vad).length > 0) requested.vad = vad;
+
+  return resolveSessionConfig(null, requested);
+}
+
+// `auto` or a supported language code, from `?language=` or `set_language`
+function parseLanguage(value) {
+  const language = String(value).trim().toLowerCase();
+  if (language !== AUTO && !isLanguage(language)) {
+    throw new ConfigError(`"language" must be "${AUTO}" or one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  return language;
+}
+
+// Profiles can disappear on hot reload; running sessions fall back to the default.
+function profileFor(config) {
+  return getProfile(config.profile) || getProfile(DEFAULT_PROFILE);
+}
+
+// The language a profile starts in before anything is detected
+function profileLanguage(config) {
+  return profileFor(config).language;
+}
+
+// The profile's voice for a language, unless the client picked its own voice
+function voiceFor(config, language) {
+  const profile = profileFor(config);
+  return config.voice === profile.voice && profile.voices[language] ? profile.voices[language] : config.voice;
+}
+
+// Appended to the persona's instructions. With `autoDetect` the model may follow
+// the user into another language before the session has caught up.
+function languageInstructions(language, { autoDetect = false } = {}) {
+  const name = languageName(language);
+  return autoDetect ?
+    `LANGUAGE: Respond in ${name}. If the user speaks another language, respond in that language instead.` :
+    `LANGUAGE: Always respond in ${name}, whatever language the user speaks.`;
+}
+
+// The `session` payload for a `session.update` event. With `autoDetect` the
+// transcription language is left to Whisper, so the user's language can be
+// detected from it.
+function buildSessionUpdate(config, { language, autoDetect = false }) {
+  const profile = profileFor(config);
+
+  return {
+    modalities: ['text', 'audio'],
+    instructions: `${profile.instructions}\n\n${languageInstructions(language, { autoDetect })}`,
+    voice: voiceFor(config, language),
+    input_audio_format: 'pcm16',
+    output_audio_format: 'pcm16',
+    input_audio_transcription: autoDetect ? { model: 'whisper-1' } : { model: 'whisper-1', language },
+    turn_detection: {
+      type: 'server_vad',
+      ...config.vad
+    },
+    temperature: config.temperature,
+    tools: getToolDefinitions(profile.tools)
+  };
+}
+
+// The persona's greeting in `language`, translated by the model when the
+// profile has none for it
+function greetingInstructions(config, language = profileLanguage(config)) {
+  const profile = profileFor(config);
+  if (profile.greetings[language]) {
+    return `Greet the user. Say "${profile.greetings[language]}"`;
+  }
+  return `Greet the user in ${languageName(language)}. Say the equivalent of "${profile.greeting}"`;
+}
+
+module.exports = {
+  ALLOWED_VOICES,
+  INPUT_POLICIES,
+  ConfigError,
+  resolveSessionConfig,
+  configFromQuery,
+  parseLanguage,
+  profileLanguage,
+  languageInstructions,
+  buildSessionUpdate,
+  greetingInstructions
+};
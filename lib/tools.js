@@ -0,0 +1,141 @@
+// Tool registry - every function the model can call is declared here once and
+// dispatched generically through runSessionToolCall().
+const DEFAULT_TOOL_TIMEOUT_MS = 15000;
+
+const tools = new Map();
+
+function registerTool({ name, description, parameters, handler, timeoutMs = DEFAULT_TOOL_TIMEOUT_MS }) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Tool name is required');
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Tool "${name}" needs a handler function`);
+  }
+  if (tools.has(name)) {
+    throw new Error(`Tool "${name}" is already registered`);
+  }
+
+  tools.set(name, {
+    name,
+    description: description || '',
+    parameters: parameters || { type: 'object', properties: {} },
+    handler,
+    timeoutMs
+  });
+}
+
+function getTool(name) {
+  return tools.get(name) || null;
+}
+
+function listTools() {
+  return [...tools.keys()];
+}
+
+// Tool declarations in the shape `session.update` expects. Pass a list of
+// names to restrict the set, otherwise every registered tool is returned.
+function getToolDefinitions(names) {
+  const selected = names ? names.map(name => tools.get(name)).filter(Boolean) : [...tools.values()];
+
+  return selected.map(tool => ({
+    type: 'function',
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters
+  }));
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Tool "${name}" timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run a function call from the model. Always resolves with an output string so
+// the caller can send a `function_call_output` and the turn completes, even for
+// unknown tools, bad arguments or handler failures.
+async function executeToolCall(name, rawArgs, context = {}) {
+  const tool = tools.get(name);
+
+  if (!tool) {
+    return {
+      success: false,
+      output: JSON.stringify({ error: `Unknown tool "${name}"` })
+    };
+  }
+
+  let args;
+  try {
+    args = rawArgs ? JSON.parse(rawArgs) : {};
+  } catch (error) {
+    return {
+      success: false,
+      output: JSON.stringify({ error: `Invalid arguments for "${name}": ${error.message}` })
+    };
+  }
+
+  try {
+    const result = await withTimeout(Promise.resolve().then(() => tool.handler(args, context)), tool.timeoutMs, name);
+    return {
+      success: true,
+      output: typeof result === 'string' ? result : JSON.stringify(result)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      output: JSON.stringify({ error: `Tool "${name}" failed: ${error.message}` })
+    };
+  }
+}
+
+// Run a function call for a session - realtime, fallback or WebRTC. The call
+// and its output go into the session's transcript, and calls are held to the
+// per-session tool rate limit. `allowed` restricts which tools may run;
+// `onRateLimited` gets the refusal so it can be passed on to the client.
+async function runSessionToolCall({ name, rawArgs, callId }, {
+  sessionId,
+  user,
+  transcripts,
+  rateLimiter,
+  log,
+  allowed = null,
+  onRateLimited = () => {}
+}) {
+  transcripts.append(sessionId, { type: 'tool_call', name, call_id: callId, arguments: rawArgs });
+
+  let result;
+  if (allowed && !allowed.includes(name)) {
+    result = { success: false, output: JSON.stringify({ error: `Unknown tool "${name}"` }) };
+  } else {
+    const limited = rateLimiter.consume('tool_calls_per_minute', sessionId);
+    if (limited.allowed) {
+      const startedAt = Date.now();
+      result = await executeToolCall(name, rawArgs, { clientId: sessionId, user });
+      const fields = { tool: name, callId, durationMs: Date.now() - startedAt, output: result.output };
+      if (result.success) {
+        log.info('Tool call completed', fields);
+      } else {
+        log.warn('Tool call failed', fields);
+      }
+    } else {
+      log.warn('Tool call rate limited', { tool: name, callId });
+      onRateLimited(limited);
+      result = { success: false, output: JSON.stringify({ error: 'Too many tool calls. Tell the user to try again in a moment.' }) };
+    }
+  }
+
+  transcripts.append(sessionId, { type: 'tool_output', name, call_id: callId, success: result.success, output: result.output });
+  return result;
+}
+
+module.exports = {
+  DEFAULT_TOOL_TIMEOUT_MS,
+  registerTool,
+  getTool,
+  listTools,
+  getToolDefinitions,
+  executeToolCall,
+  runSessionToolCall
+};
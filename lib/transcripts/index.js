@@ -0,0 +1,28 @@
+// Transcript storage. Every store implements the same interface:
+//
+//   append(sessionId, entry)      -> Promise, entry gets a `ts` if missing
+//   getTranscript(sessionId)      -> Promise<{ id, ..., entries } | null>
+//   listSessions({ limit, user }) -> Promise<[{ id, user, startedAt, endedAt, ... }]>
+//   flush()                       -> Promise, resolves when writes are on disk
+//
+// Pick the backend with TRANSCRIPT_STORE (only "jsonl" for now).
+const path = require('path');
+const { createJsonlTranscriptStore } = require('./jsonl-store');
+const { buildReplayItems } = require('./replay');
+
+const storeFactories = {
+  jsonl: createJsonlTranscriptStore
+};
+
+function createTranscriptStore({
+  type = process.env.TRANSCRIPT_STORE || 'jsonl',
+  dir = process.env.TRANSCRIPTS_DIR || path.join(process.cwd(), 'data', 'transcripts')
+} = {}) {
+  const factory = storeFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown transcript store "${type}"`);
+  }
+  return factory({ dir });
+}
+
+module.exports = { createTranscriptStore, buildReplayItems };
@@ -0,0 +1,129 @@
+// JSONL transcript store - one file per session, one JSON entry per line.
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const log = createLogger('transcripts');
+
+function createJsonlTranscriptStore({ dir }) {
+  const pending = new Map();
+  let ready = null;
+
+  function ensureDir() {
+    if (!ready) {
+      ready = fs.promises.mkdir(dir, { recursive: true });
+    }
+    return ready;
+  }
+
+  function fileFor(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session id "${sessionId}"`);
+    }
+    return path.join(dir, `${sessionId}.jsonl`);
+  }
+
+  // Writes for one session are chained so lines never interleave and
+  // flush() can wait for everything still in flight.
+  function append(sessionId, entry) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+    const file = fileFor(sessionId);
+    const previous = pending.get(sessionId) || Promise.resolve();
+
+    const write = previous
+      .then(ensureDir)
+      .then(() => fs.promises.appendFile(file, line))
+      .catch(error => {
+        log.error('Transcript write failed', { clientId: sessionId, error: error.message });
+      });
+
+    pending.set(sessionId, write);
+    write.then(() => {
+      if (pending.get(sessionId) === write) pending.delete(sessionId);
+    });
+    return write;
+  }
+
+  async function readEntries(sessionId) {
+    try {
+      const content = await fs.promises.readFile(fileFor(sessionId), 'utf8');
+      return content
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  function summarize(sessionId, entries) {
+    const start = entries.find(entry => entry.type === 'session_start') || {};
+    const end = entries.find(entry => entry.type === 'session_end');
+
+    return {
+      id: sessionId,
+      user: start.user || null,
+      startedAt: start.ts || entries[0]?.ts || null,
+      endedAt: end ? end.ts : null,
+      turns: entries.filter(entry => entry.type === 'message').length,
+      toolCalls: entries.filter(entry => entry.type === 'tool_call').length
+    };
+  }
+
+  async function getTranscript(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) return null;
+
+    await pending.get(sessionId);
+    const entries = await readEntries(sessionId);
+    if (!entries) return null;
+
+    return { ...summarize(sessionId, entries), entries };
+  }
+
+  // Most recently active sessions first; `user` keeps only that user's.
+  async function listSessions({ limit = 100, user } = {}) {
+    await ensureDir();
+    const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.jsonl'));
+
+    const stats = await Promise.all(files.map(async file => ({
+      sessionId: file.slice(0, -'.jsonl'.length),
+      mtime: (await fs.promises.stat(path.join(dir, file))).mtimeMs
+    })));
+
+    stats.sort((a, b) => b.mtime - a.mtime);
+
+    if (user === undefined) {
+      const sessions = await Promise.all(stats.slice(0, limit).map(async ({ sessionId }) => {
+        const entries = await readEntries(sessionId);
+        return entries ? summarize(sessionId, entries) : null;
+      }));
+      return sessions.filter(Boolean);
+    }
+
+    // Filtered lists have to read sessions in order until enough match
+    const sessions = [];
+    for (const { sessionId } of stats) {
+      if (sessions.length >= limit) break;
+      const entries = await readEntries(sessionId);
+      const session = entries && summarize(sessionId, entries);
+      if (session && session.user === user) sessions.push(session);
+    }
+    return sessions;
+  }
+
+  async function flush() {
+    await Promise.all([...pending.values()]);
+  }
+
+  return {
+    append,
+    getTranscript,
+    listSessions,
+    flush
+  };
+}
+
+module.exports = { createJsonlTranscriptStore };
@@ -0,0 +1,34 @@
+// Turn stored transcript entries back into realtime `conversation.item.create`
+// items, so a fresh upstream session can pick up where the old one stopped.
+function buildReplayItems(entries, limit) {
+  const outputs = new Map(
+    entries
+      .filter(entry => entry.type === 'tool_output')
+      .map(entry => [entry.call_id, entry])
+  );
+
+  const items = [];
+  for (const entry of entries) {
+    if (entry.type === 'message' && entry.text) {
+      items.push(entry.role === 'assistant' ?
+        { type: 'message', role: 'assistant', content: [{ type: 'text', text: entry.text }] } :
+        { type: 'message', role: 'user', content: [{ type: 'input_text', text: entry.text }] });
+    }
+
+    // Only replay calls that completed - a dangling call would make the model
+    // wait for an output that never comes
+    if (entry.type === 'tool_call' && outputs.has(entry.call_id)) {
+      items.push({ type: 'function_call', call_id: entry.call_id, name: entry.name, arguments: entry.arguments || '{}' });
+      items.push({ type: 'function_call_output', call_id: entry.call_id, output: outputs.get(entry.call_id).output });
+    }
+  }
+
+  // Don't start the replay on an orphaned function output
+  let recent = items.slice(-limit);
+  while (recent.length > 0 && recent[0].type === 'function_call_output') {
+    recent = recent.slice(1);
+  }
+  return recent;
+}
+
+module.exports = { buildReplayItems };
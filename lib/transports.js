@@ -0,0 +1,187 @@
+// Message transports used by RealtimeSession.
+//
+// A transport is an EventEmitter carrying parsed JSON messages:
+//   events:  'open', 'message' (object), 'close' (code, reason), 'error' (Error)
+//   methods: send(message), close(code, reason), isOpen()
+// `send` is a no-op once the transport is closed. Sessions only ever see this
+// interface, so tests can hand them in-memory fakes.
+//
+// Audio is always `{ type: 'audio', data: <base64> }` at this interface; with
+// binary framing (lib/framing.js) the WebSocket transport converts it to and
+// from binary frames.
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { getRealtimeUrl, getRealtimeToken } = require('./openai');
+const { isNative, createAudioDecoder, createAudioEncoder } = require('./audio/transcode');
+const { FrameError, encodeAudioFrame, decodeAudioFrame } = require('./framing');
+
+// Messages are JSON objects with a string `type`
+function isMessage(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && typeof value.type === 'string';
+}
+
+// Report a transport error. Without a listener EventEmitter would throw it out
+// of the socket callback and end the process, so it is dropped instead.
+function emitError(transport, error) {
+  if (transport.listenerCount('error') > 0) {
+    transport.emit('error', error);
+  }
+}
+
+function createWebSocketTransport(socket, { framing = 'json' } = {}) {
+  const transport = new EventEmitter();
+  const binary = framing === 'binary';
+  const startedAt = Date.now();
+  let sentFrames = 0;
+  let sentItemId = null;
+  let receivedSeq = -1;
+
+  // A throwing handler must not escape the ws event and take the process down
+  function deliver(message) {
+    try {
+      transport.emit('message', message);
+    } catch (error) {
+      emitError(transport, new Error(`Failed to handle ${message.type} message: ${error.message}`));
+    }
+  }
+
+  // Binary client audio -> the same message a JSON client would send. Frames
+  // that can't be decoded are reported back to the sender; frames that arrive
+  // out of order or twice are dropped.
+  function receiveFrame(data) {
+    let frame;
+    try {
+      if (!binary) throw new FrameError('Binary frames need ?framing=binary');
+      frame = decodeAudioFrame(data);
+    } catch (error) {
+      if (!(error instanceof FrameError)) throw error;
+      transport.send({ type: 'error', code: 'invalid_frame', message: error.message });
+      return;
+    }
+    if (frame.seq <= receivedSeq) return;
+    receivedSeq = frame.seq;
+    deliver({ type: 'audio', data: frame.payload.toString('base64'), seq: frame.seq, timestamp: frame.timestamp });
+  }
+
+  function sendFrame(message) {
+    if (message.item_id && message.item_id !== sentItemId) {
+      sentItemId = message.item_id;
+      socket.send(JSON.stringify({ type: 'audio_item', item_id: message.item_id, seq: sentFrames }));
+    }
+    socket.send(encodeAudioFrame({
+      seq: sentFrames++,
+      timestamp: Date.now() - startedAt,
+      payload: Buffer.from(message.data, 'base64')
+    }), { binary: true });
+  }
+
+  socket.on('open', () => transport.emit('open'));
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      receiveFrame(data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      emitError(transport, new Error(`Invalid JSON message: ${error.message}`));
+      return;
+    }
+    if (!isMessage(message)) {
+      emitError(transport, new Error('Invalid message: expected an object with a string "type"'));
+      return;
+    }
+    deliver(message);
+  });
+  socket.on('close', (code, reason) => transport.emit('close', code, reason ? reason.toString() : ''));
+  socket.on('error', (error) => emitError(transport, error));
+
+  transport.socket = socket;
+  transport.isOpen = () => socket.readyState === WebSocket.OPEN;
+  transport.send = (message) => {
+    if (!transport.isOpen()) return;
+    if (binary && message.type === 'audio' && message.data) {
+      sendFrame(message);
+    } else {
+      socket.send(JSON.stringify(message));
+    }
+  };
+  transport.close = (code, reason) => socket.close(code, reason);
+
+  return transport;
+}
+
+// Wrap a client transport so `audio` messages are converted between the
+// client's declared formats (see lib/audio/transcode.js) and the PCM16 24 kHz
+// sessions work with. Client audio that can't be decoded is reported back to
+// the client and dropped.
+function withAudioFormats(transport, { input, output }) {
+  if (isNative(input) && isNative(output)) return transport;
+
+  const decoder = isNative(input) ? null : createAudioDecoder(input);
+  const encoder = isNative(output) ? null : createAudioEncoder(output);
+  const wrapped = new EventEmitter();
+
+  transport.on('open', () => wrapped.emit('open'));
+  transport.on('error', (error) => emitError(wrapped, error));
+  transport.on('close', (code, reason) => {
+    if (decoder) decoder.close();
+    if (encoder) encoder.close();
+    wrapped.emit('close', code, reason);
+  });
+
+  transport.on('message', (message) => {
+    if (message.type !== 'audio' || !decoder || !message.data) {
+      wrapped.emit('message', message);
+      return;
+    }
+
+    let pcm;
+    try {
+      pcm = decoder.decode(Buffer.from(message.data, 'base64'));
+    } catch (error) {
+      transport.send({ type: 'error', code: 'invalid_audio', message: `Could not decode ${input.format} audio: ${error.message}` });
+      return;
+    }
+    // Container headers and partial frames decode to nothing yet
+    if (pcm.length > 0) {
+      wrapped.emit('message', { ...message, data: pcm.toString('base64') });
+    }
+  });
+
+  wrapped.socket = transport.socket;
+  wrapped.isOpen = () => transport.isOpen();
+  wrapped.close = (code, reason) => transport.close(code, reason);
+  wrapped.send = (message) => {
+    if (message.type !== 'audio' || !encoder || !message.data) {
+      transport.send(message);
+      return;
+    }
+
+    const encoded = encoder.encode(Buffer.from(message.data, 'base64'));
+    if (encoded.length === 0) return;
+    transport.send({
+      ...message,
+      data: encoded.toString('base64'),
+      format: output.format,
+      ...(output.sampleRate ? { sample_rate: output.sampleRate } : {})
+    });
+  };
+
+  return wrapped;
+}
+
+// Mint an ephemeral token and open the realtime socket with it
+async function connectRealtimeUpstream() {
+  const token = await getRealtimeToken();
+  return createWebSocketTransport(new WebSocket(getRealtimeUrl(), {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'OpenAI-Beta': 'realtime=v1'
+    }
+  }));
+}
+
+module.exports = { isMessage, emitError, createWebSocketTransport, withAudioFormats, connectRealtimeUpstream };
@@ -0,0 +1,208 @@
+// Phone calls through Twilio Media Streams.
+//
+//   POST /twilio/voice   Twilio's voice webhook. Answers with TwiML that
+//                        connects the call to the media stream below, passing
+//                        the caller and the webhook's query (persona, voice...)
+//                        as stream parameters.
+//   WS   /twilio/media   The Media Streams socket: μ-law 8 kHz audio both ways.
+//
+// Both requests are checked against X-Twilio-Signature when TWILIO_AUTH_TOKEN
+// is set. Without it they are only accepted while client auth is disabled too.
+// TWILIO_PUBLIC_URL (e.g. https://voice.example.com) is the base URL Twilio
+// calls; it defaults to the request's Host and X-Forwarded-Proto.
+//
+// A call is driven by the same RealtimeSession as WebSocket clients, through a
+// transport that translates Twilio's events:
+//   in:  media -> audio, mark -> playback, stop -> close
+//   out: audio -> media followed by a mark, interrupted -> clear
+// Twilio echoes each mark once the audio before it has been played, which
+// gives the session accurate playback positions for barge-in.
+const { EventEmitter } = require('events');
+const { createHmac, timingSafeEqual } = require('crypto');
+const WebSocket = require('ws');
+const { AuthError, isAuthEnabled } = require('./auth');
+const { emitError } = require('./transports');
+
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_PUBLIC_URL = process.env.TWILIO_PUBLIC_URL;
+const TWIML_PATH = '/twilio/voice';
+const MEDIA_STREAM_PATH = '/twilio/media';
+// Media Streams audio, in lib/audio/transcode.js terms
+const TWILIO_AUDIO_FORMATS = { input: { format: 'g711_ulaw' }, output: { format: 'g711_ulaw' } };
+const ULAW_BYTES_PER_MS = 8;
+
+function isTwilioConfigured() {
+  return Boolean(TWILIO_AUTH_TOKEN);
+}
+
+// Twilio's request signature: HMAC-SHA1 over the full URL followed by every
+// POST parameter, sorted by name, as name + value.
+function twilioSignature(authToken, url, params = {}) {
+  const payload = Object.keys(params).sort().reduce((data, name) => data + name + params[name], url);
+  return createHmac('sha1', authToken).update(payload).digest('base64');
+}
+
+// The URL Twilio used for this request, as it appears in the signature
+function publicUrl(req) {
+  const websocket = (req.headers.upgrade || '').toLowerCase() === 'websocket';
+  let base = TWILIO_PUBLIC_URL;
+  if (!base) {
+    const proto = String(req.headers['x-forwarded-proto'] || (req.socket.encrypted ? 'https' : 'http')).split(',')[0].trim();
+    base = `${proto}://${req.headers.host}`;
+  }
+  base = base.replace(/\/+$/, '');
+  return websocket ? `${base.replace(/^http/, 'ws')}${req.url}` : `${base}${req.url}`;
+}
+
+// Throws AuthError unless the request came from Twilio
+function verifyTwilioRequest(req, params = {}) {
+  if (!isTwilioConfigured()) {
+    if (isAuthEnabled()) throw new AuthError('TWILIO_AUTH_TOKEN not configured');
+    return;
+  }
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) {
+    throw new AuthError('Missing Twilio signature');
+  }
+  const expected = Buffer.from(twilioSignature(TWILIO_AUTH_TOKEN, publicUrl(req), params));
+  const actual = Buffer.from(String(signature));
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new AuthError('Invalid Twilio signature');
+  }
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// TwiML connecting the call to the media stream. `parameters` come back as
+// `customParameters` in the stream's `start` event.
+function streamTwiml(streamUrl, parameters = {}) {
+  const tags = Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}"/>`)
+    .join('');
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<Response><Connect><Stream url="${escapeXml(streamUrl)}">${tags}</Stream></Connect></Response>`;
+}
+
+// Session identity for a call: the caller's number, unless it was withheld
+function callerIdentity(start) {
+  const from = start.customParameters?.from;
+  if (!from || !/^\+?[0-9]+$/.test(from)) {
+    return { id: null, anonymous: true };
+  }
+  return { id: `tel:${from}`, name: null, phone: from };
+}
+
+// Transport (see lib/transports.js) over a Media Streams socket. Emits 'start'
+// with the stream's `start` payload; sessions are created from it, so nothing
+// is sent before the stream sid is known.
+function createTwilioTransport(socket) {
+  const transport = new EventEmitter();
+  let streamSid = null;
+  // Marks sent but not played yet; cleared on barge-in, when Twilio returns
+  // them for audio that will never play
+  const pendingMarks = new Set();
+  let playing = null;
+
+  function sendEvent(event) {
+    if (transport.isOpen() && streamSid) {
+      socket.send(JSON.stringify({ ...event, streamSid }));
+    }
+  }
+
+  function onMark(name) {
+    if (!pendingMarks.delete(name)) return;
+    const split = name.lastIndexOf(':');
+    transport.emit('message', {
+      type: 'playback',
+      item_id: name.slice(0, split),
+      offset_ms: Number(name.slice(split + 1))
+    });
+  }
+
+  function onEvent(event) {
+    switch (event.event) {
+      case 'start':
+        streamSid = event.start?.streamSid || event.streamSid;
+        transport.emit('start', event.start || {});
+        break;
+      case 'media':
+        // Only the caller's side; the assistant's own audio comes back on outbound
+        if (event.media?.track && event.media.track !== 'inbound') return;
+        transport.emit('message', { type: 'audio', data: event.media?.payload });
+        break;
+      case 'mark':
+        onMark(event.mark?.name);
+        break;
+      case 'stop':
+        socket.close(1000, 'Call ended');
+        break;
+      default:
+        // connected, dtmf
+        break;
+    }
+  }
+
+  socket.on('open', () => transport.emit('open'));
+  socket.on('message', (data) => {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      emitError(transport, new Error(`Invalid Twilio message: ${error.message}`));
+      return;
+    }
+    if (event === null || typeof event !== 'object') {
+      emitError(transport, new Error('Invalid Twilio message: expected an object'));
+      return;
+    }
+
+    try {
+      onEvent(event);
+    } catch (error) {
+      emitError(transport, new Error(`Failed to handle Twilio ${event.event} event: ${error.message}`));
+    }
+  });
+  socket.on('close', (code, reason) => transport.emit('close', code, reason ? reason.toString() : ''));
+  socket.on('error', (error) => emitError(transport, error));
+
+  transport.socket = socket;
+  transport.isOpen = () => socket.readyState === WebSocket.OPEN;
+  transport.close = (code, reason) => socket.close(code, reason);
+  // Calls have no UI: everything but audio and barge-in is dropped
+  transport.send = (message) => {
+    if (message.type === 'audio' && message.data) {
+      if (!playing || playing.itemId !== message.item_id) {
+        playing = { itemId: message.item_id, ms: 0 };
+      }
+      playing.ms += Buffer.from(message.data, 'base64').length / ULAW_BYTES_PER_MS;
+      sendEvent({ event: 'media', media: { payload: message.data } });
+      if (message.item_id) {
+        const name = `${message.item_id}:${Math.round(playing.ms)}`;
+        pendingMarks.add(name);
+        sendEvent({ event: 'mark', mark: { name } });
+      }
+    } else if (message.type === 'interrupted') {
+      pendingMarks.clear();
+      playing = null;
+      sendEvent({ event: 'clear' });
+    }
+  };
+
+  return transport;
+}
+
+module.exports = {
+  TWIML_PATH,
+  MEDIA_STREAM_PATH,
+  TWILIO_AUDIO_FORMATS,
+  isTwilioConfigured,
+  twilioSignature,
+  publicUrl,
+  verifyTwilioRequest,
+  streamTwiml,
+  callerIdentity,
+  createTwilioTransport
+};
@@ -0,0 +1,174 @@
+// Usage accounting. Every realtime response and fallback chat completion
+// reports its token usage; it is priced with the price table (see pricing.js),
+// persisted as one record per response and added to an in-memory total per
+// user and calendar month (UTC), which is what budgets are checked against.
+//
+// WebRTC sessions are not accounted: the browser talks to the realtime API
+// directly, so their responses never pass through this server. Their budget
+// is only checked when the token is minted (see webrtc.js).
+//
+// Budgets are monthly, in USD, and apply to authenticated users only:
+// USAGE_MONTHLY_BUDGET_USD is the default (0 = no budget) and USAGE_BUDGETS
+// overrides it per user, e.g. "alice=50,bob=5". Anonymous sessions are
+// recorded but never limited.
+//
+// Stores implement (pick the backend with USAGE_STORE, only "jsonl" for now):
+//   append(record)              -> Promise, record gets a `ts` if missing
+//   query({ user, from, to })   -> Promise<[record]>, from <= ts <= to
+//   flush()                     -> Promise, resolves when writes are on disk
+const path = require('path');
+const { createJsonlUsageStore, monthOf } = require('./jsonl-store');
+const { loadPriceTable, emptyUsage, addUsage, normalizeUsage, estimateCost, roundUsd } = require('./pricing');
+const { createLogger } = require('../logger');
+
+const log = createLogger('usage');
+
+const storeFactories = {
+  jsonl: createJsonlUsageStore
+};
+
+// "alice=50,bob=5" -> { alice: 50, bob: 5 }
+function parseBudgets(spec) {
+  const budgets = {};
+  for (const entry of String(spec || '').split(',')) {
+    const [user, amount] = entry.split('=').map(part => part && part.trim());
+    if (user && amount !== undefined && Number(amount) >= 0) {
+      budgets[user] = Number(amount);
+    }
+  }
+  return budgets;
+}
+
+const DEFAULT_MONTHLY_BUDGET_USD = Number(process.env.USAGE_MONTHLY_BUDGET_USD) || 0;
+const USER_BUDGETS = parseBudgets(process.env.USAGE_BUDGETS);
+
+function createUsageStore({
+  type = process.env.USAGE_STORE || 'jsonl',
+  dir = process.env.USAGE_DIR || path.join(process.cwd(), 'data', 'usage')
+} = {}) {
+  const factory = storeFactories[type];
+  if (!factory) {
+    throw new Error(`Unknown usage store "${type}"`);
+  }
+  return factory({ dir });
+}
+
+function createUsageTracker({
+  store = createUsageStore(),
+  prices = loadPriceTable(),
+  monthlyBudgetUsd = DEFAULT_MONTHLY_BUDGET_USD,
+  budgets = USER_BUDGETS
+} = {}) {
+  // `${month}:${user}` -> USD spent
+  const spent = new Map();
+  const unpricedModels = new Set();
+
+  function addSpend(user, ts, costUsd) {
+    if (!user || !costUsd) return;
+    const key = `${monthOf(ts)}:${user}`;
+    spent.set(key, (spent.get(key) || 0) + costUsd);
+  }
+
+  // Seed this month's totals from the store, so budgets survive restarts
+  async function load(now = new Date()) {
+    const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const records = await store.query({ from, to: now });
+    for (const record of records) {
+      addSpend(record.user, record.ts, record.costUsd);
+    }
+    log.info('Usage loaded', { month: monthOf(now), records: records.length });
+  }
+
+  // Account one response. `usage` is the raw usage object from response.done.
+  function record({ sessionId, user = null, model, responseId, usage }) {
+    const tokens = normalizeUsage(usage);
+    const costUsd = estimateCost(prices, model, tokens);
+    if (costUsd === null && !unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      log.warn('No prices for model, usage is recorded without cost', { model });
+    }
+
+    const ts = new Date().toISOString();
+    addSpend(user, ts, costUsd);
+    store.append({ ts, sessionId, user, model, responseId, tokens, costUsd });
+    return { tokens, costUsd };
+  }
+
+  function budgetFor(user) {
+    if (!user) return null;
+    const limit = budgets[user] ?? monthlyBudgetUsd;
+    return limit > 0 ? limit : null;
+  }
+
+  // This month's budget state for a user, or null when they have no budget
+  function budgetStatus(user, now = new Date()) {
+    const limitUsd = budgetFor(user);
+    if (limitUsd === null) return null;
+
+    const spentUsd = roundUsd(spent.get(`${monthOf(now)}:${user}`) || 0);
+    return {
+      month: monthOf(now),
+      limitUsd,
+      spentUsd,
+      remainingUsd: roundUsd(Math.max(limitUsd - spentUsd, 0)),
+      exhausted: spentUsd >= limitUsd
+    };
+  }
+
+  // Totals over a time range, overall and per user and per session
+  async function report({ user, from, to }) {
+    const records = await store.query({ user, from, to });
+    const emptyTotals = () => ({ responses: 0, unpricedResponses: 0, costUsd: 0, tokens: emptyUsage() });
+    const add = (totals, entry) => {
+      totals.responses++;
+      if (entry.costUsd === null) totals.unpricedResponses++;
+      totals.costUsd = roundUsd(totals.costUsd + (entry.costUsd || 0));
+      totals.tokens = addUsage(totals.tokens, entry.tokens);
+    };
+
+    const totals = emptyTotals();
+    const users = new Map();
+    const sessions = new Map();
+    for (const entry of records) {
+      add(totals, entry);
+
+      if (!users.has(entry.user)) users.set(entry.user, { user: entry.user, sessions: new Set(), ...emptyTotals() });
+      const byUser = users.get(entry.user);
+      byUser.sessions.add(entry.sessionId);
+      add(byUser, entry);
+
+      if (!sessions.has(entry.sessionId)) {
+        sessions.set(entry.sessionId, { sessionId: entry.sessionId, user: entry.user, firstResponseAt: entry.ts, ...emptyTotals() });
+      }
+      add(sessions.get(entry.sessionId), entry);
+    }
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totals,
+      users: [...users.values()].map(entry => ({ ...entry, sessions: entry.sessions.size })),
+      sessions: [...sessions.values()]
+    };
+  }
+
+  return { load, record, budgetStatus, report, flush: () => store.flush() };
+}
+
+// The payload sent to clients whose budget is used up.
+function budgetExceededError(status) {
+  return {
+    type: 'error',
+    code: 'budget_exceeded',
+    message: `Monthly usage budget of $${status.limitUsd} exhausted`,
+    limitUsd: status.limitUsd,
+    spentUsd: status.spentUsd
+  };
+}
+
+module.exports = {
+  createUsageStore,
+  createUsageTracker,
+  budgetExceededError,
+  parseBudgets
+};
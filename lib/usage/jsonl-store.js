@@ -0,0 +1,85 @@
+// JSONL usage store - one file per calendar month (UTC), one record per
+// response, e.g. data/usage/usage-2026-10.jsonl.
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const FILE_PATTERN = /^usage-(\d{4}-\d{2})\.jsonl$/;
+
+const log = createLogger('usage');
+
+function monthOf(date) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+function createJsonlUsageStore({ dir }) {
+  let ready = null;
+  // Appends are chained so flush() can wait for everything still in flight
+  let pending = Promise.resolve();
+
+  function ensureDir() {
+    if (!ready) {
+      ready = fs.promises.mkdir(dir, { recursive: true });
+    }
+    return ready;
+  }
+
+  function append(record) {
+    const entry = { ts: new Date().toISOString(), ...record };
+    const file = path.join(dir, `usage-${monthOf(entry.ts)}.jsonl`);
+
+    pending = pending
+      .then(ensureDir)
+      .then(() => fs.promises.appendFile(file, JSON.stringify(entry) + '\n'))
+      .catch(error => {
+        log.error('Usage write failed', { clientId: record.sessionId, error: error.message });
+      });
+    return pending;
+  }
+
+  // A write cut short by a crash leaves a partial line; skip it rather than
+  // refuse to start
+  async function readMonth(file) {
+    const content = await fs.promises.readFile(path.join(dir, file), 'utf8');
+    const records = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        log.warn('Skipping unreadable usage record', { file, line: index + 1, error: error.message });
+      }
+    });
+    return records;
+  }
+
+  // Records with from <= ts <= to, oldest first. `from` and `to` are Dates.
+  async function query({ user, from, to }) {
+    await pending;
+    await ensureDir();
+    const months = (await fs.promises.readdir(dir))
+      .map(file => FILE_PATTERN.exec(file))
+      .filter(match => match && match[1] >= monthOf(from) && match[1] <= monthOf(to))
+      .map(match => match[0])
+      .sort();
+
+    const records = [];
+    for (const file of months) {
+      for (const record of await readMonth(file)) {
+        const ts = new Date(record.ts);
+        if (ts < from || ts > to) continue;
+        if (user !== undefined && record.user !== user) continue;
+        records.push(record);
+      }
+    }
+    return records;
+  }
+
+  function flush() {
+    return pending;
+  }
+
+  return { append, query, flush };
+}
+
+module.exports = { createJsonlUsageStore, monthOf };
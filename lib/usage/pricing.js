@@ -0,0 +1,135 @@
+// Token usage -> estimated cost.
+//
+// Prices are read from a JSON table (USAGE_PRICES_FILE, default
+// config/pricing.json) in USD per million tokens, per model:
+//
+//   { "models": { "gpt-4o-realtime-preview": {
+//       "text":  { "input": 5,  "cachedInput": 2.5, "output": 20 },
+//       "audio": { "input": 40, "cachedInput": 2.5, "output": 80 } } } }
+//
+// Dated snapshots such as "gpt-4o-realtime-preview-2024-12-17" use the entry
+// with the longest matching name prefix.
+const fs = require('fs');
+const path = require('path');
+
+const PRICES_FILE = process.env.USAGE_PRICES_FILE || path.join(__dirname, '..', '..', 'config', 'pricing.json');
+const TOKENS_PER_PRICE_UNIT = 1e6;
+
+// Normalized token counts; input counts exclude cached tokens
+const TOKEN_FIELDS = [
+  'inputTextTokens',
+  'cachedInputTextTokens',
+  'outputTextTokens',
+  'inputAudioTokens',
+  'cachedInputAudioTokens',
+  'outputAudioTokens'
+];
+
+// Which price applies to each token field
+const PRICE_KEYS = {
+  inputTextTokens: ['text', 'input'],
+  cachedInputTextTokens: ['text', 'cachedInput'],
+  outputTextTokens: ['text', 'output'],
+  inputAudioTokens: ['audio', 'input'],
+  cachedInputAudioTokens: ['audio', 'cachedInput'],
+  outputAudioTokens: ['audio', 'output']
+};
+
+function loadPriceTable(file = PRICES_FILE) {
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read price table ${file}: ${error.message}`);
+  }
+  if (!table || typeof table.models !== 'object') {
+    throw new Error(`Price table ${file} has no "models"`);
+  }
+
+  for (const [model, prices] of Object.entries(table.models)) {
+    for (const [kind, key] of Object.values(PRICE_KEYS)) {
+      const price = prices?.[kind]?.[key];
+      if (typeof price !== 'number' || price < 0) {
+        throw new Error(`Price table ${file}: ${model}.${kind}.${key} must be a non-negative number`);
+      }
+    }
+  }
+  return table.models;
+}
+
+function emptyUsage() {
+  return Object.fromEntries(TOKEN_FIELDS.map(field => [field, 0]));
+}
+
+function addUsage(total, usage) {
+  const sum = { ...total };
+  for (const field of TOKEN_FIELDS) {
+    sum[field] += usage[field] || 0;
+  }
+  return sum;
+}
+
+// Flatten the `usage` object of a realtime `response.done`, or of a chat
+// completion (text only, see fallback.js)
+function normalizeUsage(usage = {}) {
+  if (usage.prompt_tokens !== undefined) {
+    const cachedText = usage.prompt_tokens_details?.cached_tokens || 0;
+    return {
+      ...emptyUsage(),
+      inputTextTokens: Math.max(usage.prompt_tokens - cachedText, 0),
+      cachedInputTextTokens: cachedText,
+      outputTextTokens: usage.completion_tokens || 0
+    };
+  }
+
+  const input = usage.input_token_details || {};
+  const output = usage.output_token_details || {};
+  const cached = input.cached_tokens_details || {};
+  // Without a breakdown, cached tokens are counted as text
+  const cachedText = cached.text_tokens ?? (input.cached_tokens || 0);
+  const cachedAudio = cached.audio_tokens || 0;
+
+  return {
+    inputTextTokens: Math.max((input.text_tokens || 0) - cachedText, 0),
+    cachedInputTextTokens: cachedText,
+    outputTextTokens: output.text_tokens || 0,
+    inputAudioTokens: Math.max((input.audio_tokens || 0) - cachedAudio, 0),
+    cachedInputAudioTokens: cachedAudio,
+    outputAudioTokens: output.audio_tokens || 0
+  };
+}
+
+function pricesFor(table, model) {
+  if (table[model]) return table[model];
+  const prefix = Object.keys(table)
+    .filter(name => model && model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+// Cost in USD, or null when the model has no prices
+function estimateCost(table, model, tokens) {
+  const prices = pricesFor(table, model);
+  if (!prices) return null;
+
+  let cost = 0;
+  for (const [field, [kind, key]] of Object.entries(PRICE_KEYS)) {
+    cost += (tokens[field] || 0) * prices[kind][key] / TOKENS_PER_PRICE_UNIT;
+  }
+  return roundUsd(cost);
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = {
+  PRICES_FILE,
+  TOKEN_FIELDS,
+  loadPriceTable,
+  emptyUsage,
+  addUsage,
+  normalizeUsage,
+  estimateCost,
+  roundUsd
+};
@@ -0,0 +1,107 @@
+// Direct browser sessions over WebRTC.
+//
+//   POST /session                   mint an ephemeral token for the caller
+//   POST /session/:id/tool_calls    run a function call for that session
+//
+// The browser connects to the realtime API itself with the returned
+// `client_secret`, so the persona (instructions, voice, VAD, tools) is applied
+// when the token is minted. Function calls arrive on the browser's data
+// channel; it posts them here with the session's tool token and sends the
+// output back as a `function_call_output` item, so tools still run server-side.
+//
+// Audio never passes through this server: these sessions are not recorded,
+// and budgets and rate limits are only checked when the token is minted.
+// Tool tokens stay valid for WEBRTC_SESSION_TTL_MS (default 30 minutes, the
+// realtime API's session limit).
+const { randomBytes, timingSafeEqual } = require('crypto');
+const { runSessionToolCall } = require('./tools');
+const { profileLanguage, buildSessionUpdate, greetingInstructions } = require('./session-config');
+const { AUTO } = require('./languages');
+const { REALTIME_MODEL, createRealtimeSession, getRealtimeWebRtcUrl } = require('./openai');
+const { createLogger } = require('./logger');
+
+const WEBRTC_SESSION_TTL_MS = Number(process.env.WEBRTC_SESSION_TTL_MS) || 30 * 60 * 1000;
+
+const log = createLogger('webrtc');
+
+function sameToken(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function createWebRtcSessions({
+  transcripts,
+  rateLimiter,
+  mintSession = createRealtimeSession,
+  ttlMs = WEBRTC_SESSION_TTL_MS,
+  clock = Date.now
+}) {
+  // Session id -> { user, tools, toolToken, expiresAt }
+  const sessions = new Map();
+
+  function prune(now) {
+    for (const [id, session] of sessions) {
+      if (session.expiresAt <= now) sessions.delete(id);
+    }
+  }
+
+  // Mint a token carrying the session config. Resolves with everything the
+  // browser needs to connect, greet and call tools. In `auto` language mode the
+  // model itself follows the user's language; nothing here detects it.
+  async function create({ user, config, language: requested = AUTO, remoteAddress = null }) {
+    const id = randomBytes(4).toString('hex');
+    const autoDetect = requested === AUTO;
+    const language = autoDetect ? profileLanguage(config) : requested;
+    const update = buildSessionUpdate(config, { language, autoDetect });
+    const minted = await mintSession({ model: REALTIME_MODEL, ...update });
+    const model = minted.model || REALTIME_MODEL;
+    const toolToken = randomBytes(24).toString('base64url');
+    const tools = update.tools.map(tool => tool.name);
+
+    const now = clock();
+    prune(now);
+    sessions.set(id, { user, tools, toolToken, expiresAt: now + ttlMs });
+    transcripts.append(id, { type: 'session_start', user: user.id, remoteAddress, transport: 'webrtc' });
+    log.info('WebRTC session created', { clientId: id, user: user.id || 'anonymous', profile: config.profile });
+
+    return {
+      id,
+      model,
+      client_secret: minted.client_secret,
+      webrtc_url: getRealtimeWebRtcUrl(model),
+      config,
+      language,
+      language_mode: autoDetect ? 'auto' : 'pinned',
+      greeting: { instructions: greetingInstructions(config, language) },
+      tools: { names: tools, url: `/session/${id}/tool_calls`, token: toolToken }
+    };
+  }
+
+  // Run one function call for a session. Resolves with { call_id, success,
+  // output }, or null when the session is unknown, expired or the token is wrong.
+  async function runToolCall(id, token, { name, arguments: rawArgs, call_id: callId }) {
+    const session = sessions.get(id);
+    if (!session || session.expiresAt <= clock() || !token || !sameToken(token, session.toolToken)) {
+      return null;
+    }
+
+    const result = await runSessionToolCall({
+      name,
+      rawArgs: typeof rawArgs === 'string' ? rawArgs : JSON.stringify(rawArgs || {}),
+      callId
+    }, {
+      sessionId: id,
+      user: session.user,
+      transcripts,
+      rateLimiter,
+      log: log.child({ clientId: id }),
+      allowed: session.tools
+    });
+    return { call_id: callId, ...result };
+  }
+
+  return { create, runToolCall };
+}
+
+module.exports = { WEBRTC_SESSION_TTL_MS, createWebRtcSessions };
@@ -1,178 +1,183 @@
+const fs = require('fs');
 const http = require('http');
 const WebSocket = require('ws');
-const https = require('https');
 const { randomBytes } = require('crypto');
 const { parse } = require('url');
+const { registerTool, listTools } = require('./lib/tools');
+const { getSearchProviders, performWebSearch } = require('./lib/search');
+const { createTranscriptStore } = require('./lib/transcripts');
+const { AuthError, isAuthEnabled, authenticateRequest, isReviewer, canAccess, selectProtocol } = require('./lib/auth');
+const { createRateLimiter, rateLimitError } = require('./lib/rate-limit');
+const { ConfigError, configFromQuery, resolveSessionConfig, parseLanguage } = require('./lib/session-config');
+const { AUTO } = require('./lib/languages');
+const { PROFILES_DIR, loadProfiles, watchProfiles, listProfiles } = require('./lib/profiles');
+const { useOpenAIEndpoints } = require('./lib/openai');
+const { createWebSocketTransport, withAudioFormats, connectRealtimeUpstream } = require('./lib/transports');
+const { audioFormatsFromQuery } = require('./lib/audio/transcode');
+const { framingFromQuery } = require('./lib/framing');
+const {
+  TWIML_PATH,
+  MEDIA_STREAM_PATH,
+  TWILIO_AUDIO_FORMATS,
+  publicUrl,
+  verifyTwilioRequest,
+  streamTwiml,
+  callerIdentity,
+  createTwilioTransport
+} = require('./lib/twilio');
+const { RealtimeSession } = require('./lib/realtime-session');
+const { createLogger } = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const { createHealthChecks } = require('./lib/health');
+const { createUsageTracker, budgetExceededError } = require('./lib/usage');
+const { createRecordingStore } = require('./lib/recordings');
+const { createWebRtcSessions } = require('./lib/webrtc');
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const PORT = process.env.PORT || 3000;
+// Talk to the built-in mock upstream instead of api.openai.com
+const MOCK_REALTIME = ['1', 'true'].includes(process.env.MOCK_REALTIME);
+// How long live sessions get to finish their current response on shutdown
+const SHUTDOWN_DEADLINE_MS = Number(process.env.SHUTDOWN_DEADLINE_MS) || 30000;
+// Extra time for flushing transcripts, usage and recordings before the process exits regardless
+const SHUTDOWN_FLUSH_TIMEOUT_MS = 5000;
 
-console.log('🚀 Starting Realtime Voice Server...');
+const log = createLogger('server');
+log.info('Starting Realtime Voice Server');
 
-if (!OPENAI_API_KEY) {
-  console.error('❌ OPENAI_API_KEY not configured');
+if (!OPENAI_API_KEY && !MOCK_REALTIME) {
+  log.error('OPENAI_API_KEY not configured');
   process.exit(1);
 }
 
-// Get ephemeral token
-async function getRealtimeToken() {
-  return new Promise((resolve, reject) => {
-    console.log('🔑 Requesting ephemeral token...');
+if (!isAuthEnabled()) {
+  log.warn('AUTH_SECRET not configured - WebSocket clients are NOT authenticated');
+}
+
+try {
+  getSearchProviders();
+} catch (error) {
+  log.error('Invalid search provider configuration', { error: error.message });
+  process.exit(1);
+}
+
+const transcripts = createTranscriptStore();
+const rateLimiter = createRateLimiter();
+let usage;
+try {
+  usage = createUsageTracker();
+} catch (error) {
+  log.error('Invalid usage price table', { error: error.message });
+  process.exit(1);
+}
+const recordings = createRecordingStore();
+const webrtc = createWebRtcSessions({ transcripts, rateLimiter });
+// Sessions currently connected
+const sessions = new Set();
+const health = createHealthChecks({ getActiveSessions: () => sessions.size });
+
+registerTool({
+  name: 'web_search',
+  description: 'Search for current, real-time information. Use for weather, news, sports, stocks, etc.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Search query (e.g., "current weather in London", "latest news", "NBA scores")'
+      }
+    },
+    required: ['query']
+  },
+  timeoutMs: 20000,
+  handler: async ({ query }, { clientId }) => {
+    const searchResult = await performWebSearch(query);
+    log.info('Web search finished', { clientId, query, success: searchResult.success, provider: searchResult.provider });
     
-    const postData = JSON.stringify({
-      model: 'gpt-4o-realtime-preview',
-      voice: 'alloy'
-    });
+    return searchResult.success ?
+      `Based on my search for "${query}": ${searchResult.result}` :
+      searchResult.fallback;
+  }
+});
 
-    const options = {
-      hostname: 'api.openai.com',
-      port: 443,
-      path: '/v1/realtime/sessions',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        'OpenAI-Beta': 'realtime=v1'
-      },
-      timeout: 10000
-    };
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          const json = JSON.parse(data);
-          if (json.client_secret?.value) {
-            console.log('✅ Ephemeral token received');
-            resolve(json.client_secret.value);
-          } else {
-            reject(new Error('No client_secret in response'));
-          }
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}`));
-        }
-      });
+// Request body as a string, up to `limit` bytes
+function readBody(req, limit = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > limit) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
     });
-
+    req.on('end', () => resolve(body));
     req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Timeout'));
-    });
-
-    req.write(postData);
-    req.end();
   });
 }
 
-// Function to perform web search - SIMPLIFIED VERSION
-async function performWebSearch(query) {
+// JSON request body; an empty body is an empty object
+async function readJson(req) {
+  const body = await readBody(req);
+  return body.trim() ? JSON.parse(body) : {};
+}
+
+// Identity behind an HTTP request, or null once the refusal has been sent.
+// `required` refuses the request even while client auth is disabled.
+function requestIdentity(req, res, action, { required = false, fields = {} } = {}) {
   try {
-    console.log(`🔍 Performing web search for: "${query}"`);
-    
-    // Try multiple endpoints or fallbacks
-    const endpoints = [
-      'https://life-ai-360-bz26.onrender.com/api/integrations/Core.InvokeLLM',
-      'https://life-ai-360-bz26.onrender.com/api/chat/completions',
-      'https://life-ai-360-bz26.onrender.com/api/v1/chat'
-    ];
-    
-    let lastError = null;
-    
-    for (const endpoint of endpoints) {
-      try {
-        console.log(`🔗 Trying endpoint: ${endpoint}`);
-        
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: { 
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          body: JSON.stringify({
-            prompt: `Find current, accurate information about: ${query}. Provide a concise answer with specific details.`,
-            add_context_from_internet: true,
-            max_tokens: 300
-          }),
-          timeout: 5000
-        });
-        
-        console.log(`📊 Response status: ${response.status}`);
-        
-        if (response.ok) {
-          const result = await response.json();
-          console.log(`✅ Search completed via ${endpoint}`);
-          
-          // Extract text from response
-          let searchResult;
-          if (typeof result === 'string') {
-            searchResult = result;
-          } else if (result.response || result.answer || result.content || result.message) {
-            searchResult = result.response || result.answer || result.content || result.message;
-          } else if (result.choices && result.choices[0] && result.choices[0].message) {
-            searchResult = result.choices[0].message.content;
-          } else {
-            searchResult = JSON.stringify(result);
-          }
-          
-          return {
-            success: true,
-            query: query,
-            result: searchResult.substring(0, 1500),
-            timestamp: new Date().toISOString()
-          };
-        } else {
-          console.log(`❌ Endpoint ${endpoint} returned ${response.status}`);
-          lastError = new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-      } catch (endpointError) {
-        console.log(`❌ Endpoint ${endpoint} failed:`, endpointError.message);
-        lastError = endpointError;
-      }
-    }
-    
-    // If all endpoints fail, provide a fallback response
-    console.log(`❌ All search endpoints failed, using fallback`);
-    
-    // Generate intelligent fallback based on query
-    let fallback = `I searched for "${query}" but couldn't retrieve real-time information. `;
-    
-    if (query.toLowerCase().includes('weather')) {
-      fallback += `For current weather, you can check weather.com, accuweather.com, or your local weather service.`;
-    } else if (query.toLowerCase().includes('news')) {
-      fallback += `For the latest news, check reputable news websites like BBC, CNN, or Reuters.`;
-    } else if (query.toLowerCase().includes('score') || query.toLowerCase().includes('sport')) {
-      fallback += `For sports scores, check ESPN, BBC Sport, or your favorite sports app.`;
+    if (required && !isAuthEnabled()) throw new AuthError('AUTH_SECRET not configured');
+    return authenticateRequest(req);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      log.warn(`Rejected ${action}`, { ...fields, remoteAddress: req.socket.remoteAddress, reason: error.message });
+      sendJson(res, 401, { error: 'Unauthorized' });
     } else {
-      fallback += `You might want to search online directly for the most current information.`;
+      log.error(`Failed to authenticate ${action}`, { ...fields, error });
+      sendJson(res, 500, { error: 'Internal server error' });
     }
-    
-    return {
-      success: false,
-      query: query,
-      error: lastError?.message || 'All endpoints failed',
-      fallback: fallback
-    };
-    
+    return null;
+  }
+}
+
+// Session id from a `/session(s)/:id/...` path, or null when it is not valid
+// percent-encoding
+function sessionIdParam(pathname) {
+  try {
+    return decodeURIComponent(pathname.split('/')[2]);
   } catch (error) {
-    console.error('❌ Search function error:', error);
-    return {
-      success: false,
-      query: query,
-      error: error.message,
-      fallback: `Unable to search for "${query}" at the moment. Please try a web search directly.`
-    };
+    return null;
   }
 }
 
-// Create HTTP server
-const server = http.createServer(async (req, res) => {
+// Optional date query parameter; undefined when absent, null when invalid
+function dateParam(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const date = new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Profiles reference tools by name, so load them once the tools are registered
+try {
+  const loaded = loadProfiles();
+  watchProfiles();
+  log.info('Profiles loaded', { dir: PROFILES_DIR, profiles: loaded.map(profile => profile.name) });
+} catch (error) {
+  log.error('Invalid persona profiles', { error: error.message });
+  process.exit(1);
+}
+
+async function handleRequest(req, res) {
   const parsedUrl = parse(req.url, true);
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -180,11 +185,27 @@ const server = http.createServer(async (req, res) => {
     return;
   }
   
-  if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() }));
+  if (req.method === 'GET' && (parsedUrl.pathname === '/health' || parsedUrl.pathname === '/health/live')) {
+    sendJson(res, 200, health.live());
+  } else if (req.method === 'GET' && parsedUrl.pathname === '/health/ready') {
+    try {
+      const { ready, body } = await health.ready();
+      sendJson(res, ready ? 200 : 503, body);
+    } catch (error) {
+      log.error('Readiness check failed', { error });
+      sendJson(res, 503, { status: 'degraded', error: error.message });
+    }
+  } else if (req.method === 'GET' && parsedUrl.pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(metrics.registry.render());
   } else if (parsedUrl.pathname === '/test-search') {
     // Test search endpoint
+    const limited = rateLimiter.consume('test_search_per_minute', req.socket.remoteAddress);
+    if (!limited.allowed) {
+      res.setHeader('Retry-After', Math.ceil(limited.retryAfterMs / 1000));
+      sendJson(res, 429, rateLimitError(limited));
+      return;
+    }
     const query = parsedUrl.query.q || 'current weather';
     try {
       const result = await performWebSearch(query);
@@ -194,423 +215,445 @@ const server = http.createServer(async (req, res) => {
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Test failed', details: error.message }));
     }
-  } else {
-    res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('Realtime Voice Server\n');
-  }
-});
-
-// Create WebSocket server
-const wss = new WebSocket.Server({ server });
-
-wss.on('connection', async (clientSocket, req) => {
-  const clientId = randomBytes(4).toString('hex');
-  console.log(`\n📞 [${clientId}] New connection from ${req.socket.remoteAddress}`);
-  
-  let openaiWs = null;
-  let isMuted = false;
-  let isReady = false;
-  let isResponding = false;
-  let messageQueue = [];
-  let currentLanguage = 'en';
-  
-  try {
-    const token = await getRealtimeToken();
-    const openaiUrl = 'wss://api.openai.com/v1/realtime';
-    
-    console.log(`🔌 [${clientId}] Connecting to OpenAI...`);
-    
-    openaiWs = new WebSocket(openaiUrl, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'OpenAI-Beta': 'realtime=v1'
-      }
+  } else if (req.method === 'GET' && parsedUrl.pathname === '/profiles') {
+    // Instructions stay server-side; clients only need enough to pick a persona
+    sendJson(res, 200, {
+      profiles: listProfiles().map(({ name, description, voice, language, tools, greeting, greetings }) => ({
+        name, description, voice, language, tools, greeting, languages: Object.keys(greetings)
+      }))
     });
-    
-    openaiWs.on('open', () => {
-      console.log(`✅ [${clientId}] Connected to OpenAI`);
-      
-      // Configure session
-      openaiWs.send(JSON.stringify({
-        type: 'session.update',
-        session: {
-          modalities: ['text', 'audio'],
-          instructions: `You are Life, a friendly AI voice assistant. 
-          
-          IMPORTANT RULES:
-          1. Always speak in English by default.
-          2. For current information (weather, news, sports, stocks), use the web_search tool.
-          3. If web_search fails, be honest and suggest checking online directly.
-          4. Keep responses concise (1-2 sentences for answers).
-          5. Be helpful and friendly.
-          
-          WEB SEARCH GUIDELINES:
-          - Weather: Ask for location if missing, then search "current weather in [location]"
-          - News: Search "latest news about [topic]"
-          - Sports: Search "latest scores [team/sport]"
-          - Stocks: Search "current stock price of [company]"
-          
-          Example user question: "What's the weather?" 
-          Your action: Use web_search with query "current weather"`,
-          voice: 'alloy',
-          input_audio_format: 'pcm16',
-          output_audio_format: 'pcm16',
-          input_audio_transcription: {
-            model: 'whisper-1',
-            language: 'en'
-          },
-          turn_detection: {
-            type: 'server_vad',
-            threshold: 0.5,
-            prefix_padding_ms: 300,
-            silence_duration_ms: 1000
-          },
-          temperature: 0.7,
-          tools: [
-            {
-              type: 'function',
-              name: 'web_search',
-              description: 'Search for current, real-time information. Use for weather, news, sports, stocks, etc.',
-              parameters: {
-                type: 'object',
-                properties: {
-                  query: {
-                    type: 'string',
-                    description: 'Search query (e.g., "current weather in London", "latest news", "NBA scores")'
-                  }
-                },
-                required: ['query']
-              }
-            }
-          ]
-        }
-      }));
-      
-      clientSocket.send(JSON.stringify({
-        type: 'connected',
-        message: 'Connected to OpenAI',
-        language: 'en',
-        voice: 'alloy'
-      }));
-    });
-    
-    openaiWs.on('message', (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-        
-        // DEBUG: Log all non-audio messages
-        if (!['response.audio.delta', 'response.audio_transcript.delta'].includes(message.type)) {
-          console.log(`🔵 [${clientId}] OpenAI: ${message.type}`);
-        }
-        
-        // Critical debug messages
-        if (['error', 'response.function_call_arguments.done', 'conversation.item.input_audio_transcription.completed'].includes(message.type)) {
-          console.log(`📋 [${clientId}] ${message.type}:`, JSON.stringify(message, null, 2));
-        }
-        
-        // Session ready
-        if (message.type === 'session.updated') {
-          console.log(`✅ [${clientId}] Session ready`);
-          isReady = true;
-          
-          // Process queued messages
-          while (messageQueue.length > 0) {
-            const queuedMsg = messageQueue.shift();
-            handleClientMessage(queuedMsg);
-          }
-          
-          // Send greeting
-          setTimeout(() => {
-            if (openaiWs.readyState === WebSocket.OPEN) {
-              openaiWs.send(JSON.stringify({
-                type: 'response.create',
-                response: {
-                  modalities: ['text', 'audio'],
-                  instructions: 'Greet the user in English. Say "Hello! I am Life, your AI assistant. I can help answer questions and search for current information. What would you like to know?"'
-                }
-              }));
-            }
-          }, 500);
-        }
-        
-        // VAD events
-        if (message.type === 'input_audio_buffer.speech_started') {
-          console.log(`🎤 [${clientId}] Speech started`);
-          clientSocket.send(JSON.stringify({ type: 'vad_start' }));
-        }
-        
-        if (message.type === 'input_audio_buffer.speech_stopped') {
-          console.log(`🎤 [${clientId}] Speech stopped`);
-          clientSocket.send(JSON.stringify({ type: 'vad_stop' }));
-        }
-        
-        // Audio output
-        if (message.type === 'response.audio.delta' && message.delta) {
-          clientSocket.send(JSON.stringify({
-            type: 'audio',
-            data: message.delta,
-            format: 'pcm16'
-          }));
-        }
-        
-        // Response started
-        if (message.type === 'response.created') {
-          isResponding = true;
-          console.log(`▶️ [${clientId}] Response started`);
-        }
-        
-        // Response done
-        if (message.type === 'response.done') {
-          isResponding = false;
-          console.log(`⏹️ [${clientId}] Response completed`);
-        }
-        
-        // Transcriptions
-        if (message.type === 'conversation.item.input_audio_transcription.completed') {
-          console.log(`📝 [${clientId}] User said: "${message.transcript}"`);
-          clientSocket.send(JSON.stringify({
-            type: 'transcript',
-            role: 'user',
-            text: message.transcript,
-            language: currentLanguage
-          }));
-        }
-        
-        if (message.type === 'response.audio_transcript.done') {
-          console.log(`🤖 [${clientId}] AI said: "${message.transcript}"`);
-          clientSocket.send(JSON.stringify({
-            type: 'transcript',
-            role: 'assistant',
-            text: message.transcript,
-            language: currentLanguage
-          }));
-        }
-        
-        // Function calls
-        if (message.type === 'response.function_call_arguments.done') {
-          console.log(`🔧 [${clientId}] Function call: ${message.name}`);
-          
-          if (message.name === 'web_search') {
-            try {
-              const args = JSON.parse(message.arguments);
-              console.log(`🔍 [${clientId}] Web search query: "${args.query}"`);
-              
-              // Perform search
-              performWebSearch(args.query).then(searchResult => {
-                console.log(`✅ [${clientId}] Search result: ${searchResult.success ? 'Success' : 'Failed'}`);
-                
-                const output = searchResult.success ? 
-                  `Based on my search for "${args.query}": ${searchResult.result}` : 
-                  searchResult.fallback;
-                
-                // Send result back
-                openaiWs.send(JSON.stringify({
-                  type: 'conversation.item.create',
-                  item: {
-                    type: 'function_call_output',
-                    call_id: message.call_id,
-                    output: output
-                  }
-                }));
-                
-                // Trigger response
-                setTimeout(() => {
-                  if (openaiWs.readyState === WebSocket.OPEN) {
-                    openaiWs.send(JSON.stringify({
-                      type: 'response.create'
-                    }));
-                  }
-                }, 100);
-                
-              }).catch(error => {
-                console.error(`❌ [${clientId}] Search promise error:`, error);
-                
-                openaiWs.send(JSON.stringify({
-                  type: 'conversation.item.create',
-                  item: {
-                    type: 'function_call_output',
-                    call_id: message.call_id,
-                    output: `I encountered an error while searching for "${args.query}". Please try asking again or check online.`
-                  }
-                }));
-                
-                setTimeout(() => {
-                  if (openaiWs.readyState === WebSocket.OPEN) {
-                    openaiWs.send(JSON.stringify({
-                      type: 'response.create'
-                    }));
-                  }
-                }, 100);
-              });
-              
-            } catch (error) {
-              console.error(`❌ [${clientId}] Function call parse error:`, error);
-            }
-          }
-        }
-        
-        // Errors
-        if (message.type === 'error') {
-          console.error(`❌ [${clientId}] OpenAI error:`, message.error);
-          isResponding = false;
-        }
-        
-      } catch (error) {
-        console.error(`❌ [${clientId}] Parse error:`, error);
+  } else if (req.method === 'GET' && parsedUrl.pathname === '/sessions') {
+    // Conversation history: reviewers see every session, other users their own.
+    // Needs AUTH_SECRET, like transcripts and usage.
+    const identity = requestIdentity(req, res, 'session listing', { required: true });
+    if (!identity) return;
+    try {
+      const limit = Math.min(Number(parsedUrl.query.limit) || 100, 1000);
+      const user = isReviewer(identity) ? undefined : identity.id;
+      sendJson(res, 200, { sessions: await transcripts.listSessions({ limit, user }) });
+    } catch (error) {
+      log.error('Failed to list sessions', { error });
+      sendJson(res, 500, { error: 'Failed to list sessions' });
+    }
+  } else if (req.method === 'GET' && parsedUrl.pathname === '/usage') {
+    // Token usage and estimated cost; the range defaults to this month (UTC).
+    // Reviewers may ask for anyone's, or everyone's; other users get their own.
+    const identity = requestIdentity(req, res, 'usage request', { required: true });
+    if (!identity) return;
+    const reviewer = isReviewer(identity);
+    const now = new Date();
+    const from = dateParam(parsedUrl.query.from, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)));
+    const to = dateParam(parsedUrl.query.to, now);
+    const user = parsedUrl.query.user ? String(parsedUrl.query.user) : (reviewer ? undefined : identity.id);
+    if (!reviewer && user !== identity.id) {
+      sendJson(res, 403, { error: 'Forbidden' });
+      return;
+    }
+    if (!from || !to || from >= to) {
+      sendJson(res, 400, { error: '"from" and "to" must be dates, with "from" before "to"' });
+      return;
+    }
+    try {
+      const report = await usage.report({ user, from, to });
+      sendJson(res, 200, user ? { user, budget: usage.budgetStatus(user), ...report } : report);
+    } catch (error) {
+      log.error('Failed to read usage', { error });
+      sendJson(res, 500, { error: 'Failed to read usage' });
+    }
+  } else if (req.method === 'GET' && /^\/sessions\/[^/]+\/transcript$/.test(parsedUrl.pathname)) {
+    const sessionId = sessionIdParam(parsedUrl.pathname);
+    if (sessionId === null) {
+      sendJson(res, 400, { error: 'Invalid session id' });
+      return;
+    }
+    const identity = requestIdentity(req, res, 'transcript request', { required: true, fields: { clientId: sessionId } });
+    if (!identity) return;
+    try {
+      const transcript = await transcripts.getTranscript(sessionId);
+      // Someone else's transcript looks the same as a missing one
+      if (transcript && canAccess(identity, transcript.user)) {
+        sendJson(res, 200, transcript);
+      } else {
+        sendJson(res, 404, { error: 'Session not found' });
       }
-    });
-    
-    openaiWs.on('error', (error) => {
-      console.error(`❌ [${clientId}] OpenAI error:`, error.message);
-    });
-    
-    openaiWs.on('close', () => {
-      console.log(`🔴 [${clientId}] OpenAI connection closed`);
-      isReady = false;
-      isResponding = false;
-      clientSocket.close();
-    });
-    
-  } catch (error) {
-    console.error(`❌ [${clientId}] Setup failed:`, error);
-    clientSocket.send(JSON.stringify({
-      type: 'error',
-      message: `Setup failed: ${error.message}`
-    }));
-    return;
-  }
-  
-  // Handle client messages
-  function handleClientMessage(message) {
-    if (!openaiWs || openaiWs.readyState !== WebSocket.OPEN) {
-      console.error(`❌ [${clientId}] OpenAI not connected`);
+    } catch (error) {
+      log.error('Failed to read transcript', { clientId: sessionId, error });
+      sendJson(res, 500, { error: 'Failed to read transcript' });
+    }
+  } else if (req.method === 'POST' && parsedUrl.pathname === '/session') {
+    // Ephemeral token for a browser that talks to the realtime API over WebRTC
+    if (health.isDraining()) {
+      sendJson(res, 503, { error: 'Server shutting down' });
       return;
     }
-    
-    console.log(`📤 [${clientId}] Handling: ${message.type}`);
-    
-    // Audio streaming
-    if (message.type === 'audio' && message.data && !isMuted) {
-      // DEBUG: Log first few bytes of audio
-      if (message.data.length > 0) {
-        console.log(`🎤 [${clientId}] Audio: ${message.data.substring(0, 20)}... (${message.data.length} bytes)`);
+    const identity = requestIdentity(req, res, 'WebRTC session request');
+    if (!identity) return;
+    let config;
+    let language;
+    try {
+      const body = await readJson(req);
+      config = resolveSessionConfig(null, body);
+      language = body.language ? parseLanguage(body.language) : AUTO;
+    } catch (error) {
+      sendJson(res, 400, { error: error.message, code: error instanceof ConfigError ? 'invalid_config' : 'invalid_request' });
+      return;
+    }
+
+    const admission = admitSession({ user: identity, remoteAddress: req.socket.remoteAddress, concurrent: false });
+    if (!admission.allowed) {
+      if (admission.retryAfterMs !== undefined) {
+        res.setHeader('Retry-After', Math.ceil(admission.retryAfterMs / 1000));
       }
-      
-      openaiWs.send(JSON.stringify({
-        type: 'input_audio_buffer.append',
-        audio: message.data
+      sendJson(res, admission.status, admission.error);
+      return;
+    }
+
+    try {
+      sendJson(res, 200, await webrtc.create({
+        user: identity,
+        config,
+        language,
+        remoteAddress: req.socket.remoteAddress
       }));
+    } catch (error) {
+      log.error('Failed to create WebRTC session', { user: identity.id, error });
+      sendJson(res, 502, { error: 'Failed to create realtime session' });
+    }
+  } else if (req.method === 'POST' && /^\/session\/[^/]+\/tool_calls$/.test(parsedUrl.pathname)) {
+    // Function calls from WebRTC sessions, authorized by the session's tool token
+    const sessionId = sessionIdParam(parsedUrl.pathname);
+    if (sessionId === null) {
+      sendJson(res, 400, { error: 'Invalid session id' });
       return;
     }
-    
-    // Text messages
-    if (message.type === 'text_message' && message.text) {
-      console.log(`💬 [${clientId}] Text: "${message.text}"`);
-      
-      if (isResponding) {
-        console.log(`⏳ [${clientId}] Skipping - response in progress`);
-        return;
+    const token = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1];
+    let call;
+    try {
+      call = await readJson(req);
+      if (!call || typeof call !== 'object' || Array.isArray(call) || !call.name || typeof call.name !== 'string') {
+        throw new Error('Expected a JSON object with a string "name"');
       }
-      
-      // Clear audio buffer
-      openaiWs.send(JSON.stringify({ type: 'input_audio_buffer.clear' }));
-      
-      // Create conversation item
-      openaiWs.send(JSON.stringify({
-        type: 'conversation.item.create',
-        item: {
-          type: 'message',
-          role: 'user',
-          content: [{ type: 'input_text', text: message.text }]
-        }
-      }));
-      
-      // Trigger response
-      setTimeout(() => {
-        if (openaiWs.readyState === WebSocket.OPEN && !isResponding) {
-          openaiWs.send(JSON.stringify({ 
-            type: 'response.create'
-          }));
-        }
-      }, 200);
-      
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
       return;
     }
-    
-    // Other message types...
-    if (message.type === 'mute') {
-      isMuted = true;
-      console.log(`🔇 [${clientId}] Muted`);
+    try {
+      const result = await webrtc.runToolCall(sessionId, token, call);
+      if (!result) {
+        sendJson(res, 404, { error: 'Session not found' });
+        return;
+      }
+      sendJson(res, 200, result);
+    } catch (error) {
+      log.error('Tool callback failed', { clientId: sessionId, error });
+      sendJson(res, 500, { error: 'Tool call failed' });
+    }
+  } else if (req.method === 'POST' && parsedUrl.pathname === TWIML_PATH) {
+    // Twilio voice webhook: the query picks the persona, like a WebSocket client's
+    if (health.isDraining()) {
+      sendJson(res, 503, { error: 'Server shutting down' });
       return;
     }
-    
-    if (message.type === 'unmute') {
-      isMuted = false;
-      console.log(`🔊 [${clientId}] Unmuted`);
+    let params;
+    try {
+      params = Object.fromEntries(new URLSearchParams(await readBody(req)));
+      verifyTwilioRequest(req, params);
+      configFromQuery(parsedUrl.query);
+    } catch (error) {
+      const status = error instanceof AuthError ? 403 : 400;
+      log.warn('Rejected Twilio webhook', { remoteAddress: req.socket.remoteAddress, reason: error.message });
+      sendJson(res, status, { error: status === 403 ? 'Forbidden' : error.message });
       return;
     }
-    
-    if (message.type === 'set_language' && message.language) {
-      console.log(`🌐 [${clientId}] Language change: ${message.language}`);
-      currentLanguage = message.language;
-      openaiWs.send(JSON.stringify({
-        type: 'session.update',
-        session: {
-          input_audio_transcription: {
-            model: 'whisper-1',
-            language: message.language
-          }
-        }
-      }));
+    const streamUrl = new URL(MEDIA_STREAM_PATH, publicUrl(req));
+    streamUrl.protocol = streamUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+    log.info('Incoming call', { callSid: params.CallSid });
+    res.writeHead(200, { 'Content-Type': 'text/xml' });
+    res.end(streamTwiml(streamUrl.href, { ...parsedUrl.query, from: params.From, call_sid: params.CallSid }));
+  } else if (req.method === 'GET' && /^\/sessions\/[^/]+\/recording(\/metadata)?$/.test(parsedUrl.pathname)) {
+    // Recordings hold users' voices, so they always need a token
+    const part = parsedUrl.pathname.split('/')[4];
+    const sessionId = sessionIdParam(parsedUrl.pathname);
+    if (sessionId === null) {
+      sendJson(res, 400, { error: 'Invalid session id' });
       return;
     }
+    const identity = requestIdentity(req, res, 'recording download', { required: true, fields: { clientId: sessionId } });
+    if (!identity) return;
+    try {
+      const recording = await recordings.getRecording(sessionId);
+      // Someone else's recording looks the same as a missing one
+      if (!recording || !canAccess(identity, recording.metadata.user)) {
+        sendJson(res, 404, { error: 'Recording not found' });
+        return;
+      }
+      log.info('Recording downloaded', { clientId: sessionId, user: identity.id, part: part || 'audio' });
+      if (part === 'metadata') {
+        sendJson(res, 200, recording.metadata);
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'audio/wav',
+        'Content-Length': recording.size,
+        'Content-Disposition': `attachment; filename="${sessionId}.wav"`
+      });
+      fs.createReadStream(recording.file).pipe(res);
+    } catch (error) {
+      log.error('Failed to read recording', { clientId: sessionId, error });
+      sendJson(res, 500, { error: 'Failed to read recording' });
+    }
+  } else {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Realtime Voice Server\n');
   }
-  
-  // Client message handler
-  clientSocket.on('message', (data) => {
+}
+
+// Create HTTP server. Routes answer their own errors; anything that still
+// escapes one becomes a 500 rather than an unhandled rejection.
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    log.error('Request failed', { method: req.method, path: parse(req.url).pathname, error });
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+});
+
+// Create WebSocket server. Clients are authenticated on the upgrade, before
+// any ephemeral token is minted for them; Twilio media streams by signature.
+const wss = new WebSocket.Server({
+  server,
+  handleProtocols: selectProtocol,
+  verifyClient: (info, done) => {
+    if (health.isDraining()) {
+      done(false, 503, 'Server shutting down');
+      return;
+    }
     try {
-      const message = JSON.parse(data.toString());
-      
-      // DEBUG: Log all incoming messages
-      console.log(`📥 [${clientId}] Received: ${message.type}, isReady: ${isReady}`);
-      
-      if (isReady) {
-        handleClientMessage(message);
+      if (parse(info.req.url).pathname === MEDIA_STREAM_PATH) {
+        verifyTwilioRequest(info.req);
+        info.req.twilio = true;
       } else {
-        messageQueue.push(message);
-        console.log(`⏳ [${clientId}] Queued: ${message.type}`);
+        info.req.user = authenticateRequest(info.req);
       }
-      
+      done(true);
+    } catch (error) {
+      log.warn('Rejected unauthenticated connection', { remoteAddress: info.req.socket.remoteAddress, reason: error.message });
+      done(false, 401, 'Unauthorized');
+    }
+  }
+});
+
+// Admit a new session against the user's budget and session rate limits.
+// Connections also take a concurrent-session slot, freed with `release()`;
+// WebRTC sessions never pass through this server again, so they only count
+// towards the per-minute limit. A refusal carries the error for the client
+// and the HTTP status or close code to send it with.
+function admitSession({ clientId, user, remoteAddress, concurrent = true }) {
+  const budget = usage.budgetStatus(user.id);
+  if (budget?.exhausted) {
+    log.warn('Session refused', { clientId, user: user.id, reason: 'budget_exceeded', spentUsd: budget.spentUsd });
+    return { allowed: false, error: budgetExceededError(budget), status: 402, closeCode: 1008, closeReason: 'Usage budget exceeded' };
+  }
+
+  // Quotas are per authenticated user, or per IP when auth is disabled
+  const limitKey = user.id ? `user:${user.id}` : `ip:${remoteAddress}`;
+  const admission = concurrent ? rateLimiter.openSession(limitKey) : rateLimiter.consume('sessions_per_minute', limitKey);
+  if (!admission.allowed) {
+    log.warn('Session refused', { clientId, limitKey, limit: admission.limit });
+    return {
+      allowed: false,
+      error: rateLimitError(admission),
+      retryAfterMs: admission.retryAfterMs,
+      status: 429,
+      closeCode: 1013,
+      closeReason: 'Rate limited'
+    };
+  }
+  return { allowed: true, release: admission.release || (() => {}) };
+}
+
+// Admit a connection, then run its session. Refusals are sent through the
+// client transport before it is closed.
+function openSession({ clientId, user, remoteAddress, client, config, language, recordingConsent }) {
+  const admission = admitSession({ clientId, user, remoteAddress });
+  if (!admission.allowed) {
+    client.on('error', (error) => log.debug('Refused client error', { clientId, error: error.message }));
+    client.send(admission.error);
+    client.close(admission.closeCode, admission.closeReason);
+    return;
+  }
+  client.once('close', admission.release);
+
+  const session = new RealtimeSession({
+    id: clientId,
+    user,
+    remoteAddress,
+    client,
+    openUpstream: connectRealtimeUpstream,
+    config,
+    language,
+    transcripts,
+    rateLimiter,
+    usage,
+    recordings,
+    recordingConsent
+  });
+  sessions.add(session);
+  session.once('close', () => sessions.delete(session));
+  session.start();
+}
+
+// A phone call: the session starts once Twilio has sent the stream's `start`
+// event with the parameters from the TwiML (see lib/twilio.js)
+function onMediaStream(socket, req) {
+  const clientId = randomBytes(4).toString('hex');
+  const call = createTwilioTransport(socket);
+  const remoteAddress = req.socket.remoteAddress;
+
+  // Until the session takes over, a bad event ends the call
+  const onEarlyError = (error) => {
+    log.warn('Media stream error before start', { clientId, error: error.message });
+    call.close(1011, 'Invalid media stream');
+  };
+  call.on('error', onEarlyError);
+
+  call.once('start', (start) => {
+    call.off('error', onEarlyError);
+    const parameters = start.customParameters || {};
+    const user = callerIdentity(start);
+    log.info('Media stream started', { clientId, callSid: start.callSid, streamSid: start.streamSid, user: user.id || 'anonymous' });
+
+    let config;
+    let language;
+    try {
+      config = configFromQuery(parameters);
+      language = parameters.language ? parseLanguage(parameters.language) : AUTO;
     } catch (error) {
-      console.error(`❌ [${clientId}] Parse error:`, error);
+      if (!(error instanceof ConfigError)) {
+        log.error('Failed to read session config', { clientId, error });
+        call.close(1011, 'Internal error');
+        return;
+      }
+      log.warn('Invalid session config', { clientId, reason: error.message });
+      call.close(1008, 'Invalid session config');
+      return;
     }
+
+    openSession({
+      clientId,
+      user,
+      remoteAddress,
+      client: withAudioFormats(call, TWILIO_AUDIO_FORMATS),
+      config,
+      language,
+      recordingConsent: ['1', 'true'].includes(parameters.recording_consent)
+    });
   });
+}
+
+wss.on('connection', (clientSocket, req) => {
+  if (req.twilio) {
+    onMediaStream(clientSocket, req);
+    return;
+  }
+
+  const clientId = randomBytes(4).toString('hex');
+  const user = req.user || { id: null, anonymous: true };
+  log.info('New connection', { clientId, remoteAddress: req.socket.remoteAddress, user: user.id || 'anonymous' });
   
-  clientSocket.on('close', () => {
-    console.log(`🔴 [${clientId}] Client disconnected`);
-    if (openaiWs) openaiWs.close();
+  const query = parse(req.url, true).query;
+  let sessionConfig;
+  let language;
+  let audioFormats;
+  let framing;
+  try {
+    sessionConfig = configFromQuery(query);
+    language = query.language ? parseLanguage(query.language) : AUTO;
+    audioFormats = audioFormatsFromQuery(query);
+    framing = framingFromQuery(query);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      log.error('Failed to read session config', { clientId, error });
+      clientSocket.close(1011, 'Internal error');
+      return;
+    }
+    log.warn('Invalid session config', { clientId, reason: error.message });
+    clientSocket.send(JSON.stringify({ type: 'error', code: 'invalid_config', message: error.message }));
+    clientSocket.close(1008, 'Invalid session config');
+    return;
+  }
+
+  openSession({
+    clientId,
+    user,
+    remoteAddress: req.socket.remoteAddress,
+    client: withAudioFormats(createWebSocketTransport(clientSocket, { framing }), audioFormats),
+    config: sessionConfig,
+    language,
+    recordingConsent: ['1', 'true'].includes(query.recording_consent)
   });
+});
+
+// Start the mock upstream first when requested, then the server
+async function start() {
+  await usage.load();
+  if (recordings.enabled) {
+    recordings.startRetention();
+  }
+  if (MOCK_REALTIME) {
+    const { createMockRealtimeServer } = require('./lib/mock/realtime-server');
+    const mock = createMockRealtimeServer();
+    const endpoints = await mock.listen(Number(process.env.MOCK_REALTIME_PORT) || 0);
+    useOpenAIEndpoints({ ...endpoints, apiKey: OPENAI_API_KEY || 'mock-key' });
+    log.info('Using mock realtime upstream', { scenario: mock.scenario.name, apiBase: endpoints.apiBase });
+  }
   
-  clientSocket.on('error', (error) => {
-    console.error(`❌ [${clientId}] Client error:`, error);
+  server.listen(PORT, '0.0.0.0', onListening);
+}
+
+function onListening() {
+  log.info('Ready for voice conversations', {
+    port: Number(PORT),
+    auth: isAuthEnabled(),
+    searchProviders: getSearchProviders().map(provider => provider.name),
+    tools: listTools(),
+    endpoints: ['/health/live', '/health/ready', '/metrics', '/test-search?q=weather', '/profiles', '/sessions', '/usage', '/session', TWIML_PATH]
   });
-});
+}
 
-// Start server
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`\n✅ Server running on port ${PORT}`);
-  console.log(`🔗 WebSocket ready at ws://localhost:${PORT}`);
-  console.log(`🌐 Default language: English (en)`);
-  console.log(`🎙️  Voice: alloy`);
-  console.log(`🔍 Web search: ENABLED (with fallback)`);
-  console.log(`🩺 Health check: http://localhost:${PORT}/health`);
-  console.log(`🧪 Test search: http://localhost:${PORT}/test-search?q=weather`);
-  console.log(`\n🎤 Ready for voice conversations...\n`);
+start().catch(error => {
+  log.error('Startup failed', { error });
+  process.exit(1);
 });
 
-process.on('SIGINT', () => {
-  console.log('\n🔴 Shutting down...');
+// Graceful shutdown: stop taking sessions, let live ones finish their current
+// response, flush transcripts, usage and recordings, then exit. A second signal exits immediately.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    log.warn('Forced exit', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log.info('Shutting down', { signal, activeSessions: sessions.size, deadlineMs: SHUTDOWN_DEADLINE_MS });
+
+  health.setDraining(true);
+  setTimeout(() => {
+    log.error('Shutdown did not finish in time, exiting');
+    process.exit(1);
+  }, SHUTDOWN_DEADLINE_MS + SHUTDOWN_FLUSH_TIMEOUT_MS).unref();
+
+  await Promise.all([...sessions].map(session => session.drain(SHUTDOWN_DEADLINE_MS)));
+  await Promise.all([transcripts.flush(), usage.flush(), recordings.flush()]);
   wss.close();
   server.close();
+  log.info('Shutdown complete');
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
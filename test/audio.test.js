@@ -0,0 +1,185 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeMulaw, encodeMulaw, decodeAlaw, encodeAlaw } = require('../lib/audio/g711');
+const { createResampler } = require('../lib/audio/resample');
+const { createOggReader, createOggWriter } = require('../lib/audio/ogg');
+const { createWebmReader, createWebmWriter } = require('../lib/audio/webm');
+const { ConfigError } = require('../lib/session-config');
+const {
+  AUDIO_FORMATS,
+  audioFormatsFromQuery,
+  createAudioDecoder,
+  createAudioEncoder
+} = require('../lib/audio/transcode');
+
+function sine(sampleRate, ms, amplitude = 8000) {
+  const samples = sampleRate * ms / 1000;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin((2 * Math.PI * 440 * i) / sampleRate)), i * 2);
+  }
+  return pcm;
+}
+
+function samples(pcm) {
+  return Array.from({ length: pcm.length / 2 }, (_, i) => pcm.readInt16LE(i * 2));
+}
+
+function rms(pcm) {
+  let sum = 0;
+  for (let i = 0; i < pcm.length; i += 2) sum += pcm.readInt16LE(i) ** 2;
+  return Math.sqrt(sum / (pcm.length / 2));
+}
+
+// Feed `buffer` through `push` in chunks of `size` bytes
+function inChunks(buffer, size, push) {
+  const output = [];
+  for (let offset = 0; offset < buffer.length; offset += size) {
+    output.push(push(buffer.subarray(offset, offset + size)));
+  }
+  return output;
+}
+
+describe('G.711', () => {
+  it('decodes reference code words', () => {
+    assert.deepEqual(samples(decodeMulaw(Buffer.from([0xff, 0x7f, 0x00, 0x80]))), [0, 0, -32124, 32124]);
+    assert.deepEqual(samples(decodeAlaw(Buffer.from([0xd5, 0x55, 0xaa, 0x2a]))), [8, -8, 32256, -32256]);
+  });
+
+  it('round-trips speech-level samples within the companding error', () => {
+    const pcm = sine(8000, 20);
+    for (const [encode, decode] of [[encodeMulaw, decodeMulaw], [encodeAlaw, decodeAlaw]]) {
+      const decoded = decode(encode(pcm));
+      for (let i = 0; i < pcm.length; i += 2) {
+        const sample = pcm.readInt16LE(i);
+        assert.ok(Math.abs(decoded.readInt16LE(i) - sample) <= Math.max(Math.abs(sample) / 16, 16));
+      }
+    }
+  });
+});
+
+describe('resampler', () => {
+  for (const [from, to] of [[48000, 24000], [8000, 24000], [44100, 24000], [24000, 8000]]) {
+    it(`converts ${from} Hz to ${to} Hz across arbitrary chunk boundaries`, () => {
+      const resampler = createResampler(from, to);
+      const output = Buffer.concat(inChunks(sine(from, 1000), 333, resampler.push));
+
+      assert.ok(Math.abs(output.length / 2 - to) <= 3, `${output.length / 2} samples`);
+      assert.ok(Math.abs(rms(output) - rms(sine(to, 1000))) < 200);
+    });
+  }
+});
+
+describe('Ogg', () => {
+  it('reads back packets written across pages, chunk boundaries included', () => {
+    const writer = createOggWriter({ serial: 7 });
+    const packets = [Buffer.alloc(10, 1), Buffer.alloc(600, 2), Buffer.alloc(255, 3), Buffer.alloc(0)];
+    const stream = Buffer.concat([
+      writer.pages([Buffer.from('header')], () => 0, { first: true }),
+      writer.pages(packets, i => i + 1, { last: true })
+    ]);
+
+    assert.equal(stream.toString('ascii', 0, 4), 'OggS');
+    assert.equal(stream[5], 0x02);
+    const read = inChunks(stream, 7, createOggReader().push).flat();
+    assert.deepEqual(read, [Buffer.from('header'), ...packets]);
+  });
+
+  it('drops a packet too large to buffer and reads on from the next one', () => {
+    // Bare pages of 255-byte segments; the reader ignores the CRC
+    const rawPage = (flags, lacing) => {
+      const header = Buffer.alloc(27);
+      header.write('OggS');
+      header[5] = flags;
+      header[26] = lacing.length;
+      return Buffer.concat([header, Buffer.from(lacing), ...lacing.map(size => Buffer.alloc(size, 5))]);
+    };
+    // Five full pages make a packet of over 300 KB, past the 256 KB limit
+    const pages = [0, 1, 2, 3, 4].map(i => rawPage(i === 0 ? 0 : 0x01, new Array(255).fill(255)));
+    // The last segment of the oversized packet, then one of 5 bytes
+    pages.push(rawPage(0x01, [10, 5]));
+
+    const read = inChunks(Buffer.concat(pages), 4096, createOggReader().push).flat();
+    assert.deepEqual(read, [Buffer.alloc(5, 5)]);
+  });
+});
+
+describe('WebM', () => {
+  it('reads frames from unknown-size clusters', () => {
+    const writer = createWebmWriter({ codecId: 'A_OPUS', codecPrivate: Buffer.from('head'), sampleRate: 48000 });
+    const stream = Buffer.concat([
+      writer.header(),
+      writer.cluster(0, [{ data: Buffer.from('one'), offsetMs: 0 }, { data: Buffer.from('two'), offsetMs: 20 }]),
+      writer.cluster(40, [{ data: Buffer.alloc(300, 9), offsetMs: 0 }])
+    ]);
+
+    const frames = inChunks(stream, 5, createWebmReader().push).flat();
+    assert.deepEqual(frames, [Buffer.from('one'), Buffer.from('two'), Buffer.alloc(300, 9)]);
+  });
+
+  it('splits laced blocks', () => {
+    // Cluster (unknown size) > SimpleBlock, track 1, Xiph lacing, 3 frames of 2, 3 and 1 bytes
+    const block = Buffer.from([0x81, 0x00, 0x00, 0x82, 0x02, 0x02, 0x03, 0xa, 0xa, 0xb, 0xb, 0xb, 0xc]);
+    const stream = Buffer.concat([
+      Buffer.from([0x1f, 0x43, 0xb6, 0x75, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]),
+      Buffer.from([0xa3, 0x80 | block.length]),
+      block
+    ]);
+
+    assert.deepEqual(createWebmReader().push(stream), [Buffer.from([0xa, 0xa]), Buffer.from([0xb, 0xb, 0xb]), Buffer.from([0xc])]);
+  });
+
+  it('refuses oversized blocks and resumes at the next cluster after an error', () => {
+    const writer = createWebmWriter({ codecId: 'A_OPUS', sampleRate: 48000 });
+    const reader = createWebmReader();
+    assert.deepEqual(reader.push(writer.header()), []);
+
+    // SimpleBlock claiming 16 MB, which would otherwise be buffered until it arrived
+    assert.throws(() => reader.push(Buffer.from([0xa3, 0x11, 0x00, 0x00, 0x00])), /WebM block too large/);
+    // Anything before the next cluster is dropped
+    assert.deepEqual(reader.push(Buffer.from([0x00, 0x01, 0x02])), []);
+    const cluster = writer.cluster(0, [{ data: Buffer.from('after'), offsetMs: 0 }]);
+    assert.deepEqual(inChunks(cluster, 3, reader.push).flat(), [Buffer.from('after')]);
+
+    // An invalid variable-length integer (0x00) is no different
+    assert.throws(() => reader.push(Buffer.from([0x00, 0x00])), /Invalid EBML/);
+    assert.deepEqual(reader.push(Buffer.concat([Buffer.from([0xff]), writer.cluster(20, [{ data: Buffer.from('again'), offsetMs: 0 }])])), [Buffer.from('again')]);
+  });
+});
+
+describe('audio transcoding', () => {
+  it('parses the declared formats', () => {
+    assert.deepEqual(audioFormatsFromQuery({}), {
+      input: { format: 'pcm16', sampleRate: 24000 },
+      output: { format: 'pcm16', sampleRate: 24000 }
+    });
+    assert.deepEqual(audioFormatsFromQuery({ input_format: 'pcm16', input_sample_rate: '48000', output_format: 'opus_webm' }), {
+      input: { format: 'pcm16', sampleRate: 48000 },
+      output: { format: 'opus_webm' }
+    });
+    assert.throws(() => audioFormatsFromQuery({ input_format: 'mp3' }), ConfigError);
+    assert.throws(() => audioFormatsFromQuery({ output_format: 'g711_ulaw', output_sample_rate: '16000' }), ConfigError);
+    assert.throws(() => audioFormatsFromQuery({ input_sample_rate: '96000' }), ConfigError);
+  });
+
+  for (const format of AUDIO_FORMATS) {
+    it(`round-trips ${format}`, () => {
+      const spec = format === 'pcm16' ? { format, sampleRate: 16000 } : { format };
+      const encoder = createAudioEncoder(spec);
+      const decoder = createAudioDecoder(spec);
+      try {
+        const source = sine(24000, 1000);
+        // Upstream sends 100 ms deltas; clients may split their stream anywhere
+        const encoded = Buffer.concat(inChunks(source, 4800, encoder.encode));
+        const decoded = Buffer.concat(inChunks(encoded, 37, decoder.decode));
+
+        assert.ok(Math.abs(decoded.length - source.length) <= 48, `${decoded.length} bytes decoded`);
+        // Skip codec start-up before comparing levels
+        assert.ok(Math.abs(rms(decoded.subarray(9600)) - rms(source)) < 300);
+      } finally {
+        encoder.close();
+        decoder.close();
+      }
+    });
+  }
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHmac } = require('crypto');
+const { AuthError, verifyToken, signToken, extractToken, isReviewer, canAccess } = require('../lib/auth');
+
+const SECRET = 'auth-test-secret';
+
+function part(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+// HS256 JWT over raw header and claims, so tests can sign anything
+function jwt(header, claims, secret = SECRET) {
+  const data = `${part(header)}.${part(claims)}`;
+  return `${data}.${createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function rejects(token, pattern) {
+  assert.throws(() => verifyToken(token, SECRET), error => error instanceof AuthError && pattern.test(error.message));
+}
+
+describe('verifyToken', () => {
+  it('accepts HMAC tokens and HS256 JWTs', () => {
+    assert.equal(verifyToken(signToken({ sub: 'alice' }, SECRET), SECRET).sub, 'alice');
+    assert.equal(verifyToken(jwt({ alg: 'HS256', typ: 'JWT' }, { sub: 'bob', exp: now() + 60 }), SECRET).sub, 'bob');
+  });
+
+  it('rejects malformed tokens', () => {
+    rejects(undefined, /Missing token/);
+    rejects('', /Missing token/);
+    rejects('one.two.three.four', /Malformed token/);
+    rejects('not-json.signature.x', /Malformed JWT header/);
+  });
+
+  it('rejects headers and claims that are not JSON objects', () => {
+    for (const value of ['null', '5', '"HS256"', '[]']) {
+      rejects(jwt(value, { sub: 'alice' }), /Malformed JWT header/);
+      rejects(jwt({ alg: 'HS256' }, value), /Malformed JWT claims/);
+      rejects(signToken(JSON.parse(value), SECRET), /Malformed token claims/);
+    }
+  });
+
+  it('rejects claims without a subject', () => {
+    rejects(signToken({ name: 'alice' }, SECRET), /no subject/);
+    rejects(signToken({ sub: '' }, SECRET), /no subject/);
+    rejects(signToken({ sub: { id: 'alice' } }, SECRET), /no subject/);
+  });
+
+  it('rejects expired and not yet valid tokens, allowing some clock skew', () => {
+    rejects(signToken({ sub: 'alice', exp: now() - 120 }, SECRET), /expired/);
+    rejects(jwt({ alg: 'HS256' }, { sub: 'alice', exp: now() - 120 }), /expired/);
+    rejects(signToken({ sub: 'alice', nbf: now() + 120 }, SECRET), /not yet valid/);
+    assert.equal(verifyToken(signToken({ sub: 'alice', exp: now() - 5 }, SECRET), SECRET).sub, 'alice');
+  });
+
+  it('rejects JWT algorithms other than HS256', () => {
+    rejects(jwt({ alg: 'none' }, { sub: 'alice' }), /Unsupported JWT algorithm "none"/);
+    rejects(`${part({ alg: 'none' })}.${part({ sub: 'alice' })}.`, /Unsupported JWT algorithm/);
+    rejects(jwt({ alg: 'RS256' }, { sub: 'alice' }), /Unsupported JWT algorithm/);
+  });
+
+  it('rejects bad signatures', () => {
+    rejects(signToken({ sub: 'alice' }, 'other-secret'), /Invalid signature/);
+    rejects(jwt({ alg: 'HS256' }, { sub: 'alice' }, 'other-secret'), /Invalid signature/);
+
+    const [header, , signature] = jwt({ alg: 'HS256' }, { sub: 'alice' }).split('.');
+    rejects(`${header}.${part({ sub: 'mallory' })}.${signature}`, /Invalid signature/);
+  });
+
+  it('refuses everything without a secret', () => {
+    assert.throws(() => verifyToken(signToken({ sub: 'alice' }, SECRET), ''), /AUTH_SECRET not configured/);
+  });
+});
+
+describe('extractToken', () => {
+  const request = (url, headers = {}) => ({ url, headers });
+
+  it('reads the query parameter, the auth subprotocol or a bearer header', () => {
+    assert.equal(extractToken(request('/?token=abc')), 'abc');
+    assert.equal(extractToken(request('/', { 'sec-websocket-protocol': 'realtime, auth.def' })), 'def');
+    assert.equal(extractToken(request('/', { authorization: 'Bearer ghi' })), 'ghi');
+    assert.equal(extractToken(request('/')), null);
+  });
+});
+
+describe('access checks', () => {
+  const reviewers = ['qa'];
+
+  it('lets owners and reviewers read a user\'s data', () => {
+    assert.ok(canAccess({ id: 'alice' }, 'alice', reviewers));
+    assert.ok(canAccess({ id: 'qa' }, 'alice', reviewers));
+    assert.ok(!canAccess({ id: 'bob' }, 'alice', reviewers));
+    assert.ok(!canAccess({ id: null, anonymous: true }, null, reviewers));
+    assert.ok(isReviewer({ id: 'qa' }, reviewers));
+    assert.ok(!isReviewer({ id: null, anonymous: true }, reviewers));
+  });
+});
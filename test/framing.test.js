@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigError } = require('../lib/session-config');
+const { FrameError, HEADER_BYTES, framingFromQuery, encodeAudioFrame, decodeAudioFrame } = require('../lib/framing');
+
+describe('binary framing', () => {
+  it('defaults to JSON and accepts binary', () => {
+    assert.equal(framingFromQuery({}), 'json');
+    assert.equal(framingFromQuery({ framing: 'binary' }), 'binary');
+    assert.throws(() => framingFromQuery({ framing: 'msgpack' }), ConfigError);
+  });
+
+  it('round-trips an audio frame with a big-endian header', () => {
+    const payload = Buffer.from([1, 2, 3, 4]);
+    const frame = encodeAudioFrame({ seq: 258, timestamp: 4294967295, payload });
+
+    assert.equal(frame.length, HEADER_BYTES + payload.length);
+    assert.deepEqual([...frame.subarray(0, HEADER_BYTES)], [1, 1, 0, 0, 0, 0, 1, 2, 255, 255, 255, 255]);
+    assert.deepEqual(decodeAudioFrame(frame), { seq: 258, timestamp: 4294967295, payload });
+  });
+
+  it('rejects truncated and unknown frames', () => {
+    assert.throws(() => decodeAudioFrame(Buffer.alloc(HEADER_BYTES - 1)), FrameError);
+    assert.throws(() => decodeAudioFrame(Buffer.from([2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0])), FrameError);
+    assert.throws(() => decodeAudioFrame(Buffer.from([1, 7, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0])), FrameError);
+  });
+});
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHealthChecks } = require('../lib/health');
+
+describe('health checks', () => {
+  it('reports draining at once, without running the upstream probes', async () => {
+    const health = createHealthChecks({ getActiveSessions: () => 2, capacity: 10, timeoutMs: 60000 });
+    health.setDraining();
+
+    const startedAt = Date.now();
+    const { ready, body } = await health.ready();
+    assert.ok(Date.now() - startedAt < 100);
+    assert.equal(ready, false);
+    assert.equal(body.status, 'draining');
+    assert.deepEqual(Object.keys(body.checks), ['load']);
+    assert.equal(body.checks.load.activeSessions, 2);
+  });
+});
@@ -0,0 +1,77 @@
+// WebSocket test client that records every message and can wait for one.
+// Binary frames (binary framing mode) are decoded into `frames` instead.
+const WebSocket = require('ws');
+const { encodeAudioFrame, decodeAudioFrame } = require('../../lib/framing');
+
+const DEFAULT_WAIT_MS = 5000;
+
+function connectClient(url, { protocols, headers } = {}) {
+  const socket = new WebSocket(url, protocols, { headers });
+  const messages = [];
+  const frames = [];
+  const waiters = [];
+
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      frames.push(decodeAudioFrame(data));
+      return;
+    }
+    const message = JSON.parse(data.toString());
+    messages.push(message);
+    for (const waiter of [...waiters]) {
+      if (waiter.predicate(message)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(message);
+      }
+    }
+  });
+
+  // Resolve with the first message (already received or future) matching the
+  // predicate; a string matches on `type`.
+  function waitFor(predicate, timeoutMs = DEFAULT_WAIT_MS) {
+    const match = typeof predicate === 'string' ? (message) => message.type === predicate : predicate;
+    const seen = messages.find(match);
+    if (seen) return Promise.resolve(seen);
+
+    return new Promise((resolve, reject) => {
+      const waiter = { predicate: match, resolve };
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`Timed out waiting for message. Received: ${messages.map(m => m.type).join(', ')}`));
+      }, timeoutMs);
+      waiters.push(waiter);
+    });
+  }
+
+  function send(message) {
+    socket.send(JSON.stringify(message));
+  }
+
+  function sendFrame(seq, payload, timestamp = seq * 20) {
+    socket.send(encodeAudioFrame({ seq, timestamp, payload }), { binary: true });
+  }
+
+  const opened = new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  const closed = new Promise(resolve => socket.once('close', (code) => resolve(code)));
+
+  function close() {
+    socket.close();
+    return closed;
+  }
+
+  return { socket, messages, frames, opened, closed, waitFor, send, sendFrame, close };
+}
+
+// 24 kHz PCM16 of the given length, base64 encoded
+function pcm16(ms) {
+  return Buffer.alloc(ms * 48).toString('base64');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { connectClient, pcm16, sleep };
@@ -0,0 +1,35 @@
+// In-memory transport with the interface of lib/transports.js. Messages the
+// session sends are recorded in `sent`; the test drives the other side.
+const { EventEmitter } = require('events');
+
+function createFakeTransport({ open = true } = {}) {
+  const transport = new EventEmitter();
+  let isOpen = open;
+
+  transport.sent = [];
+  transport.closed = false;
+  transport.closeCode = null;
+  transport.isOpen = () => isOpen;
+  transport.send = (message) => {
+    if (isOpen) transport.sent.push(message);
+  };
+  transport.close = (code = 1000, reason = '') => {
+    if (transport.closed) return;
+    transport.closed = true;
+    transport.closeCode = code;
+    isOpen = false;
+    transport.emit('close', code, reason);
+  };
+
+  // Simulate the peer side
+  transport.open = () => {
+    isOpen = true;
+    transport.emit('open');
+  };
+  transport.receive = (message) => transport.emit('message', message);
+  transport.ofType = (type) => transport.sent.filter(message => message.type === type);
+
+  return transport;
+}
+
+module.exports = { createFakeTransport };
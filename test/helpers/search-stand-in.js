@@ -0,0 +1,41 @@
+// Local stand-in for a JSON search API. `mode` switches between answering,
+// failing with HTTP 500 and hanging past the provider timeout.
+const http = require('http');
+
+function startSearchStandIn() {
+  const requests = [];
+  const state = { mode: 'ok' };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: url.searchParams.get('q') });
+
+    if (state.mode === 'error') {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'boom' }));
+      return;
+    }
+    if (state.mode === 'hang') {
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: { answer: `Sunny and 22C (stand-in for "${url.searchParams.get('q')}")` } }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/search`,
+        requests,
+        setMode: (mode) => { state.mode = mode; },
+        close: () => {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+module.exports = { startSearchStandIn };
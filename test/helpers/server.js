@@ -0,0 +1,91 @@
+// Boot server.js as a child process against the built-in mock upstream.
+const path = require('path');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const { spawn } = require('child_process');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 10000;
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const port = await getFreePort();
+  const mockPort = await getFreePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-server-test-'));
+
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      MOCK_REALTIME: '1',
+      MOCK_REALTIME_PORT: String(mockPort),
+      TRANSCRIPTS_DIR: path.join(dataDir, 'transcripts'),
+      USAGE_DIR: path.join(dataDir, 'usage'),
+      RECORDINGS_DIR: path.join(dataDir, 'recordings'),
+      SEARCH_PROVIDERS: 'stub',
+      MAX_CONCURRENT_SESSIONS: '0',
+      SESSIONS_PER_MINUTE: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const exited = new Promise(resolve => child.once('exit', (code, signal) => resolve({ code, signal })));
+  let logs = '';
+  child.stdout.on('data', chunk => { logs += chunk; });
+  child.stderr.on('data', chunk => { logs += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${logs}`)), STARTUP_TIMEOUT_MS);
+    const check = () => {
+      if (logs.includes('Ready for voice conversations')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', check);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${logs}`));
+    });
+  });
+
+  async function mockState() {
+    const response = await fetch(`http://127.0.0.1:${mockPort}/__mock/received`);
+    return response.json();
+  }
+
+  async function stop() {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGKILL');
+      await exited;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return {
+    port,
+    url: `ws://127.0.0.1:${port}`,
+    httpUrl: `http://127.0.0.1:${port}`,
+    dataDir,
+    logs: () => logs,
+    signal: (name) => child.kill(name),
+    exited,
+    mockState,
+    stop
+  };
+}
+
+module.exports = { getFreePort, startServer };
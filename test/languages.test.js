@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, languageName } = require('../lib/languages');
+const { ConfigError, parseLanguage } = require('../lib/session-config');
+
+describe('language detection', () => {
+  const samples = {
+    en: "What's the weather like today?",
+    es: '¿Qué tiempo hace hoy en Madrid?',
+    fr: "Quel temps fait-il aujourd'hui à Paris ?",
+    de: 'Wie ist das Wetter heute in Berlin?',
+    pt: 'Como está o tempo hoje em Lisboa?',
+    ru: 'Какая сегодня погода?',
+    uk: 'Яка сьогодні погода в Києві?',
+    ja: '今日の天気はどうですか',
+    zh: '今天天气怎么样',
+    ko: '오늘 날씨 어때요'
+  };
+
+  it('recognises languages by script and by common words', () => {
+    for (const [language, text] of Object.entries(samples)) {
+      assert.equal(detectLanguage(text), language, text);
+    }
+  });
+
+  it('stays undecided on short or ambiguous text', () => {
+    for (const text of ['', 'ok', 'Hello', 'hola', 'Madrid']) {
+      assert.equal(detectLanguage(text), null, text);
+    }
+  });
+
+  it('accepts auto or a supported language', () => {
+    assert.equal(parseLanguage('auto'), 'auto');
+    assert.equal(parseLanguage('ES'), 'es');
+    assert.throws(() => parseLanguage('klingon'), ConfigError);
+    for (const name of ['constructor', '__proto__', 'toString']) {
+      assert.throws(() => parseLanguage(name), ConfigError, name);
+      assert.equal(languageName(name), name);
+    }
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, configureLogging } = require('../lib/logger');
+
+describe('logger', () => {
+  let lines;
+
+  beforeEach(() => {
+    lines = [];
+    configureLogging({
+      level: 'info',
+      levels: {},
+      audio: 'off',
+      audioSampleEvery: 50,
+      transcripts: 'redact',
+      write: (line) => lines.push(JSON.parse(line))
+    });
+  });
+
+  after(() => {
+    configureLogging({ level: 'info', levels: {}, write: (line) => process.stdout.write(line) });
+  });
+
+  it('writes one JSON object per line with bound fields', () => {
+    createLogger('session', { clientId: 'abc' }).info('Response completed', { event: 'response.done', durationMs: 12 });
+
+    assert.equal(lines.length, 1);
+    const [entry] = lines;
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.component, 'session');
+    assert.equal(entry.msg, 'Response completed');
+    assert.equal(entry.clientId, 'abc');
+    assert.equal(entry.event, 'response.done');
+    assert.equal(entry.durationMs, 12);
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  it('applies per-component levels over the default', () => {
+    configureLogging({ level: 'warn', levels: 'session=debug' });
+
+    createLogger('session').debug('kept');
+    createLogger('search').info('dropped');
+    createLogger('search').warn('kept too');
+
+    assert.deepEqual(lines.map(entry => entry.msg), ['kept', 'kept too']);
+  });
+
+  it('redacts user content unless transcripts are enabled', () => {
+    const log = createLogger('session');
+    log.info('User transcript', { transcript: 'my phone is 555-1234', query: 'where do I live' });
+    configureLogging({ transcripts: 'full' });
+    log.info('User transcript', { transcript: 'hello' });
+
+    assert.equal(lines[0].transcript, '[redacted 20 chars]');
+    assert.equal(lines[0].query, '[redacted 15 chars]');
+    assert.equal(lines[1].transcript, 'hello');
+  });
+
+  it('suppresses or samples audio lines', () => {
+    configureLogging({ level: 'debug' });
+    const log = createLogger('session');
+
+    for (let i = 0; i < 10; i++) log.audio('Client audio', { bytes: 4800 });
+    assert.equal(lines.length, 0);
+
+    configureLogging({ audio: 'sample', audioSampleEvery: 4 });
+    for (let i = 0; i < 10; i++) log.audio('Client audio', { bytes: 4800 });
+    assert.deepEqual(lines.map(entry => entry.chunk), [1, 5, 9]);
+  });
+
+  it('serializes errors', () => {
+    createLogger('server').error('Startup failed', { error: new Error('boom') });
+    assert.equal(lines[0].error.message, 'boom');
+    assert.match(lines[0].error.stack, /boom/);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry } = require('../lib/metrics');
+
+describe('metrics registry', () => {
+  it('renders counters and gauges with labels', () => {
+    const registry = createRegistry();
+    const errors = registry.counter({ name: 'errors_total', help: 'Errors', labelNames: ['type'] });
+    const active = registry.gauge({ name: 'active', help: 'Active things' });
+
+    errors.inc({ type: 'server_error' });
+    errors.inc({ type: 'server_error' });
+    errors.inc({ type: 'say "hi"\n' });
+    active.inc();
+    active.inc();
+    active.dec();
+
+    assert.equal(registry.render(), [
+      '# HELP errors_total Errors',
+      '# TYPE errors_total counter',
+      'errors_total{type="server_error"} 2',
+      'errors_total{type="say \\"hi\\"\\n"} 1',
+      '# HELP active Active things',
+      '# TYPE active gauge',
+      'active 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const registry = createRegistry();
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['provider'], buckets: [0.1, 1] });
+
+    latency.observe({ provider: 'a' }, 0.05);
+    latency.observe({ provider: 'a' }, 0.5);
+    latency.observe({ provider: 'a' }, 3);
+
+    const lines = registry.render().split('\n');
+    assert.ok(lines.includes('latency_seconds_bucket{provider="a",le="0.1"} 1'));
+    assert.ok(lines.includes('latency_seconds_bucket{provider="a",le="1"} 2'));
+    assert.ok(lines.includes('latency_seconds_bucket{provider="a",le="+Inf"} 3'));
+    assert.ok(lines.includes('latency_seconds_sum{provider="a"} 3.55'));
+    assert.ok(lines.includes('latency_seconds_count{provider="a"} 3'));
+  });
+
+  it('times with startTimer', () => {
+    const registry = createRegistry();
+    const latency = registry.histogram({ name: 'op_seconds', help: 'Op', labelNames: ['result'] });
+
+    const end = latency.startTimer();
+    const seconds = end({ result: 'success' });
+
+    assert.ok(seconds >= 0);
+    assert.match(registry.render(), /op_seconds_count\{result="success"\} 1/);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createMockRealtimeServer } = require('../lib/mock/realtime-server');
+
+describe('mock realtime upstream', () => {
+  let mock;
+  let endpoints;
+
+  before(async () => {
+    mock = createMockRealtimeServer({ scenario: 'default', maxReceived: 3 });
+    endpoints = await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  const post = (route, body) => fetch(`${endpoints.apiBase}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body
+  });
+
+  it('answers malformed JSON bodies with 400', async () => {
+    assert.equal((await post('/realtime/sessions', '{"model":')).status, 400);
+    assert.equal((await post('/chat/completions', 'not json')).status, 400);
+    assert.equal((await post('/chat/completions', '{}')).status, 400);
+    assert.equal((await post('/realtime/sessions', '{}')).status, 200);
+  });
+
+  it('keeps only the most recent events', async () => {
+    const socket = new WebSocket(endpoints.realtimeUrl);
+    await new Promise((resolve, reject) => {
+      socket.once('open', resolve);
+      socket.once('error', reject);
+    });
+    for (let i = 0; i < 5; i++) {
+      socket.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: Buffer.alloc(48, i).toString('base64') }));
+    }
+    socket.send(JSON.stringify({ type: 'input_audio_buffer.clear' }));
+    await new Promise(resolve => socket.on('message', data => {
+      if (JSON.parse(data).type === 'input_audio_buffer.cleared') resolve();
+    }));
+    socket.close();
+
+    const state = await (await fetch(`http://127.0.0.1:${endpoints.port}/__mock/received`)).json();
+    assert.deepEqual(state.received.map(event => event.type), ['input_audio_buffer.append', 'input_audio_buffer.append', 'input_audio_buffer.clear']);
+    assert.equal(state.received[0].audio, Buffer.alloc(48, 3).toString('base64'));
+    assert.equal(state.dropped, 4);
+  });
+});
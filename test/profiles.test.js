@@ -0,0 +1,120 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProfileError, getProfile, listProfiles, loadProfiles, watchProfiles } = require('../lib/profiles');
+const { ConfigError, resolveSessionConfig } = require('../lib/session-config');
+const { registerTool, getTool } = require('../lib/tools');
+const { configureLogging } = require('../lib/logger');
+const { sleep } = require('./helpers/client');
+
+async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await sleep(50);
+  }
+}
+
+describe('persona profiles', () => {
+  before(() => {
+    configureLogging({ level: 'silent' });
+    if (!getTool('web_search')) {
+      registerTool({
+        name: 'web_search',
+        description: 'Search stub',
+        parameters: { type: 'object', properties: { query: { type: 'string' } } },
+        handler: async ({ query }) => `Results for ${query}`
+      });
+    }
+    loadProfiles();
+  });
+
+  after(() => configureLogging({ level: 'info' }));
+
+  it('only finds profiles by their own names', () => {
+    assert.equal(getProfile('life').name, 'life');
+    for (const name of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+      assert.equal(getProfile(name), null, name);
+      assert.throws(() => resolveSessionConfig(null, { profile: name }), ConfigError, name);
+    }
+  });
+});
+
+describe('profile files', () => {
+  const PROFILE = { instructions: 'Be brief.', greeting: 'Hi!', voice: 'alloy' };
+  let dir;
+
+  function write(file, content) {
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  before(() => {
+    configureLogging({ level: 'silent' });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+  });
+
+  beforeEach(() => {
+    for (const file of fs.readdirSync(dir)) fs.rmSync(path.join(dir, file));
+    write('life.json', PROFILE);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    loadProfiles();
+    configureLogging({ level: 'info' });
+  });
+
+  it('loads JSON and YAML profiles named after their files, with defaults filled in', () => {
+    write('coach.yaml', 'instructions: Push hard.\ngreeting: Ready?\nvoice: echo\nlanguage: es\ngreetings:\n  en: Ready?\n');
+    write('notes.txt', 'ignored');
+
+    assert.deepEqual(loadProfiles(dir).map(profile => profile.name), ['coach', 'life']);
+    const coach = getProfile('coach');
+    assert.deepEqual(coach.greetings, { en: 'Ready?', es: 'Ready?' });
+    assert.equal(coach.temperature, 0.8);
+    assert.deepEqual(coach.vad, { threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 1000 });
+  });
+
+  it('rejects bad files and keeps the profiles loaded before', () => {
+    loadProfiles(dir);
+    const cases = [
+      ['broken.json', '{ "instructions": ', /broken\.json: parse error/],
+      ['list.yaml', '- one\n- two\n', /list\.yaml: profile must be an object/],
+      ['voice.json', { ...PROFILE, voice: 'robot' }, /"voice" must be one of/],
+      ['language.json', { ...PROFILE, language: 'constructor' }, /"language" must be one of/],
+      ['tools.json', { ...PROFILE, tools: ['teleport'] }, /unknown tool "teleport"/],
+      ['warm.json', { ...PROFILE, temperature: 2 }, /"temperature" must be a number between 0.6 and 1.2/],
+      ['eager.json', { ...PROFILE, vad: { threshold: 1.5 } }, /"vad\.threshold" must be a number between 0 and 1/],
+      ['hasty.json', { ...PROFILE, vad: { silence_duration_ms: 50 } }, /"vad\.silence_duration_ms" must be a number between 200 and 3000/],
+      ['padded.json', { ...PROFILE, vad: { prefix_padding_ms: '300' } }, /"vad\.prefix_padding_ms" must be a number between 0 and 2000/],
+      ['copy.json', { ...PROFILE, name: 'life' }, /duplicate profile name "life"/]
+    ];
+    for (const [file, content, message] of cases) {
+      write(file, content);
+      assert.throws(() => loadProfiles(dir), error => error instanceof ProfileError && message.test(error.message), file);
+      fs.rmSync(path.join(dir, file));
+    }
+    assert.deepEqual(listProfiles().map(profile => profile.name), ['life']);
+
+    fs.rmSync(path.join(dir, 'life.json'));
+    assert.throws(() => loadProfiles(dir), /Default profile "life" not found/);
+  });
+
+  it('reloads changed files and keeps the last good profiles when an edit is broken', async () => {
+    loadProfiles(dir);
+    const watcher = watchProfiles(dir);
+    try {
+      write('life.json', { ...PROFILE, greeting: 'Hello again!' });
+      await waitUntil(() => getProfile('life').greeting === 'Hello again!');
+
+      write('life.json', '{ "greeting": ');
+      // Past the reload debounce, the broken edit has been read and refused
+      await sleep(500);
+      assert.equal(getProfile('life').greeting, 'Hello again!');
+    } finally {
+      watcher.close();
+    }
+  });
+});
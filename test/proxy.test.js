@@ -0,0 +1,1029 @@
+// End-to-end tests of the client WebSocket protocol: server.js runs as a child
+// process against the scripted mock upstream and a local search stand-in.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+const { connectClient, pcm16, sleep } = require('./helpers/client');
+const { startSearchStandIn } = require('./helpers/search-stand-in');
+const { signToken } = require('../lib/auth');
+const { createAudioDecoder } = require('../lib/audio/transcode');
+const { twilioSignature } = require('../lib/twilio');
+
+const GREETING = 'Hello! I am the mock assistant. What would you like to know?';
+
+// Audio with a recognisable pattern so it can be found in what upstream received
+function markedAudio(marker, ms = 20) {
+  return Buffer.alloc(ms * 48, marker).toString('base64');
+}
+
+function appendedAudio(received) {
+  return received.filter(event => event.type === 'input_audio_buffer.append').map(event => event.audio);
+}
+
+async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await sleep(50);
+  }
+  throw new Error('Condition not met in time');
+}
+
+describe('realtime proxy', () => {
+  let server;
+  let search;
+
+  before(async () => {
+    search = await startSearchStandIn();
+    server = await startServer({
+      SEARCH_PROVIDERS: 'json-api',
+      SEARCH_JSON_URL: search.url,
+      SEARCH_JSON_RESULT_PATH: 'data.answer',
+      SEARCH_JSON_TIMEOUT_MS: '500',
+      HEALTH_CHECK_TTL_MS: '1',
+      HEALTH_CHECK_FAILURE_TTL_MS: '1',
+      SESSION_CAPACITY: '50'
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+    await search.close();
+  });
+
+  // A client that has been greeted, so no response is in progress
+  async function greetedClient() {
+    const client = connectClient(server.url);
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+    return client;
+  }
+
+  it('sends connected and then the profile greeting', async () => {
+    const client = connectClient(server.url);
+
+    const connected = await client.waitFor('connected');
+    assert.equal(connected.profile, 'life');
+    assert.equal(connected.language, 'en');
+
+    const greeting = await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+    assert.equal(greeting.text, GREETING);
+    assert.ok(client.messages.some(message => message.type === 'audio'), 'greeting audio was relayed');
+
+    await client.close();
+  });
+
+  it('holds messages sent before session.updated and delivers them afterwards', async () => {
+    const before = (await server.mockState()).received.length;
+    const client = connectClient(server.url);
+    await client.opened;
+    client.send({ type: 'text_message', id: 'early-1', text: 'are you there?' });
+
+    await client.waitFor(message => message.type === 'delivered' && message.id === 'early-1');
+    const answer = await client.waitFor(message => message.type === 'transcript' && message.text === 'You said: are you there?');
+    assert.equal(answer.role, 'assistant');
+
+    const received = (await server.mockState()).received.slice(before);
+    const updateIndex = received.findIndex(event => event.type === 'session.update');
+    const textIndex = received.findIndex(event =>
+      event.type === 'conversation.item.create' && event.item.content?.[0]?.text === 'are you there?');
+    assert.ok(updateIndex !== -1 && textIndex > updateIndex, 'text reaches upstream after the session is configured');
+
+    await client.close();
+  });
+
+  it('forwards client audio upstream unchanged', async () => {
+    const client = await greetedClient();
+    const audio = markedAudio(0x11);
+    client.send({ type: 'audio', data: audio });
+
+    await waitUntil(async () => appendedAudio((await server.mockState()).received).includes(audio));
+    await client.close();
+  });
+
+  it('stops forwarding audio while muted', async () => {
+    const client = await greetedClient();
+    const muted = markedAudio(0x22);
+    const unmuted = markedAudio(0x33);
+
+    client.send({ type: 'mute' });
+    client.send({ type: 'audio', data: muted });
+    client.send({ type: 'unmute' });
+    client.send({ type: 'audio', data: unmuted });
+
+    const audio = await waitUntil(async () => {
+      const appended = appendedAudio((await server.mockState()).received);
+      return appended.includes(unmuted) && appended;
+    });
+    assert.ok(!audio.includes(muted), 'audio sent while muted never reached upstream');
+
+    await client.close();
+  });
+
+  it('updates the transcription language on set_language', async () => {
+    const client = await greetedClient();
+    const before = (await server.mockState()).received.length;
+
+    client.send({ type: 'set_language', language: 'es' });
+
+    const update = await waitUntil(async () => (await server.mockState()).received.slice(before)
+      .find(event => event.type === 'session.update'));
+    assert.equal(update.session.input_audio_transcription.language, 'es');
+
+    // Later transcripts carry the new language
+    client.send({ type: 'text_message', text: 'hola' });
+    const answer = await client.waitFor(message => message.type === 'transcript' && message.text === 'You said: hola');
+    assert.equal(answer.language, 'es');
+
+    await client.close();
+  });
+
+  it('relays speech events and the user transcript', async () => {
+    const client = await greetedClient();
+
+    // The mock detects speech after 100 ms and its end after 500 ms of audio
+    for (let i = 0; i < 6; i++) {
+      client.send({ type: 'audio', data: pcm16(100) });
+    }
+
+    await client.waitFor('vad_start');
+    await client.waitFor('vad_stop');
+    const transcript = await client.waitFor(message => message.type === 'transcript' && message.role === 'user');
+    assert.equal(transcript.text, "What's the weather like today?");
+
+    await client.close();
+  });
+
+  it('runs web_search and feeds the result back to the model', async () => {
+    search.setMode('ok');
+    const client = await greetedClient();
+
+    client.send({ type: 'text_message', text: "what's the weather?" });
+
+    const answer = await client.waitFor(message =>
+      message.type === 'transcript' && message.role === 'assistant' && message.text.startsWith('Based on my search'));
+    assert.match(answer.text, /Sunny and 22C/);
+    assert.ok(search.requests.some(request => request.query === 'current weather'));
+
+    const output = (await server.mockState()).received.find(event =>
+      event.type === 'conversation.item.create' && event.item.type === 'function_call_output' &&
+      event.item.output.includes('Sunny and 22C'));
+    assert.ok(output, 'tool output was sent upstream');
+
+    await client.close();
+  });
+
+  for (const mode of ['error', 'hang']) {
+    it(`answers with the search fallback when the search backend ${mode === 'error' ? 'fails' : 'times out'}`, async () => {
+      search.setMode(mode);
+      const client = await greetedClient();
+
+      client.send({ type: 'text_message', text: 'weather please' });
+
+      const answer = await client.waitFor(message =>
+        message.type === 'transcript' && message.role === 'assistant' && message.text.startsWith('Based on my search'), 8000);
+      assert.match(answer.text, /couldn't retrieve real-time information/);
+
+      search.setMode('ok');
+      await client.close();
+    });
+  }
+
+  it('reports sessions, responses and searches on /metrics', async () => {
+    const client = await greetedClient();
+
+    const response = await fetch(`${server.httpUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    const body = await response.text();
+
+    assert.match(body, /^voice_active_sessions [1-9]/m);
+    assert.match(body, /^voice_responses_total\{status="completed"\} [1-9]/m);
+    assert.match(body, /^voice_token_mint_duration_seconds_count\{result="success"\} [1-9]/m);
+    assert.match(body, /^voice_web_search_requests_total\{provider="json-api-1",result="success"\} [1-9]/m);
+    assert.match(body, /^voice_web_search_requests_total\{provider="json-api-1",result="failure"\} [1-9]/m);
+
+    await client.close();
+  });
+
+  it('reports liveness and readiness', async () => {
+    const live = await fetch(`${server.httpUrl}/health/live`);
+    assert.equal(live.status, 200);
+    assert.equal((await live.json()).status, 'ok');
+
+    const client = await greetedClient();
+    const ready = await fetch(`${server.httpUrl}/health/ready`);
+    const body = await ready.json();
+    assert.equal(ready.status, 200);
+    assert.equal(body.status, 'ready');
+    assert.equal(body.checks.realtime.ok, true);
+    assert.deepEqual(body.checks.search.providers.map(provider => [provider.name, provider.reachable]), [['json-api-1', true]]);
+    assert.equal(body.checks.load.capacity, 50);
+    assert.ok(body.checks.load.activeSessions >= 1);
+
+    await client.close();
+  });
+
+  it('is not ready while every search backend is down', async () => {
+    search.setMode('error');
+    try {
+      await sleep(5);
+      const ready = await fetch(`${server.httpUrl}/health/ready`);
+      const body = await ready.json();
+      assert.equal(ready.status, 503);
+      assert.equal(body.status, 'degraded');
+      assert.deepEqual(body.failing, ['search']);
+      assert.equal(body.checks.search.providers[0].status, 500);
+    } finally {
+      search.setMode('ok');
+    }
+  });
+
+  it('transcodes client audio formats in both directions', async () => {
+    const client = connectClient(`${server.url}?input_format=g711_ulaw&output_format=opus_ogg`);
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+
+    const audio = client.messages.filter(message => message.type === 'audio');
+    assert.ok(audio.every(message => message.format === 'opus_ogg'));
+    const stream = Buffer.concat(audio.map(message => Buffer.from(message.data, 'base64')));
+    assert.equal(stream.toString('ascii', 0, 4), 'OggS');
+    const decoder = createAudioDecoder({ format: 'opus_ogg' });
+    assert.ok(decoder.decode(stream).length > 0, 'the greeting decodes as Ogg Opus');
+    decoder.close();
+
+    // 20 ms of 8 kHz mu-law reaches upstream as about 20 ms of 24 kHz PCM16
+    const before = (await server.mockState()).received.length;
+    client.send({ type: 'audio', data: Buffer.alloc(160, 0xff).toString('base64') });
+    const appended = await waitUntil(async () => appendedAudio((await server.mockState()).received.slice(before))[0]);
+    assert.ok(Math.abs(Buffer.from(appended, 'base64').length - 20 * 48) <= 12);
+
+    await client.close();
+  });
+
+  it('greets in a language pinned on connect and refuses unknown ones', async () => {
+    const before = (await server.mockState()).received.length;
+    const client = connectClient(`${server.url}?language=de`);
+    const connected = await client.waitFor('connected');
+    assert.equal(connected.language, 'de');
+    assert.equal(connected.language_mode, 'pinned');
+    const greeting = await waitUntil(async () => (await server.mockState()).received.slice(before)
+      .find(event => event.type === 'response.create'));
+    assert.match(greeting.response.instructions, /Ich bin Life/);
+    await client.close();
+
+    const invalid = connectClient(`${server.url}?language=xx`);
+    assert.equal((await invalid.waitFor('error')).code, 'invalid_config');
+    assert.equal(await invalid.closed, 1008);
+  });
+
+  it('refuses unsupported audio formats', async () => {
+    const client = connectClient(`${server.url}?input_format=mp3`);
+    const error = await client.waitFor('error');
+    assert.equal(error.code, 'invalid_config');
+    assert.equal(await client.closed, 1008);
+  });
+
+  it('carries audio in binary frames when the client asks for them', async () => {
+    const client = connectClient(`${server.url}?framing=binary`);
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+
+    // The greeting arrives as numbered frames announced by an audio_item
+    assert.ok(!client.messages.some(message => message.type === 'audio'));
+    const item = await client.waitFor('audio_item');
+    assert.equal(item.seq, 0);
+    assert.ok(item.item_id);
+    assert.ok(client.frames.length > 0);
+    assert.deepEqual(client.frames.map(frame => frame.seq), client.frames.map((_, i) => i));
+    assert.ok(client.frames.every(frame => frame.payload.length > 0));
+
+    // Binary client audio reaches upstream; a replayed frame is dropped
+    const before = (await server.mockState()).received.length;
+    client.sendFrame(0, Buffer.alloc(960, 1));
+    client.sendFrame(0, Buffer.alloc(960, 1));
+    client.sendFrame(1, Buffer.alloc(480, 2));
+    const appended = await waitUntil(async () => {
+      const chunks = appendedAudio((await server.mockState()).received.slice(before));
+      return chunks.length >= 2 && chunks;
+    });
+    assert.deepEqual(appended.map(data => Buffer.from(data, 'base64').length), [960, 480]);
+
+    client.socket.send(Buffer.from([9, 9, 9]), { binary: true });
+    const error = await client.waitFor('error');
+    assert.equal(error.code, 'invalid_frame');
+
+    await client.close();
+  });
+
+  it('ignores text frames that are not message objects', async () => {
+    const client = await greetedClient();
+    for (const frame of ['null', '5', '[]', '{"type":7}']) {
+      client.socket.send(frame);
+    }
+    client.send({ type: 'text_message', id: 'after-junk', text: 'still there?' });
+
+    await client.waitFor(message => message.type === 'transcript' && message.text === 'You said: still there?');
+    const health = await fetch(`${server.httpUrl}/health/live`);
+    assert.equal(health.status, 200);
+
+    await client.close();
+  });
+
+  it('refuses session ids that are not valid percent-encoding', async () => {
+    for (const pathname of ['/sessions/%E0%A4%A/transcript', '/sessions/%E0%A4%A/recording', '/session/%E0%A4%A/tool_calls']) {
+      const method = pathname.endsWith('tool_calls') ? 'POST' : 'GET';
+      const response = await fetch(`${server.httpUrl}${pathname}`, { method });
+      assert.equal(response.status, 400, pathname);
+    }
+    assert.equal((await fetch(`${server.httpUrl}/health/live`)).status, 200);
+  });
+
+  it('refuses unknown framing modes', async () => {
+    const client = connectClient(`${server.url}?framing=protobuf`);
+    const error = await client.waitFor('error');
+    assert.equal(error.code, 'invalid_config');
+    assert.equal(await client.closed, 1008);
+  });
+
+  it('closes the upstream socket when the client disconnects', async () => {
+    const client = await greetedClient();
+    assert.ok((await server.mockState()).connections >= 1);
+
+    await client.close();
+    await waitUntil(async () => (await server.mockState()).connections === 0);
+  });
+});
+
+describe('realtime proxy with a failing upstream', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      MOCK_SCENARIO: path.join(__dirname, 'fixtures', 'scenarios', 'upstream-down.json'),
+      RECONNECT_MAX_ATTEMPTS: '1',
+      RECONNECT_BASE_DELAY_MS: '50',
+      FALLBACK_ENABLED: 'false'
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('closes the client when upstream goes away and cannot be reached again', async () => {
+    const client = connectClient(server.url);
+
+    await client.waitFor('reconnecting');
+    const error = await client.waitFor('error');
+    assert.match(error.message, /Lost connection/);
+    await client.closed;
+  });
+});
+
+describe('realtime proxy without realtime tokens or fallback', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ MOCK_SCENARIO: 'token-failure', FALLBACK_ENABLED: 'false', MAX_CONCURRENT_SESSIONS: '1' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('closes the client and frees its session slot when setup fails', async () => {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const client = connectClient(server.url);
+      const error = await client.waitFor('error');
+      assert.match(error.message, /^Setup failed/);
+      assert.equal(await client.closed, 1011);
+      assert.ok(!client.messages.some(message => message.code === 'rate_limited'), 'the previous slot was released');
+    }
+  });
+});
+
+describe('per-user rate limits', () => {
+  const AUTH_SECRET = 'rate-limit-test-secret';
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      AUTH_SECRET,
+      MAX_CONCURRENT_SESSIONS: '1',
+      SESSIONS_PER_MINUTE: '3',
+      TEXT_MESSAGES_PER_MINUTE: '1'
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  async function greeted(user) {
+    const client = connectClient(`${server.url}?token=${signToken({ sub: user }, AUTH_SECRET)}`);
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+    return client;
+  }
+
+  async function refused(user) {
+    const client = connectClient(`${server.url}?token=${signToken({ sub: user }, AUTH_SECRET)}`);
+    const error = await client.waitFor('error');
+    assert.equal(error.code, 'rate_limited');
+    assert.equal(await client.closed, 1013);
+    return error;
+  }
+
+  it('holds each user to their concurrent sessions and frees the slot on disconnect', async () => {
+    const first = await greeted('alice');
+    const error = await refused('alice');
+    assert.equal(error.limit, 'concurrent_sessions');
+    assert.equal(error.retryAfter, 30);
+
+    const other = await greeted('bob');
+    await other.close();
+
+    await first.close();
+    const again = await greeted('alice');
+    await again.close();
+  });
+
+  it('refuses sessions past the per-minute limit', async () => {
+    // alice opened two sessions in the previous test
+    const third = await greeted('alice');
+    await third.close();
+
+    const error = await refused('alice');
+    assert.equal(error.limit, 'sessions_per_minute');
+    assert.ok(error.retryAfter > 0);
+  });
+
+  it('survives junk frames from a refused client', async () => {
+    const first = await greeted('dave');
+    const client = connectClient(`${server.url}?token=${signToken({ sub: 'dave' }, AUTH_SECRET)}`);
+    await client.opened;
+    client.socket.send('not json');
+    client.socket.send('null');
+    assert.equal(await client.closed, 1013);
+    await first.close();
+
+    const health = await fetch(`${server.httpUrl}/health/live`);
+    assert.equal(health.status, 200);
+  });
+
+  it('limits text messages per session', async () => {
+    const client = await greeted('carol');
+    client.send({ type: 'text_message', text: 'first' });
+    client.send({ type: 'text_message', text: 'second' });
+
+    const error = await client.waitFor('error');
+    assert.equal(error.code, 'rate_limited');
+    assert.equal(error.limit, 'text_messages_per_minute');
+    await client.waitFor(message => message.type === 'transcript' && message.text === 'You said: first');
+    assert.ok(!client.messages.some(message => message.text === 'You said: second'));
+    await client.close();
+  });
+});
+
+describe('fallback mode', () => {
+  const AUTH_SECRET = 'fallback-test-secret';
+  let server;
+
+  before(async () => {
+    // Token minting always fails, so every session runs on Chat + TTS
+    server = await startServer({ AUTH_SECRET, MOCK_SCENARIO: 'token-failure', TEXT_MESSAGES_PER_MINUTE: '2' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  async function fallbackClient(query = '', user = 'alice') {
+    const client = connectClient(`${server.url}?token=${signToken({ sub: user }, AUTH_SECRET)}${query.replace('?', '&')}`);
+    await client.waitFor(message => message.type === 'status' && message.mode === 'fallback');
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+    return client;
+  }
+
+  // One loud utterance followed by enough silence to end it
+  function speak(client) {
+    for (let i = 0; i < 4; i++) client.send({ type: 'audio', data: markedAudio(0x11, 100) });
+    for (let i = 0; i < 12; i++) client.send({ type: 'audio', data: pcm16(100) });
+  }
+
+  const received = async (type) => (await server.mockState()).received.filter(event => event.type === type);
+
+  it('announces fallback mode, segments speech locally and ignores audio while muted', async () => {
+    const client = await fallbackClient();
+    assert.equal(client.messages.find(message => message.type === 'status').message, 'Using fallback mode (near real-time)');
+    // The greeting is spoken with TTS
+    assert.equal((await client.waitFor('audio')).format, 'pcm16');
+
+    speak(client);
+    await client.waitFor('vad_start');
+    await client.waitFor('vad_stop');
+    const transcript = await client.waitFor(message => message.type === 'transcript' && message.role === 'user');
+    assert.equal(transcript.text, 'Are you there?');
+    await client.waitFor(message => message.type === 'transcript' && message.text === 'Fallback answer to: Are you there?');
+
+    const transcriptions = (await received('http.audio.transcriptions')).length;
+    client.send({ type: 'mute' });
+    speak(client);
+    client.send({ type: 'unmute' });
+    // Turns run in order, so any turn from the muted audio would come first
+    client.send({ type: 'text_message', text: 'still there?' });
+    await client.waitFor(message => message.type === 'transcript' && message.text === 'Fallback answer to: still there?');
+    assert.equal(client.messages.filter(message => message.type === 'vad_start').length, 1);
+    assert.equal((await received('http.audio.transcriptions')).length, transcriptions);
+
+    await client.close();
+  });
+
+  it('leaves the language to Whisper in auto mode and follows the user into another language', async () => {
+    const client = await fallbackClient();
+    const transcriptions = (await received('http.audio.transcriptions')).length;
+
+    speak(client);
+    await client.waitFor(message => message.type === 'transcript' && message.text === 'Fallback answer to: Are you there?');
+    const [transcription] = (await received('http.audio.transcriptions')).slice(transcriptions);
+    assert.equal(transcription.language, null);
+
+    client.send({ type: 'text_message', text: '¿Qué tiempo hace hoy en Madrid?' });
+    const changed = await client.waitFor('language_changed');
+    assert.deepEqual([changed.language, changed.previous, changed.source], ['es', 'en', 'detected']);
+    const answer = await client.waitFor(message => message.type === 'transcript' && message.text.startsWith('Fallback answer to: ¿Qué'));
+    assert.equal(answer.language, 'es');
+    const completion = (await received('http.chat.completions')).pop();
+    assert.match(completion.body.messages[0].content, /Respond in Spanish\. If the user speaks another language/);
+
+    await client.close();
+  });
+
+  it('accounts chat completion usage to the user', async () => {
+    const client = await fallbackClient('', 'erin');
+    client.send({ type: 'text_message', text: 'how much does this cost?' });
+    await client.waitFor(message => message.type === 'transcript' && message.text === 'Fallback answer to: how much does this cost?');
+    await client.close();
+
+    const response = await fetch(`${server.httpUrl}/usage`, { headers: { Authorization: `Bearer ${signToken({ sub: 'erin' }, AUTH_SECRET)}` } });
+    const report = await response.json();
+    assert.equal(report.totals.responses, 1);
+    // The mock's 1000 prompt and 100 completion tokens at gpt-4o-mini prices
+    assert.equal(report.totals.costUsd, 0.00021);
+  });
+
+  it('queues text behind the running turn and limits text messages per session', async () => {
+    const client = await fallbackClient();
+    // The greeting turn ends once its audio is out
+    await client.waitFor('audio');
+    client.send({ type: 'text_message', id: 'one', text: 'first' });
+    client.send({ type: 'text_message', id: 'two', text: 'second' });
+    client.send({ type: 'text_message', id: 'three', text: 'third' });
+
+    const queued = await client.waitFor('queued');
+    assert.deepEqual([queued.id, queued.position, queued.policy], ['two', 1, 'queue']);
+    const error = await client.waitFor(message => message.type === 'error' && message.code === 'rate_limited');
+    assert.equal(error.limit, 'text_messages_per_minute');
+
+    await client.waitFor(message => message.type === 'transcript' && message.text === 'Fallback answer to: second');
+    assert.deepEqual(client.messages.filter(message => message.type === 'delivered').map(message => message.id), ['one', 'two']);
+    assert.ok(!client.messages.some(message => message.text === 'Fallback answer to: third'));
+    await client.close();
+  });
+
+  it('pins the transcription language when one is requested', async () => {
+    const client = await fallbackClient('?language=fr');
+    const transcriptions = (await received('http.audio.transcriptions')).length;
+
+    speak(client);
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'user');
+    const [transcription] = (await received('http.audio.transcriptions')).slice(transcriptions);
+    assert.equal(transcription.language, 'fr');
+
+    client.send({ type: 'text_message', text: '¿Qué tiempo hace hoy en Madrid?' });
+    const answer = await client.waitFor(message => message.type === 'transcript' && message.text.startsWith('Fallback answer to: ¿Qué'));
+    assert.equal(answer.language, 'fr');
+    assert.ok(!client.messages.some(message => message.type === 'language_changed'));
+
+    await client.close();
+  });
+});
+
+describe('persona profiles', () => {
+  let server;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-e2e-'));
+    fs.copyFileSync(path.join(__dirname, '..', 'config', 'profiles', 'life.yaml'), path.join(dir, 'life.yaml'));
+    server = await startServer({ PROFILES_DIR: dir });
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const profileNames = async () => (await (await fetch(`${server.httpUrl}/profiles`)).json()).profiles.map(profile => profile.name);
+
+  it('lists profiles without their instructions and picks up new files', async () => {
+    const { profiles } = await (await fetch(`${server.httpUrl}/profiles`)).json();
+    assert.deepEqual(profiles.map(profile => profile.name), ['life']);
+    assert.deepEqual(profiles[0].languages, ['es', 'fr', 'de', 'en']);
+    assert.ok(!('instructions' in profiles[0]));
+
+    fs.writeFileSync(path.join(dir, 'coach.json'), JSON.stringify({ instructions: 'Push hard.', greeting: 'Ready?', voice: 'echo' }));
+    await waitUntil(async () => (await profileNames()).includes('coach'));
+
+    const client = connectClient(`${server.url}?profile=coach`);
+    assert.equal((await client.waitFor('connected')).profile, 'coach');
+    await client.close();
+  });
+
+  it('switches instructions but keeps the voice when the language changes after the greeting', async () => {
+    fs.writeFileSync(path.join(dir, 'polyglot.json'), JSON.stringify({
+      instructions: 'Be brief.', greeting: 'Hi!', voice: 'alloy', voices: { es: 'coral' }
+    }));
+    await waitUntil(async () => (await profileNames()).includes('polyglot'));
+
+    const client = connectClient(`${server.url}?profile=polyglot`);
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+    const before = (await server.mockState()).received.length;
+
+    client.send({ type: 'text_message', text: '¿Qué tiempo hace hoy en Madrid?' });
+    await client.waitFor('language_changed');
+    await client.waitFor(message => message.type === 'transcript' && message.text.startsWith('You said: ¿Qué'));
+
+    const update = (await server.mockState()).received.slice(before).find(event => event.type === 'session.update');
+    assert.match(update.session.instructions, /Respond in Spanish/);
+    assert.ok(!('voice' in update.session));
+    assert.ok(!server.logs().includes('cannot_update_voice'));
+    await client.close();
+  });
+
+  it('keeps serving the last good profiles when a file breaks', async () => {
+    fs.writeFileSync(path.join(dir, 'coach.json'), '{ "instructions": ');
+    await waitUntil(() => server.logs().includes('Profile reload failed, keeping previous profiles'));
+    assert.deepEqual(await profileNames(), ['coach', 'life', 'polyglot']);
+  });
+});
+
+describe('graceful shutdown', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      MOCK_SCENARIO: path.join(__dirname, 'fixtures', 'scenarios', 'slow-answers.json'),
+      SHUTDOWN_DEADLINE_MS: '5000',
+      HEALTH_CHECK_TTL_MS: '1'
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it('lets the current response finish, refuses new sessions and flushes transcripts', async () => {
+    const client = connectClient(server.url);
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+
+    client.send({ type: 'text_message', id: 'last', text: 'one more thing' });
+    await client.waitFor(message => message.type === 'delivered' && message.id === 'last');
+    server.signal('SIGTERM');
+
+    const notice = await client.waitFor('server_shutting_down');
+    assert.equal(notice.deadlineMs, 5000);
+
+    const ready = await fetch(`${server.httpUrl}/health/ready`);
+    assert.equal(ready.status, 503);
+    assert.equal((await ready.json()).status, 'draining');
+
+    const refused = connectClient(server.url);
+    await assert.rejects(refused.opened, /503/);
+
+    const answer = await client.waitFor(message => message.type === 'transcript' && message.text === 'A slow answer to: one more thing');
+    assert.equal(answer.role, 'assistant');
+    assert.equal(await client.closed, 1001);
+
+    assert.deepEqual(await server.exited, { code: 0, signal: null });
+    const sessionLog = fs.readdirSync(path.join(server.dataDir, 'transcripts'))
+      .map(file => fs.readFileSync(path.join(server.dataDir, 'transcripts', file), 'utf8'))
+      .find(content => content.includes('one more thing'));
+    assert.match(sessionLog.trim().split('\n').pop(), /"type":"session_end"/);
+  });
+});
+
+describe('usage accounting', () => {
+  const AUTH_SECRET = 'usage-test-secret';
+  let server;
+
+  before(async () => {
+    // Each mock response costs $0.0037: the greeting fits the budget, the first answer does not
+    server = await startServer({ AUTH_SECRET, USAGE_MONTHLY_BUDGET_USD: '0.005', REVIEWERS: 'qa' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  function clientFor(user) {
+    return connectClient(`${server.url}?token=${signToken({ sub: user }, AUTH_SECRET)}`);
+  }
+
+  const usageFor = (query, user) => fetch(`${server.httpUrl}/usage${query}`, {
+    headers: user ? { Authorization: `Bearer ${signToken({ sub: user }, AUTH_SECRET)}` } : {}
+  });
+
+  it('reports usage per user and refuses sessions once the monthly budget is spent', async () => {
+    const first = clientFor('alice');
+    await first.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+    first.send({ type: 'text_message', text: 'hello' });
+
+    const exceeded = await first.waitFor('error');
+    assert.equal(exceeded.code, 'budget_exceeded');
+    assert.equal(await first.closed, 1008);
+
+    const refused = clientFor('alice');
+    assert.equal((await refused.waitFor('error')).code, 'budget_exceeded');
+    assert.equal(await refused.closed, 1008);
+
+    const response = await usageFor('?user=alice', 'qa');
+    assert.equal(response.status, 200);
+    const report = await response.json();
+    assert.equal(report.totals.responses, 2);
+    assert.equal(report.totals.costUsd, 0.0074);
+    assert.equal(report.totals.tokens.outputAudioTokens, 60);
+    assert.equal(report.sessions.length, 1);
+    assert.deepEqual(report.budget, { month: report.budget.month, limitUsd: 0.005, spentUsd: 0.0074, remainingUsd: 0, exhausted: true });
+
+    const other = await (await usageFor('?user=bob', 'qa')).json();
+    assert.equal(other.totals.responses, 0);
+
+    const invalid = await usageFor('?from=yesterday', 'qa');
+    assert.equal(invalid.status, 400);
+  });
+
+  it('only shows users their own usage', async () => {
+    assert.equal((await usageFor('')).status, 401);
+    assert.equal((await usageFor('?user=alice', 'bob')).status, 403);
+
+    const own = await (await usageFor('', 'alice')).json();
+    assert.equal(own.user, 'alice');
+    assert.equal(own.totals.responses, 2);
+  });
+});
+
+describe('conversation recording', () => {
+  const AUTH_SECRET = 'recording-test-secret';
+  let server;
+
+  before(async () => {
+    server = await startServer({ AUTH_SECRET, RECORDING_ENABLED: 'true', REVIEWERS: 'qa' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const tokenFor = (user) => signToken({ sub: user }, AUTH_SECRET);
+  const download = (sessionId, user, part = '') => fetch(`${server.httpUrl}/sessions/${sessionId}/recording${part}`, {
+    headers: user ? { Authorization: `Bearer ${tokenFor(user)}` } : {}
+  });
+
+  it('records consenting sessions and serves them to the owner and reviewers', async () => {
+    const client = connectClient(`${server.url}?token=${tokenFor('alice')}&recording_consent=true`);
+    assert.deepEqual(await client.waitFor('recording'), { type: 'recording', status: 'started' });
+    const { sessionId } = await client.waitFor('connected');
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+
+    for (let i = 0; i < 6; i++) {
+      client.send({ type: 'audio', data: pcm16(100) });
+      await sleep(100);
+    }
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'user');
+    await client.close();
+
+    const metadata = await waitUntil(async () => {
+      const response = await download(sessionId, 'alice', '/metadata');
+      return response.status === 200 && response.json();
+    });
+    assert.equal(metadata.user, 'alice');
+    assert.deepEqual(metadata.channels, ['user', 'assistant']);
+    assert.equal(metadata.turns[0].role, 'assistant');
+    assert.equal(metadata.turns[0].text, GREETING);
+    const userTurn = metadata.turns.find(turn => turn.role === 'user');
+    assert.ok(userTurn.startMs > metadata.turns[0].startMs, 'the user spoke after the greeting');
+
+    const wav = await download(sessionId, 'qa');
+    assert.equal(wav.status, 200);
+    assert.equal(wav.headers.get('content-type'), 'audio/wav');
+    const audio = Buffer.from(await wav.arrayBuffer());
+    assert.equal(audio.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(audio.readUInt16LE(22), 2);
+
+    assert.equal((await download(sessionId, null)).status, 401);
+    assert.equal((await download(sessionId, 'bob')).status, 404);
+  });
+
+  it('does not record without consent', async () => {
+    const client = connectClient(`${server.url}?token=${tokenFor('alice')}`);
+    const { sessionId } = await client.waitFor('connected');
+    await client.waitFor(message => message.type === 'transcript' && message.role === 'assistant');
+    await client.close();
+
+    await sleep(200);
+    assert.equal((await download(sessionId, 'alice')).status, 404);
+    assert.ok(!client.messages.some(message => message.type === 'recording'));
+  });
+});
+
+describe('phone calls over Twilio Media Streams', () => {
+  const TWILIO_AUTH_TOKEN = 'twilio-test-token';
+  const { messages: recordedCall } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'twilio', 'call.json'), 'utf8'));
+  let server;
+
+  before(async () => {
+    // Client auth stays on: calls are vouched for by Twilio's signature instead
+    server = await startServer({ AUTH_SECRET: 'twilio-test-secret', TWILIO_AUTH_TOKEN });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const webhook = (query, params, signature) => {
+    const url = `${server.httpUrl}/twilio/voice${query}`;
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'X-Twilio-Signature': signature || twilioSignature(TWILIO_AUTH_TOKEN, url, params) },
+      body: new URLSearchParams(params)
+    });
+  };
+
+  it('answers the voice webhook with TwiML that starts the media stream', async () => {
+    const response = await webhook('?profile=life', { CallSid: 'CA123', From: '+15005550006' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/xml');
+    const twiml = await response.text();
+    assert.ok(twiml.includes(`<Connect><Stream url="${server.url}/twilio/media">`));
+    assert.ok(twiml.includes('<Parameter name="profile" value="life"/>'));
+    assert.ok(twiml.includes('<Parameter name="from" value="+15005550006"/>'));
+
+    assert.equal((await webhook('', { CallSid: 'CA123' }, 'forged')).status, 403);
+    assert.equal((await webhook('?profile=nobody', { CallSid: 'CA123' })).status, 400);
+  });
+
+  it('bridges a recorded call into a realtime session, barge-in included', async () => {
+    const streamUrl = `${server.url}/twilio/media`;
+    await assert.rejects(connectClient(streamUrl).opened, /401/);
+
+    const twilio = connectClient(streamUrl, { headers: { 'X-Twilio-Signature': twilioSignature(TWILIO_AUTH_TOKEN, streamUrl) } });
+    await twilio.opened;
+    const [connected, start] = recordedCall;
+    const media = recordedCall.filter(message => message.event === 'media');
+    const stop = recordedCall.find(message => message.event === 'stop');
+    twilio.send(connected);
+    twilio.send(start);
+
+    // The greeting plays as μ-law media, each chunk followed by a mark
+    await waitUntil(() => twilio.messages.filter(message => message.event === 'mark').length >= 3);
+    assert.ok(twilio.messages.every(message => message.streamSid === start.streamSid));
+    assert.deepEqual(twilio.messages.slice(0, 2).map(message => message.event), ['media', 'mark']);
+    const decoder = createAudioDecoder({ format: 'g711_ulaw' });
+    assert.ok(decoder.decode(Buffer.from(twilio.messages[0].media.payload, 'base64')).length > 0);
+    decoder.close();
+
+    // Twilio reports the first chunk played, then the caller talks over the rest
+    const firstMark = twilio.messages.find(message => message.event === 'mark');
+    twilio.send({ event: 'mark', sequenceNumber: '33', streamSid: start.streamSid, mark: firstMark.mark });
+    const before = (await server.mockState()).received.length;
+    media.forEach(message => twilio.send(message));
+
+    const clear = await twilio.waitFor(message => message.event === 'clear');
+    const truncate = await waitUntil(async () => (await server.mockState()).received.slice(before)
+      .find(event => event.type === 'conversation.item.truncate'));
+    assert.equal(truncate.audio_end_ms, Number(firstMark.mark.name.split(':').pop()));
+    assert.ok(appendedAudio((await server.mockState()).received.slice(before)).length > 0);
+
+    // The answer to what the caller said follows the barge-in
+    await twilio.waitFor(message => message.event === 'media' && twilio.messages.indexOf(message) > twilio.messages.indexOf(clear));
+
+    twilio.send(stop);
+    assert.equal(await twilio.closed, 1000);
+    await waitUntil(async () => (await server.mockState()).connections === 0);
+  });
+
+  it('ends a media stream that sends junk before start', async () => {
+    const streamUrl = `${server.url}/twilio/media`;
+    for (const junk of ['not json', 'null']) {
+      const twilio = connectClient(streamUrl, { headers: { 'X-Twilio-Signature': twilioSignature(TWILIO_AUTH_TOKEN, streamUrl) } });
+      await twilio.opened;
+      twilio.socket.send(junk);
+      assert.equal(await twilio.closed, 1011);
+    }
+
+    const health = await fetch(`${server.httpUrl}/health/live`);
+    assert.equal(health.status, 200);
+  });
+});
+
+describe('WebRTC sessions', () => {
+  const AUTH_SECRET = 'webrtc-test-secret';
+  let server;
+
+  before(async () => {
+    server = await startServer({ AUTH_SECRET, REVIEWERS: 'qa' });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const get = (pathname, user) => fetch(`${server.httpUrl}${pathname}`, {
+    headers: user ? { Authorization: `Bearer ${signToken({ sub: user }, AUTH_SECRET)}` } : {}
+  });
+
+  const post = (pathname, body, token) => fetch(`${server.httpUrl}${pathname}`, {
+    method: 'POST',
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: JSON.stringify(body)
+  });
+
+  it('refuses WebSocket upgrades and requests without a valid token', async () => {
+    await assert.rejects(connectClient(server.url).opened, /401/);
+    await assert.rejects(connectClient(`${server.url}?token=${signToken({ sub: 'alice' }, 'wrong-secret')}`).opened, /401/);
+
+    // A JWT whose header decodes to null
+    const nullHeader = `${Buffer.from('null').toString('base64url')}.${Buffer.from('{"sub":"alice"}').toString('base64url')}.x`;
+    await assert.rejects(connectClient(`${server.url}?token=${nullHeader}`).opened, /401/);
+    assert.equal((await post('/session', {}, nullHeader)).status, 401);
+
+    const client = connectClient(`${server.url}?token=${signToken({ sub: 'alice' }, AUTH_SECRET)}`);
+    await client.waitFor('connected');
+    await client.close();
+  });
+
+  it('mints an ephemeral token carrying the persona and tools', async () => {
+    assert.equal((await post('/session', {})).status, 401);
+    const invalid = await post('/session', { voice: 'robot' }, signToken({ sub: 'alice' }, AUTH_SECRET));
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).code, 'invalid_config');
+
+    const response = await post('/session', { profile: 'life', voice: 'verse' }, signToken({ sub: 'alice' }, AUTH_SECRET));
+    assert.equal(response.status, 200);
+    const session = await response.json();
+    assert.match(session.client_secret.value, /^ek_mock_/);
+    assert.ok(session.webrtc_url.endsWith(`/realtime?model=${session.model}`));
+    assert.equal(session.config.voice, 'verse');
+    assert.match(session.greeting.instructions, /I am Life/);
+    assert.deepEqual(session.tools.names, ['web_search']);
+
+    const minted = (await server.mockState()).received.filter(event => event.type === 'http.realtime.sessions').pop();
+    assert.equal(minted.body.voice, 'verse');
+    assert.match(minted.body.instructions, /You are Life/);
+    assert.deepEqual(minted.body.tools.map(tool => tool.name), ['web_search']);
+  });
+
+  it('runs tool calls for the session that owns the tool token', async () => {
+    const session = await (await post('/session', {}, signToken({ sub: 'alice' }, AUTH_SECRET))).json();
+    const call = { name: 'web_search', arguments: '{"query":"current weather"}', call_id: 'call_1' };
+
+    assert.equal((await post(session.tools.url, call, 'wrong-token')).status, 404);
+    const response = await post(session.tools.url, call, session.tools.token);
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.equal(result.call_id, 'call_1');
+    assert.equal(result.success, true);
+    assert.match(result.output, /current weather/);
+
+    const unknown = await (await post(session.tools.url, { name: 'rm_rf', call_id: 'call_2' }, session.tools.token)).json();
+    assert.equal(unknown.success, false);
+
+    for (const body of [null, 5, ['web_search'], { name: 7 }]) {
+      assert.equal((await post(session.tools.url, body, session.tools.token)).status, 400);
+    }
+
+    await sleep(100);
+    const transcript = await (await get(`/sessions/${session.id}/transcript`, 'alice')).json();
+    assert.deepEqual(transcript.entries.map(entry => entry.type), ['session_start', 'tool_call', 'tool_output', 'tool_call', 'tool_output']);
+  });
+
+  it('shows transcripts and session lists to their owner and reviewers only', async () => {
+    const session = await (await post('/session', {}, signToken({ sub: 'carol' }, AUTH_SECRET))).json();
+    await sleep(100);
+    const transcriptPath = `/sessions/${session.id}/transcript`;
+
+    assert.equal((await get(transcriptPath)).status, 401);
+    assert.equal((await get(transcriptPath, 'dave')).status, 404);
+    assert.equal((await get(transcriptPath, 'carol')).status, 200);
+    assert.equal((await get(transcriptPath, 'qa')).status, 200);
+
+    assert.equal((await get('/sessions')).status, 401);
+    const own = (await (await get('/sessions', 'carol')).json()).sessions;
+    assert.deepEqual(own.map(entry => entry.id), [session.id]);
+    assert.deepEqual((await (await get('/sessions', 'dave')).json()).sessions, []);
+    const all = (await (await get('/sessions', 'qa')).json()).sessions;
+    assert.ok(all.some(entry => entry.id === session.id) && all.some(entry => entry.user === 'alice'));
+  });
+});
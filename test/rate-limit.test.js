@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, rateLimitError } = require('../lib/rate-limit');
+
+const LIMITS = {
+  concurrentSessions: 2,
+  sessionsPerMinute: 3,
+  toolCallsPerMinute: 2,
+  textMessagesPerMinute: 0,
+  testSearchPerMinute: 1
+};
+
+describe('rate limiter', () => {
+  it('refuses per-minute calls past the limit, per key', () => {
+    const limiter = createRateLimiter({ limits: LIMITS });
+    assert.equal(limiter.consume('tool_calls_per_minute', 'alice').remaining, 1);
+    assert.equal(limiter.consume('tool_calls_per_minute', 'alice').allowed, true);
+
+    const refused = limiter.consume('tool_calls_per_minute', 'alice');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.limit, 'tool_calls_per_minute');
+    // Two calls a minute refill one every 30 seconds
+    assert.ok(refused.retryAfterMs > 29000 && refused.retryAfterMs <= 30000, `${refused.retryAfterMs} ms`);
+
+    assert.equal(limiter.consume('tool_calls_per_minute', 'bob').allowed, true);
+    assert.equal(limiter.consume('test_search_per_minute', 'alice').allowed, true);
+  });
+
+  it('skips limits set to 0 and rejects unknown ones', () => {
+    const limiter = createRateLimiter({ limits: LIMITS });
+    for (let i = 0; i < 100; i++) {
+      assert.equal(limiter.consume('text_messages_per_minute', 'alice').allowed, true);
+    }
+    assert.throws(() => limiter.consume('bananas_per_minute', 'alice'), /Unknown rate limit "bananas_per_minute"/);
+  });
+
+  it('caps concurrent sessions per key until a slot is released', () => {
+    const limiter = createRateLimiter({ limits: { ...LIMITS, sessionsPerMinute: 0 } });
+    const first = limiter.openSession('alice');
+    const second = limiter.openSession('alice');
+    assert.equal(first.allowed && second.allowed, true);
+
+    const refused = limiter.openSession('alice');
+    assert.deepEqual(refused, { allowed: false, limit: 'concurrent_sessions', retryAfterMs: 30000 });
+    assert.equal(limiter.openSession('bob').allowed, true);
+
+    // Releasing twice must not free a slot held by another session
+    first.release();
+    first.release();
+    const third = limiter.openSession('alice');
+    assert.equal(third.allowed, true);
+    assert.equal(limiter.openSession('alice').allowed, false);
+
+    second.release();
+    third.release();
+    assert.equal(limiter.openSession('alice').allowed, true);
+  });
+
+  it('gives the slot back when the per-minute session limit refuses', () => {
+    const limiter = createRateLimiter({ limits: { ...LIMITS, concurrentSessions: 1, sessionsPerMinute: 1 } });
+    limiter.openSession('alice').release();
+
+    const refused = limiter.openSession('alice');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.limit, 'sessions_per_minute');
+    assert.ok(refused.retryAfterMs > 0);
+
+    // Still refused by the rate, not by a slot leaked from the refusal
+    assert.equal(limiter.openSession('alice').limit, 'sessions_per_minute');
+  });
+
+  it('describes the limit hit to clients', () => {
+    assert.deepEqual(rateLimitError({ limit: 'tool_calls_per_minute', retryAfterMs: 2500 }), {
+      type: 'error',
+      code: 'rate_limited',
+      limit: 'tool_calls_per_minute',
+      message: 'Rate limit exceeded (tool_calls_per_minute). Retry after 3s.',
+      retryAfter: 3
+    });
+  });
+});
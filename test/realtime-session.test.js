@@ -0,0 +1,451 @@
+// Unit tests for RealtimeSession, driven through in-memory transports.
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerTool, getTool } = require('../lib/tools');
+const { loadProfiles } = require('../lib/profiles');
+const { configFromQuery } = require('../lib/session-config');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { RealtimeSession } = require('../lib/realtime-session');
+const { configureLogging } = require('../lib/logger');
+const { createUsageTracker } = require('../lib/usage');
+const metrics = require('../lib/metrics');
+const { createFakeTransport } = require('./helpers/fake-transport');
+const { sleep } = require('./helpers/client');
+
+const NO_LIMITS = { concurrentSessions: 0, sessionsPerMinute: 0, toolCallsPerMinute: 0, textMessagesPerMinute: 0, testSearchPerMinute: 0 };
+
+function createTranscripts() {
+  const entries = [];
+  return {
+    entries,
+    append: (sessionId, entry) => { entries.push(entry); },
+    getTranscript: async () => ({ entries })
+  };
+}
+
+describe('RealtimeSession', () => {
+  let client;
+  let upstreams;
+  let openUpstream;
+  let transcripts;
+  let session;
+
+  before(() => {
+    configureLogging({ level: 'silent' });
+    if (!getTool('web_search')) {
+      registerTool({
+        name: 'web_search',
+        description: 'Search stub',
+        parameters: { type: 'object', properties: { query: { type: 'string' } } },
+        handler: async ({ query }) => `Results for ${query}`
+      });
+    }
+    loadProfiles();
+  });
+
+  after(() => configureLogging({ level: 'info' }));
+
+  beforeEach(() => {
+    client = createFakeTransport();
+    upstreams = [];
+    openUpstream = async () => {
+      const upstream = createFakeTransport({ open: false });
+      upstreams.push(upstream);
+      return upstream;
+    };
+    transcripts = createTranscripts();
+  });
+
+  afterEach(() => {
+    if (session) session.close();
+    session = null;
+  });
+
+  function createSession(overrides = {}) {
+    session = new RealtimeSession({
+      id: 'test',
+      client,
+      openUpstream,
+      config: configFromQuery({}),
+      transcripts,
+      rateLimiter: createRateLimiter({ limits: NO_LIMITS }),
+      options: { greetingDelayMs: 0, toolResponseDelayMs: 0, reconnectBaseDelayMs: 1, fallbackEnabled: false },
+      ...overrides
+    });
+    return session;
+  }
+
+  // Start a session and bring its upstream to the ready state
+  async function readySession(overrides) {
+    createSession(overrides);
+    await session.start();
+    const upstream = upstreams[upstreams.length - 1];
+    upstream.open();
+    upstream.receive({ type: 'session.updated' });
+    return upstream;
+  }
+
+  it('walks through connecting to ready and greets once', async () => {
+    const states = [];
+    createSession();
+    session.on('state', (to) => states.push(to));
+
+    await session.start();
+    assert.equal(session.state, 'connecting');
+
+    const upstream = upstreams[0];
+    upstream.open();
+    assert.equal(upstream.ofType('session.update').length, 1);
+    assert.equal(client.ofType('connected').length, 1);
+
+    upstream.receive({ type: 'session.updated' });
+    upstream.receive({ type: 'session.updated' });
+    await sleep(5);
+
+    assert.deepEqual(states, ['connecting', 'ready']);
+    const greetings = upstream.ofType('response.create');
+    assert.equal(greetings.length, 1);
+    assert.match(greetings[0].response.instructions, /^Greet the user/);
+  });
+
+  it('queues client messages until the upstream session is ready', async () => {
+    createSession();
+    await session.start();
+    client.receive({ type: 'audio', data: 'AAAA' });
+
+    const upstream = upstreams[0];
+    upstream.open();
+    assert.equal(upstream.ofType('input_audio_buffer.append').length, 0);
+
+    upstream.receive({ type: 'session.updated' });
+    assert.deepEqual(upstream.ofType('input_audio_buffer.append'), [{ type: 'input_audio_buffer.append', audio: 'AAAA' }]);
+  });
+
+  it('holds text turns while a response is in progress', async () => {
+    const upstream = await readySession();
+    upstream.receive({ type: 'response.created', response: { id: 'resp_1' } });
+
+    client.receive({ type: 'text_message', id: 'm1', text: 'hello' });
+    assert.deepEqual(client.ofType('queued'), [{ type: 'queued', id: 'm1', position: 1, policy: 'queue' }]);
+    assert.equal(client.ofType('delivered').length, 0);
+
+    upstream.receive({ type: 'response.done' });
+    assert.deepEqual(client.ofType('delivered'), [{ type: 'delivered', id: 'm1' }]);
+    const item = upstream.ofType('conversation.item.create').pop().item;
+    assert.equal(item.content[0].text, 'hello');
+  });
+
+  it('cancels the response in flight for a cancel_and_replace turn and sends that turn next', async () => {
+    const upstream = await readySession();
+    // Let the greeting request go out first
+    await sleep(5);
+    upstream.receive({ type: 'response.created', response: { id: 'resp_1' } });
+    upstream.receive({ type: 'response.audio.delta', response_id: 'resp_1', item_id: 'item_1', delta: 'AAAA' });
+    client.receive({ type: 'text_message', id: 'm1', text: 'queued first' });
+
+    client.receive({ type: 'text_message', id: 'm2', text: 'actually, this', policy: 'cancel_and_replace' });
+    assert.equal(upstream.ofType('response.cancel').length, 1);
+    assert.deepEqual(client.ofType('interrupted'), [{ type: 'interrupted', reason: 'replaced', item_id: 'item_1', audio_end_ms: 0 }]);
+    assert.deepEqual(client.ofType('queued').pop(), { type: 'queued', id: 'm2', position: 1, policy: 'cancel_and_replace' });
+    assert.equal(client.ofType('delivered').length, 0);
+
+    // The cancelled answer is silenced; the replacement goes out once it is done
+    upstream.receive({ type: 'response.audio.delta', response_id: 'resp_1', item_id: 'item_1', delta: 'AAAA' });
+    assert.equal(client.ofType('audio').length, 1);
+    const responses = upstream.ofType('response.create').length;
+    upstream.receive({ type: 'response.done', response: { id: 'resp_1', status: 'cancelled' } });
+
+    assert.deepEqual(client.ofType('delivered'), [{ type: 'delivered', id: 'm2' }]);
+    assert.equal(upstream.ofType('conversation.item.create').pop().item.content[0].text, 'actually, this');
+    await sleep(5);
+    assert.equal(upstream.ofType('response.create').length, responses + 1);
+  });
+
+  it('keeps text queued through upstream errors unrelated to the response in flight', async () => {
+    const upstream = await readySession();
+    await sleep(5);
+    upstream.receive({ type: 'response.created', response: { id: 'resp_1' } });
+    client.receive({ type: 'text_message', id: 'm1', text: 'hello' });
+    const responses = upstream.ofType('response.create').length;
+
+    upstream.receive({ type: 'error', error: { type: 'invalid_request_error', message: 'Invalid audio', event_id: 'event_append' } });
+    client.receive({ type: 'text_message', id: 'm2', text: 'still there?' });
+    await sleep(5);
+    assert.deepEqual(client.ofType('queued').map(message => message.id), ['m1', 'm2']);
+    assert.equal(client.ofType('delivered').length, 0);
+    assert.equal(upstream.ofType('response.create').length, responses);
+
+    upstream.receive({ type: 'response.done', response: { id: 'resp_1', status: 'completed' } });
+    assert.deepEqual(client.ofType('delivered'), [{ type: 'delivered', id: 'm1' }]);
+  });
+
+  it('delivers queued text once upstream refuses the requested response', async () => {
+    const upstream = await readySession();
+    await sleep(5);
+    const [greeting] = upstream.ofType('response.create');
+    assert.match(greeting.event_id, /^event_/);
+    client.receive({ type: 'text_message', id: 'm1', text: 'hello' });
+    assert.equal(client.ofType('queued').length, 1);
+
+    upstream.receive({ type: 'error', error: { type: 'invalid_request_error', code: 'server_error', event_id: greeting.event_id } });
+    assert.deepEqual(client.ofType('delivered'), [{ type: 'delivered', id: 'm1' }]);
+  });
+
+  it('cancels and truncates the assistant on barge-in', async () => {
+    const upstream = await readySession();
+    upstream.receive({ type: 'response.created', response: { id: 'resp_1' } });
+    upstream.receive({ type: 'response.audio.delta', response_id: 'resp_1', item_id: 'item_1', delta: Buffer.alloc(4800).toString('base64') });
+    client.receive({ type: 'playback', item_id: 'item_1', offset_ms: 40 });
+
+    upstream.receive({ type: 'input_audio_buffer.speech_started' });
+
+    assert.equal(upstream.ofType('response.cancel').length, 1);
+    assert.deepEqual(upstream.ofType('conversation.item.truncate'), [
+      { type: 'conversation.item.truncate', item_id: 'item_1', content_index: 0, audio_end_ms: 40 }
+    ]);
+    assert.deepEqual(client.ofType('interrupted'), [
+      { type: 'interrupted', reason: 'speech_started', item_id: 'item_1', audio_end_ms: 40 }
+    ]);
+
+    // Late audio from the cancelled response is not forwarded
+    upstream.receive({ type: 'response.audio.delta', response_id: 'resp_1', item_id: 'item_1', delta: 'AAAA' });
+    assert.equal(client.ofType('audio').length, 1);
+  });
+
+  it('measures the time from end of speech to the first answer audio', async () => {
+    const count = () => Number(metrics.registry.render().match(/^voice_speech_to_first_audio_seconds_count (\d+)/m)[1]);
+    const upstream = await readySession();
+    const before = count();
+
+    upstream.receive({ type: 'input_audio_buffer.speech_stopped' });
+    upstream.receive({ type: 'response.created', response: { id: 'resp_1' } });
+    upstream.receive({ type: 'response.audio.delta', response_id: 'resp_1', item_id: 'item_1', delta: 'AAAA' });
+    upstream.receive({ type: 'response.audio.delta', response_id: 'resp_1', item_id: 'item_1', delta: 'AAAA' });
+
+    assert.equal(count(), before + 1);
+  });
+
+  it('returns tool output upstream and asks for a response', async () => {
+    const upstream = await readySession();
+    upstream.receive({ type: 'response.function_call_arguments.done', name: 'web_search', call_id: 'call_1', arguments: '{"query":"news"}' });
+    await sleep(5);
+
+    const output = upstream.ofType('conversation.item.create').find(message => message.item.type === 'function_call_output');
+    assert.deepEqual(output.item, { type: 'function_call_output', call_id: 'call_1', output: 'Results for news' });
+    assert.ok(upstream.ofType('response.create').length >= 2);
+    assert.deepEqual(transcripts.entries.filter(entry => entry.type.startsWith('tool_')).map(entry => entry.type), ['tool_call', 'tool_output']);
+  });
+
+  it('reconnects after an upstream drop and replays the conversation', async () => {
+    const first = await readySession();
+    first.receive({ type: 'response.created', response: { id: 'resp_greeting' } });
+    first.receive({ type: 'response.done' });
+    client.receive({ type: 'text_message', id: 'm1', text: 'remember me' });
+    first.close();
+    assert.equal(session.state, 'reconnecting');
+    assert.equal(client.ofType('reconnecting').length, 1);
+
+    client.receive({ type: 'audio', data: 'BBBB' });
+    await sleep(10);
+
+    const second = upstreams[1];
+    second.open();
+    const replayed = second.ofType('conversation.item.create').map(message => message.item);
+    assert.equal(replayed[0].content[0].text, 'remember me');
+    assert.equal(client.ofType('connected').length, 1, 'connected is only sent for the first upstream');
+
+    second.receive({ type: 'session.updated' });
+    assert.equal(session.state, 'ready');
+    assert.equal(client.ofType('reconnected').length, 1);
+    assert.deepEqual(second.ofType('input_audio_buffer.append').map(message => message.audio), ['BBBB']);
+  });
+
+  it('switches to the fallback pipeline when the upstream cannot be opened', async () => {
+    const fallbackMessages = [];
+    let startedWith = null;
+    openUpstream = async () => { throw new Error('token refused'); };
+    createSession({
+      options: { fallbackEnabled: true },
+      createFallback: () => ({
+        start: (reason) => { startedWith = reason; },
+        handleMessage: (message) => fallbackMessages.push(message),
+        close: () => {}
+      })
+    });
+
+    await session.start();
+    assert.equal(session.state, 'fallback');
+    assert.match(startedWith, /token refused/);
+    assert.match(client.ofType('error')[0].message, /Setup failed/);
+
+    client.receive({ type: 'text_message', text: 'still there?' });
+    assert.deepEqual(fallbackMessages, [{ type: 'text_message', text: 'still there?' }]);
+  });
+
+  it('treats an upstream that closes while connecting as a failed setup', async () => {
+    createSession();
+    await session.start();
+    upstreams[0].open();
+    upstreams[0].close(1006);
+
+    assert.equal(session.state, 'closed');
+    assert.equal(upstreams.length, 1, 'no reconnect was attempted');
+    assert.equal(client.ofType('reconnecting').length, 0);
+    assert.match(client.ofType('error')[0].message, /Setup failed: Upstream closed before the session was ready/);
+    assert.equal(client.closeCode, 1011);
+  });
+
+  it('falls back when the upstream closes while connecting', async () => {
+    let startedWith = null;
+    createSession({
+      options: { fallbackEnabled: true },
+      createFallback: () => ({ start: (reason) => { startedWith = reason; }, handleMessage: () => {}, close: () => {} })
+    });
+    await session.start();
+    upstreams[0].close(1006);
+
+    assert.equal(session.state, 'fallback');
+    assert.match(startedWith, /Upstream closed before the session was ready/);
+    assert.ok(!client.closed);
+  });
+
+  it('closes the upstream when the client goes away', async () => {
+    const upstream = await readySession();
+    client.close();
+
+    assert.equal(session.state, 'closed');
+    assert.ok(upstream.closed);
+    assert.deepEqual(transcripts.entries.at(-1), { type: 'session_end' });
+  });
+
+  it('closes an idle session as soon as it is drained', async () => {
+    await readySession();
+    await session.drain(1000);
+
+    assert.deepEqual(client.ofType('server_shutting_down'), [{ type: 'server_shutting_down', deadlineMs: 1000 }]);
+    assert.equal(session.state, 'closed');
+    assert.equal(client.closeCode, 1001);
+  });
+
+  it('lets the current response finish before closing a draining session', async () => {
+    const upstream = await readySession();
+    upstream.receive({ type: 'response.created', response: { id: 'resp_1' } });
+
+    const drained = session.drain(1000);
+    client.receive({ type: 'text_message', id: 'late', text: 'one more' });
+    assert.deepEqual(client.ofType('error'), [
+      { type: 'error', code: 'server_shutting_down', id: 'late', message: 'Server is shutting down' }
+    ]);
+    assert.equal(session.state, 'ready');
+
+    upstream.receive({ type: 'response.done', response: { status: 'completed' } });
+    await drained;
+    assert.equal(session.state, 'closed');
+    assert.equal(upstream.ofType('conversation.item.create').length, 0);
+  });
+
+  it('closes a draining session at the deadline even if a response is still running', async () => {
+    const upstream = await readySession();
+    upstream.receive({ type: 'response.created', response: { id: 'resp_1' } });
+
+    await session.drain(20);
+    assert.equal(session.state, 'closed');
+    assert.ok(upstream.closed);
+  });
+
+  it('records response usage and ends the session when the budget runs out', async () => {
+    const records = [];
+    const usage = createUsageTracker({
+      store: { append: async (record) => { records.push(record); }, query: async () => [], flush: async () => {} },
+      prices: { 'gpt-4o-realtime-preview': { text: { input: 0, cachedInput: 0, output: 1000 }, audio: { input: 0, cachedInput: 0, output: 0 } } },
+      monthlyBudgetUsd: 0.015
+    });
+    const upstream = await readySession({ user: { id: 'alice' }, usage });
+
+    const done = { type: 'response.done', response: { id: 'resp_1', status: 'completed', usage: { output_token_details: { text_tokens: 10 } } } };
+    upstream.receive(done);
+    assert.deepEqual(records.map(record => [record.user, record.responseId, record.costUsd]), [['alice', 'resp_1', 0.01]]);
+    assert.equal(session.state, 'ready');
+
+    upstream.receive({ ...done, response: { ...done.response, id: 'resp_2' } });
+    assert.equal(session.costUsd, 0.02);
+    assert.equal(session.state, 'closed');
+    assert.equal(client.closeCode, 1008);
+    assert.deepEqual(client.ofType('error'), [{
+      type: 'error',
+      code: 'budget_exceeded',
+      message: 'Monthly usage budget of $0.015 exhausted',
+      limitUsd: 0.015,
+      spentUsd: 0.02
+    }]);
+  });
+
+  it('records only after consent and discards the recording when consent is withdrawn', async () => {
+    const calls = [];
+    const recorder = new Proxy({}, { get: (target, method) => (...args) => { calls.push(method); } });
+    const recordings = { enabled: true, start: (id, { user }) => { calls.push(`start:${id}:${user}`); return recorder; } };
+    const upstream = await readySession({ user: { id: 'alice' }, recordings });
+
+    client.receive({ type: 'audio', data: 'AAAA' });
+    assert.deepEqual(calls, []);
+
+    client.receive({ type: 'recording_consent', granted: true });
+    client.receive({ type: 'audio', data: 'AAAA' });
+    upstream.receive({ type: 'response.audio.delta', response_id: 'resp_1', item_id: 'item_1', delta: 'AAAA' });
+    client.receive({ type: 'recording_consent', granted: false });
+    client.receive({ type: 'audio', data: 'AAAA' });
+
+    assert.deepEqual(calls, ['start:test:alice', 'addUserAudio', 'addAssistantAudio', 'discard']);
+    assert.deepEqual(client.ofType('recording'), [
+      { type: 'recording', status: 'started' },
+      { type: 'recording', status: 'discarded' }
+    ]);
+    assert.deepEqual(transcripts.entries.filter(entry => entry.type === 'recording_consent').map(entry => entry.granted), [true, false]);
+  });
+
+  it('tells the client when recording is not available', async () => {
+    await readySession();
+    client.receive({ type: 'recording_consent', granted: true });
+    assert.deepEqual(client.ofType('recording'), [{ type: 'recording', status: 'unavailable' }]);
+  });
+
+  it('follows the language the user speaks in auto mode', async () => {
+    const upstream = await readySession();
+    assert.equal(client.ofType('connected')[0].language_mode, 'auto');
+    assert.deepEqual(upstream.ofType('session.update')[0].session.input_audio_transcription, { model: 'whisper-1' });
+
+    upstream.receive({ type: 'conversation.item.input_audio_transcription.completed', transcript: 'Hola' });
+    assert.equal(client.ofType('language_changed').length, 0, 'one word is not enough to switch');
+
+    upstream.receive({ type: 'conversation.item.input_audio_transcription.completed', transcript: '¿Qué tiempo hace hoy en Madrid?' });
+    assert.deepEqual(client.ofType('language_changed'), [
+      { type: 'language_changed', language: 'es', previous: 'en', mode: 'auto', source: 'detected' }
+    ]);
+    const update = upstream.ofType('session.update').pop();
+    assert.match(update.session.instructions, /Respond in Spanish\./);
+    assert.equal(client.ofType('transcript').pop().language, 'es');
+    assert.ok(transcripts.entries.some(entry => entry.type === 'language_change' && entry.language === 'es'));
+  });
+
+  it('keeps a pinned language and greets in it', async () => {
+    const upstream = await readySession({ language: 'es' });
+    await sleep(5);
+    assert.equal(upstream.ofType('session.update')[0].session.input_audio_transcription.language, 'es');
+    assert.match(upstream.ofType('response.create')[0].response.instructions, /¡Hola! Soy Life/);
+
+    client.receive({ type: 'text_message', text: "Quel temps fait-il aujourd'hui à Paris ?" });
+    assert.equal(client.ofType('language_changed').length, 0);
+
+    client.receive({ type: 'set_language', language: 'auto' });
+    assert.deepEqual(client.ofType('language_changed'), [
+      { type: 'language_changed', language: 'es', previous: 'es', mode: 'auto', source: 'client' }
+    ]);
+    client.receive({ type: 'set_language', language: 'xx' });
+    assert.equal(client.ofType('error').pop().code, 'invalid_config');
+  });
+
+  it('rejects invalid state transitions', () => {
+    createSession();
+    assert.throws(() => session.transition('ready'), /idle -> ready/);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecordingStore } = require('../lib/recordings');
+const { configureLogging } = require('../lib/logger');
+
+const BYTES_PER_MS = 48;
+
+// `ms` of a constant sample value, base64 encoded like client and upstream audio
+function tone(value, ms) {
+  const pcm = Buffer.alloc(ms * BYTES_PER_MS);
+  for (let i = 0; i < pcm.length; i += 2) pcm.writeInt16LE(value, i);
+  return pcm.toString('base64');
+}
+
+// Left and right sample values at a point in time of a stereo WAV
+function framesAt(wav, ms) {
+  const offset = 44 + Math.floor(ms * 24) * 4;
+  return [wav.readInt16LE(offset), wav.readInt16LE(offset + 2)];
+}
+
+describe('conversation recordings', () => {
+  let dir;
+  let store;
+  let now;
+  const clock = () => now;
+
+  before(() => configureLogging({ level: 'silent' }));
+  after(() => configureLogging({ level: 'info' }));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-test-'));
+    store = createRecordingStore({ enabled: true, dir, retentionDays: 7 });
+    now = 1000000;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes a time-aligned stereo WAV with user left and assistant right', async () => {
+    const recorder = store.start('s1', { user: 'alice', clock });
+
+    // The user talks for 200 ms in real time
+    recorder.userSpeechStarted();
+    recorder.addUserAudio(tone(100, 100));
+    now += 100;
+    recorder.addUserAudio(tone(100, 100));
+    now += 100;
+    recorder.userSpeechStopped();
+    recorder.addTranscript('user', 'hi there');
+
+    // A second later the answer arrives in one burst of 300 ms
+    now += 800;
+    recorder.addAssistantAudio(tone(200, 150), 'item_1');
+    recorder.addAssistantAudio(tone(200, 150), 'item_1');
+    recorder.addTranscript('assistant', 'hello');
+    now += 600;
+
+    const metadata = await recorder.finish();
+    assert.equal(metadata.durationMs, 1300);
+    assert.deepEqual(metadata.channels, ['user', 'assistant']);
+    assert.deepEqual(metadata.turns, [
+      { role: 'user', startMs: 0, endMs: 200, text: 'hi there' },
+      { role: 'assistant', startMs: 1000, endMs: 1300, itemId: 'item_1', text: 'hello' }
+    ]);
+
+    const wav = fs.readFileSync(path.join(dir, 's1.wav'));
+    assert.equal(wav.readUInt16LE(22), 2);
+    assert.equal(wav.readUInt32LE(24), 24000);
+    assert.equal(wav.length, 44 + 1300 * 24 * 4);
+    assert.deepEqual(framesAt(wav, 50), [100, 0]);
+    assert.deepEqual(framesAt(wav, 500), [0, 0]);
+    assert.deepEqual(framesAt(wav, 1100), [0, 200]);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['s1.json', 's1.wav']);
+  });
+
+  it('cuts assistant audio that was never played on barge-in', async () => {
+    const recorder = store.start('s2', { user: 'alice', clock });
+    recorder.addAssistantAudio(tone(200, 1000), 'item_1');
+    now += 400;
+    recorder.truncateAssistant();
+    recorder.addUserAudio(tone(100, 100));
+    now += 100;
+
+    const metadata = await recorder.finish();
+    assert.deepEqual(metadata.turns, [{ role: 'assistant', startMs: 0, endMs: 400, itemId: 'item_1', interrupted: true }]);
+    assert.equal(metadata.durationMs, 500);
+
+    const wav = fs.readFileSync(path.join(dir, 's2.wav'));
+    assert.deepEqual(framesAt(wav, 300), [0, 200]);
+    assert.deepEqual(framesAt(wav, 450), [100, 0]);
+  });
+
+  it('keeps nothing when the recording is discarded', async () => {
+    const recorder = store.start('s3', { user: 'alice', clock });
+    recorder.addUserAudio(tone(100, 100));
+    await recorder.discard();
+    await store.flush();
+
+    assert.deepEqual(fs.readdirSync(dir), []);
+    assert.equal(await store.getRecording('s3'), null);
+  });
+
+  it('finds saved recordings by session id only', async () => {
+    await store.start('s4', { user: 'alice', clock }).finish();
+    const { metadata, size } = await store.getRecording('s4');
+
+    assert.equal(size, 44);
+    assert.equal(metadata.user, 'alice');
+    assert.equal(await store.getRecording('../s4'), null);
+  });
+
+  it('removes recordings older than the retention period', async () => {
+    await store.start('old', { clock }).finish();
+    await store.start('new', { clock }).finish();
+    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    for (const file of ['old.wav', 'old.json']) {
+      fs.utimesSync(path.join(dir, file), eightDaysAgo, eightDaysAgo);
+    }
+
+    assert.equal(await store.sweep(), 2);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['new.json', 'new.wav']);
+  });
+});
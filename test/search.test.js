@@ -0,0 +1,133 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSearchConfig, createProviders, getSearchProviders, performWebSearch } = require('../lib/search');
+const { MAX_RESULT_LENGTH, getPath, pickPath, toText, normalizeResult } = require('../lib/search/normalize');
+const { configureLogging } = require('../lib/logger');
+
+const SEARCH_ENV = ['SEARCH_CONFIG', 'SEARCH_PROVIDERS', 'SEARCH_JSON_URL', 'SEARCH_JSON_RESULT_PATH', 'SEARCH_JSON_TIMEOUT_MS', 'SEARCH_STUB_RESPONSE'];
+
+describe('search provider selection', () => {
+  const saved = Object.fromEntries(SEARCH_ENV.map(name => [name, process.env[name]]));
+  let dir;
+
+  before(() => {
+    configureLogging({ level: 'silent' });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-test-'));
+    for (const name of SEARCH_ENV) delete process.env[name];
+  });
+
+  afterEach(() => {
+    for (const name of SEARCH_ENV) delete process.env[name];
+  });
+
+  after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value !== undefined) process.env[name] = value;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    configureLogging({ level: 'info' });
+  });
+
+  it('falls back to the legacy endpoints without any config', () => {
+    const configs = loadSearchConfig();
+    assert.deepEqual(configs.map(config => config.priority), [1, 2, 3]);
+    assert.ok(configs.every(config => config.type === 'json-api' && config.method === 'POST'));
+  });
+
+  it('reads providers from SEARCH_PROVIDERS in the order given', () => {
+    process.env.SEARCH_PROVIDERS = ' json-api, stub ,';
+    process.env.SEARCH_JSON_URL = 'http://127.0.0.1:9/search';
+    process.env.SEARCH_JSON_RESULT_PATH = 'data.answer|result';
+    process.env.SEARCH_JSON_TIMEOUT_MS = '500';
+
+    const [json, stub] = loadSearchConfig();
+    assert.equal(json.priority, 1);
+    assert.equal(json.url, 'http://127.0.0.1:9/search');
+    assert.deepEqual(json.resultPath, ['data.answer', 'result']);
+    assert.equal(json.timeoutMs, 500);
+    assert.deepEqual(stub, { type: 'stub', response: undefined, priority: 2 });
+
+    process.env.SEARCH_PROVIDERS = 'stub,bing';
+    assert.throws(() => loadSearchConfig(), /Unknown search provider type "bing"/);
+  });
+
+  it('prefers a SEARCH_CONFIG file and rejects one without providers', () => {
+    const file = path.join(dir, 'search.json');
+    process.env.SEARCH_CONFIG = file;
+    process.env.SEARCH_PROVIDERS = 'stub';
+
+    fs.writeFileSync(file, JSON.stringify({ providers: [{ type: 'json-api', url: 'http://127.0.0.1:9', resultPath: 'answer' }] }));
+    assert.equal(loadSearchConfig()[0].type, 'json-api');
+
+    fs.writeFileSync(file, JSON.stringify({ providers: [] }));
+    assert.throws(() => loadSearchConfig(), /"providers" must be a non-empty array/);
+  });
+
+  it('orders providers by priority, defaulting to their position', () => {
+    const providers = createProviders([
+      { type: 'stub', name: 'second' },
+      { type: 'stub', name: 'last', priority: 5 },
+      { type: 'stub', name: 'first', priority: 0 }
+    ]);
+    assert.deepEqual(providers.map(provider => [provider.name, provider.priority]), [['first', 0], ['second', 1], ['last', 5]]);
+
+    const unnamed = createProviders([
+      { type: 'json-api', url: 'http://127.0.0.1:9/a', resultPath: 'answer' },
+      { type: 'json-api', url: 'http://127.0.0.1:9/b', resultPath: 'answer' }
+    ]);
+    assert.deepEqual(unnamed.map(provider => provider.name), ['json-api-1', 'json-api-2']);
+
+    assert.throws(() => createProviders([{ type: 'bing' }]), /Unknown search provider type "bing"/);
+    assert.throws(() => createProviders([{ type: 'json-api', name: 'broken', resultPath: 'answer' }]), /"broken" needs a url/);
+  });
+
+  it('builds the providers once and searches the first that answers', async () => {
+    process.env.SEARCH_PROVIDERS = 'stub';
+    process.env.SEARCH_STUB_RESPONSE = '  Sunny in {query}  ';
+    const providers = getSearchProviders();
+    process.env.SEARCH_PROVIDERS = 'json-api';
+    assert.equal(getSearchProviders(), providers);
+
+    const result = await performWebSearch('Paris');
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'stub-1');
+    assert.equal(result.result, 'Sunny in Paris');
+  });
+});
+
+describe('search result normalization', () => {
+  const body = {
+    data: { answer: '', items: [{ title: 'BBC', snippet: 'Rain later' }, 'plain', { text: 'untitled' }] },
+    choices: [{ message: { content: 'From the model' } }]
+  };
+
+  it('reads dot paths, array indexes included', () => {
+    assert.equal(getPath(body, 'choices.0.message.content'), 'From the model');
+    assert.equal(getPath(body, 'data.missing.deeper'), undefined);
+    assert.equal(getPath(body), body);
+  });
+
+  it('picks the first non-empty candidate path', () => {
+    assert.equal(pickPath(body, ['data.answer', 'response', 'choices.0.message.content']), 'From the model');
+    assert.equal(pickPath(body, 'data.answer'), undefined);
+    assert.equal(pickPath({ count: 0 }, 'count'), 0);
+  });
+
+  it('turns picked values into text for the model', () => {
+    assert.equal(toText(body.data.items), 'BBC: Rain later\nplain\nuntitled');
+    assert.equal(toText(22), '22');
+    assert.equal(toText(false), 'false');
+    assert.equal(toText({ temp: 22 }), '{"temp":22}');
+    assert.equal(toText(null), '');
+    assert.equal(toText(undefined), '');
+  });
+
+  it('trims results and caps their length', () => {
+    assert.equal(normalizeResult('  answer \n'), 'answer');
+    assert.equal(normalizeResult(' '.repeat(10) + 'x'.repeat(MAX_RESULT_LENGTH + 100)).length, MAX_RESULT_LENGTH);
+    assert.equal(normalizeResult('   '), '');
+  });
+});
@@ -0,0 +1,81 @@
+// Tool calls that go wrong still answer the model with a function_call_output
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerTool } = require('../lib/tools');
+const { loadProfiles } = require('../lib/profiles');
+const { configFromQuery } = require('../lib/session-config');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { RealtimeSession } = require('../lib/realtime-session');
+const { configureLogging } = require('../lib/logger');
+const { createFakeTransport } = require('./helpers/fake-transport');
+const { sleep } = require('./helpers/client');
+
+const NO_LIMITS = { concurrentSessions: 0, sessionsPerMinute: 0, toolCallsPerMinute: 0, textMessagesPerMinute: 0, testSearchPerMinute: 0 };
+
+describe('tool call errors', () => {
+  let session;
+
+  before(() => {
+    configureLogging({ level: 'silent' });
+    // The bundled profiles use web_search
+    registerTool({ name: 'web_search', handler: async ({ query }) => `Results for ${query}` });
+    registerTool({ name: 'echo', handler: async ({ text }) => text });
+    registerTool({ name: 'broken', handler: () => { throw new Error('disk on fire'); } });
+    registerTool({ name: 'stuck', timeoutMs: 20, handler: () => new Promise(() => {}) });
+    loadProfiles();
+  });
+
+  after(() => configureLogging({ level: 'info' }));
+
+  afterEach(() => {
+    if (session) session.close();
+    session = null;
+  });
+
+  // Run one function call through a ready session and return its output
+  async function callTool(name, args) {
+    const transcripts = { entries: [], append: (sessionId, entry) => transcripts.entries.push(entry) };
+    let upstream;
+    session = new RealtimeSession({
+      id: 'tools',
+      client: createFakeTransport(),
+      openUpstream: async () => {
+        upstream = createFakeTransport({ open: false });
+        return upstream;
+      },
+      config: configFromQuery({}),
+      transcripts,
+      rateLimiter: createRateLimiter({ limits: NO_LIMITS }),
+      options: { greetingDelayMs: 0, toolResponseDelayMs: 0, fallbackEnabled: false }
+    });
+    await session.start();
+    upstream.open();
+    upstream.receive({ type: 'session.updated' });
+
+    upstream.receive({ type: 'response.function_call_arguments.done', name, call_id: 'call_1', arguments: args });
+    const outputs = () => upstream.ofType('conversation.item.create').filter(message => message.item.type === 'function_call_output');
+    for (let waited = 0; outputs().length === 0 && waited < 500; waited += 5) await sleep(5);
+
+    const [output] = outputs();
+    assert.equal(output.item.call_id, 'call_1');
+    assert.equal(transcripts.entries.find(entry => entry.type === 'tool_output').success, false);
+    return JSON.parse(output.item.output);
+  }
+
+  it('answers a call to an unknown tool', async () => {
+    assert.deepEqual(await callTool('teleport', '{}'), { error: 'Unknown tool "teleport"' });
+  });
+
+  it('answers a call with malformed arguments', async () => {
+    const { error } = await callTool('echo', '{"text": ');
+    assert.match(error, /^Invalid arguments for "echo": /);
+  });
+
+  it('answers a call whose handler throws', async () => {
+    assert.deepEqual(await callTool('broken', '{}'), { error: 'Tool "broken" failed: disk on fire' });
+  });
+
+  it('answers a call whose handler never returns once it times out', async () => {
+    assert.deepEqual(await callTool('stuck', '{}'), { error: 'Tool "stuck" failed: Tool "stuck" timed out after 20ms' });
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it, beforeEach, afterEach, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPriceTable, normalizeUsage, estimateCost } = require('../lib/usage/pricing');
+const { createUsageStore, createUsageTracker, parseBudgets } = require('../lib/usage');
+const { configureLogging } = require('../lib/logger');
+
+// As reported by the realtime API in response.done
+const USAGE = {
+  total_tokens: 1600,
+  input_tokens: 1100,
+  output_tokens: 500,
+  input_token_details: {
+    text_tokens: 600,
+    audio_tokens: 500,
+    cached_tokens: 300,
+    cached_tokens_details: { text_tokens: 200, audio_tokens: 100 }
+  },
+  output_token_details: { text_tokens: 100, audio_tokens: 400 }
+};
+
+const PRICES = {
+  'gpt-4o-realtime-preview': {
+    text: { input: 5, cachedInput: 2.5, output: 20 },
+    audio: { input: 40, cachedInput: 2.5, output: 80 }
+  }
+};
+
+describe('usage pricing', () => {
+  it('splits realtime usage into cached and uncached text and audio tokens', () => {
+    assert.deepEqual(normalizeUsage(USAGE), {
+      inputTextTokens: 400,
+      cachedInputTextTokens: 200,
+      outputTextTokens: 100,
+      inputAudioTokens: 400,
+      cachedInputAudioTokens: 100,
+      outputAudioTokens: 400
+    });
+  });
+
+  it('reads chat completion usage as text tokens', () => {
+    assert.deepEqual(normalizeUsage({ prompt_tokens: 300, completion_tokens: 50, prompt_tokens_details: { cached_tokens: 100 } }), {
+      inputTextTokens: 200,
+      cachedInputTextTokens: 100,
+      outputTextTokens: 50,
+      inputAudioTokens: 0,
+      cachedInputAudioTokens: 0,
+      outputAudioTokens: 0
+    });
+    // 1000*0.15 + 100*0.6 = 210 per million, with the bundled prices
+    assert.equal(estimateCost(loadPriceTable(), 'gpt-4o-mini', normalizeUsage({ prompt_tokens: 1000, completion_tokens: 100 })), 0.00021);
+  });
+
+  it('prices usage per million tokens, matching dated model snapshots', () => {
+    const tokens = normalizeUsage(USAGE);
+    // 400*5 + 200*2.5 + 100*20 + 400*40 + 100*2.5 + 400*80 = 52750 per million
+    assert.equal(estimateCost(PRICES, 'gpt-4o-realtime-preview', tokens), 0.05275);
+    assert.equal(estimateCost(PRICES, 'gpt-4o-realtime-preview-2024-12-17', tokens), 0.05275);
+    assert.equal(estimateCost(PRICES, 'some-other-model', tokens), null);
+  });
+
+  it('loads the bundled price table and rejects incomplete ones', () => {
+    assert.ok(loadPriceTable()['gpt-4o-realtime-preview']);
+
+    const file = path.join(os.tmpdir(), `prices-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ models: { broken: { text: { input: 1 } } } }));
+    try {
+      assert.throws(() => loadPriceTable(file), /broken\.text\.cachedInput/);
+    } finally {
+      fs.rmSync(file);
+    }
+  });
+
+  it('parses per-user budgets', () => {
+    assert.deepEqual(parseBudgets('alice=50, bob=0.5,broken,=3'), { alice: 50, bob: 0.5 });
+  });
+});
+
+describe('usage tracker', () => {
+  let dir;
+
+  before(() => configureLogging({ level: 'silent' }));
+  after(() => configureLogging({ level: 'info' }));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function createTracker(options = {}) {
+    return createUsageTracker({ store: createUsageStore({ dir }), prices: PRICES, ...options });
+  }
+
+  it('persists usage and reports it per user and per session', async () => {
+    const tracker = createTracker();
+    const model = 'gpt-4o-realtime-preview';
+    tracker.record({ sessionId: 's1', user: 'alice', model, responseId: 'r1', usage: USAGE });
+    tracker.record({ sessionId: 's1', user: 'alice', model, responseId: 'r2', usage: USAGE });
+    tracker.record({ sessionId: 's2', user: 'bob', model, responseId: 'r3', usage: USAGE });
+    tracker.record({ sessionId: 's3', user: null, model: 'unknown-model', responseId: 'r4', usage: USAGE });
+    await tracker.flush();
+
+    const range = { from: new Date(Date.now() - 60000), to: new Date() };
+    const report = await tracker.report(range);
+    assert.equal(report.totals.responses, 4);
+    assert.equal(report.totals.unpricedResponses, 1);
+    assert.equal(report.totals.costUsd, 0.15825);
+    assert.equal(report.totals.tokens.outputAudioTokens, 1600);
+    assert.deepEqual(report.users.map(entry => [entry.user, entry.sessions, entry.responses, entry.costUsd]), [
+      ['alice', 1, 2, 0.1055],
+      ['bob', 1, 1, 0.05275],
+      [null, 1, 1, 0]
+    ]);
+    assert.deepEqual(report.sessions.map(entry => entry.sessionId), ['s1', 's2', 's3']);
+
+    const alice = await tracker.report({ ...range, user: 'alice' });
+    assert.equal(alice.totals.responses, 2);
+
+    const before = await tracker.report({ from: new Date(Date.now() - 120000), to: range.from });
+    assert.equal(before.totals.responses, 0);
+  });
+
+  it('tracks monthly budgets and restores spend from the store', async () => {
+    const budgets = { monthlyBudgetUsd: 0.1, budgets: { bob: 1 } };
+    const tracker = createTracker(budgets);
+    const model = 'gpt-4o-realtime-preview';
+
+    assert.equal(tracker.budgetStatus(null), null);
+    tracker.record({ sessionId: 's1', user: 'alice', model, usage: USAGE });
+    assert.equal(tracker.budgetStatus('alice').exhausted, false);
+    tracker.record({ sessionId: 's1', user: 'alice', model, usage: USAGE });
+
+    const status = tracker.budgetStatus('alice');
+    assert.equal(status.limitUsd, 0.1);
+    assert.equal(status.spentUsd, 0.1055);
+    assert.equal(status.remainingUsd, 0);
+    assert.equal(status.exhausted, true);
+    assert.equal(tracker.budgetStatus('bob').exhausted, false);
+    await tracker.flush();
+
+    const restarted = createTracker(budgets);
+    await restarted.load();
+    assert.equal(restarted.budgetStatus('alice').spentUsd, 0.1055);
+    assert.equal(restarted.budgetStatus('alice').exhausted, true);
+  });
+
+  it('skips records a crash left half written', async () => {
+    const tracker = createTracker({ monthlyBudgetUsd: 1 });
+    tracker.record({ sessionId: 's1', user: 'alice', model: 'gpt-4o-realtime-preview', usage: USAGE });
+    await tracker.flush();
+    const [file] = fs.readdirSync(dir);
+    fs.appendFileSync(path.join(dir, file), '{"ts":"2026-');
+
+    const restarted = createTracker({ monthlyBudgetUsd: 1 });
+    await restarted.load();
+    assert.equal(restarted.budgetStatus('alice').spentUsd, 0.05275);
+  });
+});